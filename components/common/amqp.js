@@ -25,15 +25,174 @@ var container;
 var nextCid = 1;
 var nextMessageId = 1;
 var inFlight = {};        // { cid : handler }
+var destinationWatchers = [];  // [{onUnreachable, onReachable}]
 
 const DEFAULT_TIMEOUT_SECONDS = 5;
 
+//
+// Outbound flow control:  Messages from a sender are queued per destination and sent only when the sender has credit
+// and the destination does not already have too many unsettled deliveries.  Deliveries that are released, rejected, or
+// modified, and requests that time out, count as failures.  A request succeeds when its response arrives (acceptance
+// by the router says nothing about the peer); any other message succeeds when its delivery is accepted.  After enough consecutive failures, the destination's
+// circuit breaker opens:  Queued and new messages to it are discarded until, after a pause, one trial message is let
+// through.  If the trial fails, the pause is doubled.
+//
+const MAX_QUEUED_PER_DESTINATION    = 50;
+const MAX_UNSETTLED_PER_DESTINATION = 10;
+const BREAKER_FAILURE_THRESHOLD     = 5;
+const BREAKER_PAUSE_SECONDS         = 5;
+const BREAKER_MAX_PAUSE_SECONDS     = 60;
+
+const FAILOVER_RECONNECT_INITIAL_MS = 1000;   // Reconnect backoff for connections with more than one endpoint
+const FAILOVER_RECONNECT_MAX_MS     = 30000;
+
+const destinationFor = function(sender, destination) {
+    const key = destination || '';
+    if (!sender.destinations[key]) {
+        sender.destinations[key] = {
+            key          : key,
+            name         : destination || `<${sender.logName}>`,
+            queue        : [],     // [{message, onFailed}]
+            unsettled    : 0,
+            requests     : 0,      // Requests awaiting a response or timeout
+            failures     : 0,
+            state        : 'closed',
+            pauseSeconds : 0,
+            timer        : null,
+        };
+    }
+    return sender.destinations[key];
+}
+
+//
+// Forget an idle, healthy destination so that the addresses of departed peers don't accumulate.  A destination with
+// requests in flight is kept so that their timeouts count against it.
+//
+const pruneDestination = function(sender, dest) {
+    if (dest.state == 'closed' && dest.failures == 0 && dest.unsettled == 0 && dest.requests == 0 && dest.queue.length == 0) {
+        delete sender.destinations[dest.key];
+    }
+}
+
+const flushDestination = function(sender, dest) {
+    while (dest.queue.length > 0 && dest.state != 'open' && sender.amqpSender.sendable()) {
+        if (dest.unsettled >= (dest.state == 'half-open' ? 1 : MAX_UNSETTLED_PER_DESTINATION)) {
+            break;
+        }
+        const item     = dest.queue.shift();
+        const delivery = sender.amqpSender.send(item.message);
+        delivery.skxOutcome = {sender: sender, dest: dest, onFailed: item.onFailed, awaitsReply: item.awaitsReply};
+        dest.unsettled++;
+    }
+}
+
+const flushSender = function(sender) {
+    for (const dest of Object.values(sender.destinations)) {
+        flushDestination(sender, dest);
+    }
+}
+
+const enqueue = function(sender, destination, message, onFailed, awaitsReply=false) {
+    const dest = destinationFor(sender, destination);
+    if (dest.state == 'open') {
+        onFailed(Error(`Destination ${dest.name} is unreachable`));
+        return dest;
+    }
+    if (dest.queue.length >= MAX_QUEUED_PER_DESTINATION) {
+        const dropped = dest.queue.shift();
+        dropped.onFailed(Error(`Outbound queue limit reached for destination ${dest.name}`));
+    }
+    dest.queue.push({message: message, onFailed: onFailed, awaitsReply: awaitsReply});
+    flushDestination(sender, dest);
+    return dest;
+}
+
+const closeBreaker = function(sender, dest) {
+    const wasOpen = dest.state != 'closed';
+    dest.state        = 'closed';
+    dest.failures     = 0;
+    dest.pauseSeconds = 0;
+    if (dest.timer) {
+        clearTimeout(dest.timer);
+        dest.timer = null;
+    }
+    if (wasOpen) {
+        Log(`AMQP destination ${dest.name} is reachable again via sender '${sender.logName}'`);
+        for (const watcher of destinationWatchers) {
+            watcher.onReachable(sender.context, dest.name);
+        }
+    }
+    flushDestination(sender, dest);
+}
+
+const openBreaker = function(sender, dest, reason) {
+    const wasClosed = dest.state == 'closed';
+    dest.state        = 'open';
+    dest.pauseSeconds = Math.min(dest.pauseSeconds * 2 || BREAKER_PAUSE_SECONDS, BREAKER_MAX_PAUSE_SECONDS);
+    Log(`AMQP destination ${dest.name} is unreachable via sender '${sender.logName}' (${reason}) - pausing for ${dest.pauseSeconds} seconds`);
+
+    const discarded = dest.queue;
+    dest.queue = [];
+    for (const item of discarded) {
+        item.onFailed(Error(`Destination ${dest.name} is unreachable`));
+    }
+
+    dest.timer = setTimeout(() => {
+        dest.timer = null;
+        dest.state = 'half-open';
+        flushDestination(sender, dest);
+    }, dest.pauseSeconds * 1000);
+
+    if (wasClosed) {
+        for (const watcher of destinationWatchers) {
+            watcher.onUnreachable(sender.context, dest.name);
+        }
+    }
+}
+
+const recordFailure = function(sender, dest, reason) {
+    dest.failures++;
+    if (dest.state == 'half-open' || (dest.state == 'closed' && dest.failures >= BREAKER_FAILURE_THRESHOLD)) {
+        openBreaker(sender, dest, reason);
+    }
+}
+
+const recordSuccess = function(sender, dest) {
+    if (dest.state != 'closed' || dest.failures > 0) {
+        closeBreaker(sender, dest);
+    }
+}
+
+const onDeliveryOutcome = function(context, outcome) {
+    const tracking = context.delivery.skxOutcome;
+    if (!tracking) {
+        return;
+    }
+    delete context.delivery.skxOutcome;
+
+    const dest = tracking.dest;
+    dest.unsettled = Math.max(dest.unsettled - 1, 0);
+    if (outcome == 'accepted') {
+        if (!tracking.awaitsReply) {
+            recordSuccess(tracking.sender, dest);
+        }
+    } else {
+        tracking.onFailed(Error(`Delivery to ${dest.name} was ${outcome}`));
+        recordFailure(tracking.sender, dest, `delivery ${outcome}`);
+    }
+    flushDestination(tracking.sender, dest);
+    pruneDestination(tracking.sender, dest);
+}
+
 const rhea_handlers = function() {
     container.options.enable_sasl_external = true;
 
     container.on('connection_open', function(context) {
         const conn = context.connection.skxConn;
         Log(`AMQP Connection '${conn.logName}' is open`);
+        if (conn.monitor) {
+            conn.monitor.opened(conn.endpoint, Date.now() - conn.attemptStart);
+        }
     });
 
     container.on('receiver_open', function(context) {
@@ -63,6 +222,7 @@ const rhea_handlers = function() {
         let conn = context.connection.skxConn;
         conn.senders.forEach(sender => {
             if (sender.amqpSender == context.sender) {
+                flushSender(sender);
                 if (!sender.notified) {
                     sender.sendable = true;
                     if (conn.replyTo != undefined) {
@@ -75,6 +235,32 @@ const rhea_handlers = function() {
         });
     });
 
+    container.on('accepted', context => onDeliveryOutcome(context, 'accepted'));
+    container.on('released', context => onDeliveryOutcome(context, 'released'));
+    container.on('rejected', context => onDeliveryOutcome(context, 'rejected'));
+    container.on('modified', context => onDeliveryOutcome(context, 'modified'));
+
+    //
+    // Deliveries outstanding when a connection is lost will never be settled.  Don't let them hold up the destinations.
+    //
+    container.on('disconnected', function(context) {
+        const conn = context.connection.skxConn;
+        if (conn) {
+            conn.senders.forEach(sender => {
+                for (const dest of Object.values(sender.destinations)) {
+                    dest.unsettled = 0;
+                }
+            });
+            if (conn.monitor) {
+                if (conn.switching) {
+                    conn.switching = false;
+                } else {
+                    conn.monitor.failed(conn.endpoint, context.error);
+                }
+            }
+        }
+    });
+
     container.on('message', function (context) {
         let conn    = context.connection.skxConn;
         let message = context.message;
@@ -94,6 +280,9 @@ const rhea_handlers = function() {
             const receiver = context.receiver.skxReceiver;
             if (receiver) {
                 receiver.onMessage(receiver.context, message.application_properties, message.body, (replyAp, replyBody) => {
+                    if (!message.reply_to) {
+                        return;  // The sender did not ask for a reply
+                    }
                     conn.anonSender.send({
                         to                     : message.reply_to,
                         correlation_id         : message.correlation_id,
@@ -130,6 +319,76 @@ exports.OpenConnection = function(logName, host='localhost', port='5672', transp
     return conn;
 }
 
+//
+// Open a connection that can be established through any one of a set of endpoints.  The monitor chooses the endpoint
+// for each connection attempt and is told how the attempts turn out:
+//
+//   monitor.select()                  => {host, port} for the next attempt
+//   monitor.opened(endpoint, latency) The connection is open, latency is the time taken to open it in milliseconds
+//   monitor.failed(endpoint, error)   The attempt failed or the open connection was lost
+//
+// Reconnect attempts back off exponentially.  The backoff is reset once a connection is established.
+//
+exports.OpenFailoverConnection = function(logName, monitor, transport=undefined, ca=undefined, cert=undefined, key=undefined) {
+    let conn = {
+        senders      : [],
+        receivers    : [],
+        logName      : logName,
+        monitor      : monitor,
+        endpoint     : undefined,
+        attemptStart : undefined,
+        switching    : false,
+    };
+
+    const connectionDetails = function() {
+        conn.endpoint     = monitor.select();
+        conn.attemptStart = Date.now();
+        Log(`AMQP Connection '${logName}' connecting to ${conn.endpoint.host}:${conn.endpoint.port}`);
+        return {
+            host      : conn.endpoint.host,
+            port      : conn.endpoint.port,
+            transport : transport,
+            options   : {
+                host       : conn.endpoint.host,
+                servername : conn.endpoint.host,
+                port       : conn.endpoint.port,
+                ca         : ca,
+                key        : key,
+                cert       : cert,
+            },
+        };
+    }
+
+    conn.amqpConnection = container.connect({
+        transport               : transport,
+        ca                      : ca,
+        key                     : key,
+        cert                    : cert,
+        initial_reconnect_delay : FAILOVER_RECONNECT_INITIAL_MS,
+        max_reconnect_delay     : FAILOVER_RECONNECT_MAX_MS,
+        connection_details      : connectionDetails,
+    });
+
+    conn.replyTo = undefined;
+    conn.replyReceiver = conn.amqpConnection.open_receiver({source:{dynamic:true}});
+    conn.anonSender    = conn.amqpConnection.open_sender();
+    conn.amqpConnection.skxConn = conn;
+
+    return conn;
+}
+
+//
+// Drop the transport of a failover connection so that it reconnects through the endpoint the monitor selects next.
+// The links on the connection are re-established after the reconnect.
+//
+exports.SwitchEndpoint = function(conn) {
+    const socket = conn.amqpConnection.socket;
+    if (socket) {
+        conn.switching = true;
+        socket.destroy();
+    }
+}
+
 exports.CloseConnection = function(conn) {
     conn.amqpConnection.close();
 }
@@ -140,13 +399,14 @@ exports.OpenSender = function(logName, conn, address, onSendable=undefined, cont
         // This is the synchronous version of the function
         //
         let sender = {
-            conn       : conn,
-            amqpSender : conn.amqpConnection.open_sender(address),
-            onSendable : onSendable,
-            context    : context,
-            logName    : logName,
-            sendable   : false,
-            notified   : false,
+            conn         : conn,
+            amqpSender   : conn.amqpConnection.open_sender(address),
+            onSendable   : onSendable,
+            context      : context,
+            logName      : logName,
+            sendable     : false,
+            notified     : false,
+            destinations : {},
         };
 
         sender.amqpSender.skxSender = sender;
@@ -159,13 +419,14 @@ exports.OpenSender = function(logName, conn, address, onSendable=undefined, cont
         //
         return new Promise((resolve, reject) => {
             let sender = {
-                conn       : conn,
-                amqpSender : null,
-                onSendable : null,
-                context    : null,
-                logName    : logName,
-                sendable   : false,
-                notified   : false,
+                conn         : conn,
+                amqpSender   : null,
+                onSendable   : null,
+                context      : null,
+                logName      : logName,
+                sendable     : false,
+                notified     : false,
+                destinations : {},
             };
 
             sender.onSendable = (unusedContext) => {
@@ -219,21 +480,31 @@ exports.SendMessage = function(sender, messageBody, ap={}, destination=null) {
     if (destination) {
         message.to = destination;        
     }
-    sender.amqpSender.send(message);
+    enqueue(sender, destination, message, (error) => {});
 }
 
 exports.Request = function(sender, messageBody, ap={}, destination=null, timeoutSeconds=DEFAULT_TIMEOUT_SECONDS) {
     return new Promise((resolve, reject) => {
         const cid   = nextCid;
         const msgId = nextMessageId;
+        const dest  = destinationFor(sender, destination);
+        const done  = function() {
+            dest.requests--;
+            pruneDestination(sender, dest);
+        };
         let timer   = setTimeout(() => {
             delete inFlight[cid];
+            recordFailure(sender, dest, 'request timeout');
+            done();
             reject(Error('AMQP request/response timeout'));
         }, timeoutSeconds * 1000);
         nextMessageId++;
         nextCid++;
+        dest.requests++;
         inFlight[cid] = (response) => {
             clearTimeout(timer);
+            recordSuccess(sender, dest);
+            done();
             resolve([response.application_properties, response.body]);
         };
         let message = {
@@ -246,10 +517,35 @@ exports.Request = function(sender, messageBody, ap={}, destination=null, timeout
         if (destination) {
             message.to = destination;
         }
-        sender.amqpSender.send(message);
+        enqueue(sender, destination, message, (error) => {
+            if (inFlight[cid]) {
+                clearTimeout(timer);
+                delete inFlight[cid];
+                done();
+                reject(error);
+            }
+        }, true);
     });
 }
 
+//
+// Register for notification when destinations become unreachable (their circuit breakers open) and reachable again.
+// The callbacks receive the context of the sender and the destination address.
+//
+exports.WatchDestinations = function(onUnreachable, onReachable) {
+    destinationWatchers.push({onUnreachable: onUnreachable, onReachable: onReachable});
+}
+
+//
+// Close the circuit breaker for a destination that is known to be reachable again (i.e. it has been heard from).
+//
+exports.ResetDestination = function(sender, destination) {
+    const dest = sender.destinations[destination || ''];
+    if (dest && dest.state != 'closed') {
+        closeBreaker(sender, dest);
+    }
+}
+
 exports.Start = async function(rhea) {
     Log('[AMQP module started]');
     container = rhea;
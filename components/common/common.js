@@ -29,6 +29,7 @@ exports.CLAIM_ASSERT_ADDRESS   = 'skx/claim';
 // Selector labels
 //
 exports.APPLICATION_ROUTER_LABEL = 'skx-router';
+exports.COMPONENT_LABEL_KEY      = 'skx/component';
 
 //
 // Kubernetes annotation keys
@@ -40,21 +41,76 @@ exports.META_ANNOTATION_STATE_DIR           = 'skx/state-dir';
 exports.META_ANNOTATION_STATE_TYPE          = 'skx/state-type';
 exports.META_ANNOTATION_STATE_ID            = 'skx/state-id';
 exports.META_ANNOTATION_TLS_INJECT          = 'skx/tls-inject';
+exports.META_ANNOTATION_STATE_OWNER         = 'skx/state-owner';
+exports.META_ANNOTATION_CONFIG_DIGEST       = 'skx/config-digest';
+exports.META_ANNOTATION_CONFIG_SIGNATURE    = 'skx/config-signature';
+exports.META_ANNOTATION_CONFIG_SIGNER       = 'skx/config-signer';
+exports.META_ANNOTATION_LISTENER_HOST       = 'skx/listener-host';
 
 //
 // State types
 //
 exports.STATE_TYPE_LINK          = 'link';
 exports.STATE_TYPE_ACCESS_POINT  = 'accesspoint';
+exports.STATE_TYPE_COMPONENT     = 'component';
+exports.STATE_TYPE_INTERFACE     = 'interface';
+exports.STATE_TYPE_POLICY        = 'policy';
 exports.INJECT_TYPE_ACCESS_POINT = 'accesspoint';
 exports.INJECT_TYPE_SITE         = 'site';
 
+//
+// Owners of synchronized state on a site.  A site that is both a backbone site and a member site holds state for
+// both of its identities in the same namespace.
+//
+exports.STATE_OWNER_BACKBONE = 'backbone';
+exports.STATE_OWNER_MEMBER   = 'member';
+
+//
+// Router policy vhosts, by access-point kind.  Each access-point listener on a backbone router is bound to the vhost
+// for its kind.
+//
+exports.ACCESS_POINT_VHOSTS = {
+    peer   : 'skx-backbone',
+    claim  : 'skx-claim',
+    member : 'skx-member',
+    manage : 'skx-manage',
+};
+
+//
+// The common name of a member site's client certificates.  It is derived from the member site, not the certificate,
+// so the site's identity in router policy is unchanged when its certificate is rotated.
+//
+exports.MemberSiteCommonName = function(siteId) {
+    return `skx-member-site-${siteId}`;
+}
+
+//
+// Key in TLS state data that carries the certificate's rotation ordinal
+//
+exports.TLS_ORDINAL_KEY = 'tls.ordinal';
+
 //
 // Kubernetes object names
 //
 exports.ROUTER_SERVICE_NAME    = 'skx-router';
+exports.ROUTER_CONFIG_MAP_NAME = 'skupper-internal';
 exports.MEMBER_CONFIG_MAP_NAME = 'skx-member';
 
+//
+// Label identifying listener and connector ConfigMaps on member sites, and its values
+//
+exports.INTERFACE_TYPE_LABEL     = 'skupper.io/type';
+exports.INTERFACE_TYPE_LISTENER  = 'listener';
+exports.INTERFACE_TYPE_CONNECTOR = 'connector';
+
+//
+// Connection properties offered to peer routers on inter-router and edge connections
+//
+exports.CONNECTION_PROPERTY_CONFIG_DIGEST    = 'skx.config-digest';
+exports.CONNECTION_PROPERTY_CONFIG_SIGNATURE = 'skx.config-signature';
+exports.CONNECTION_PROPERTY_CONFIG_SIGNER    = 'skx.config-signer';
+exports.CONNECTION_PROPERTY_IMAGE_DIGESTS    = 'skx.image-digests';
+
 //
 // Skupper CRD constants
 //
@@ -0,0 +1,69 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// Signing and verification of router configuration.
+//
+// The initial configuration of a router is digested (SHA-256) and the digest is signed with the router's private key
+// when the configuration is generated by the management controller.  The digest, signature, and signing certificate
+// travel with the configuration and are offered to peer routers in connection properties so a peer can refuse links
+// from routers whose configuration was altered.
+//
+
+const crypto = require('crypto');
+
+exports.ConfigDigest = function(configText) {
+    return crypto.createHash('sha256').update(configText).digest('hex');
+}
+
+//
+// Sign a configuration digest using a PEM-encoded private key.  Returns the base64-encoded signature.
+//
+exports.SignDigest = function(digest, privateKeyPem) {
+    return crypto.sign('sha256', Buffer.from(digest), crypto.createPrivateKey(privateKeyPem)).toString('base64');
+}
+
+//
+// Split a PEM bundle into its individual certificates.
+//
+const bundleCertificates = function(bundlePem) {
+    const matches = bundlePem.match(/-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----/g) || [];
+    return matches.map(pem => new crypto.X509Certificate(pem));
+}
+
+//
+// Verify that the signature over the digest was made by the signing certificate and that the signing certificate
+// was issued by one of the certificate authorities in the CA bundle.  Returns the PEM of the issuing CA.  Throws an
+// Error describing the failure.
+//
+exports.VerifySignature = function(digest, signature, signerPem, caBundlePem) {
+    const signer = new crypto.X509Certificate(signerPem);
+    const issuer = bundleCertificates(caBundlePem).find(ca => signer.checkIssued(ca) && signer.verify(ca.publicKey));
+    if (!issuer) {
+        throw(Error('Configuration signer was not issued by a trusted certificate authority'));
+    }
+
+    if (!crypto.verify('sha256', Buffer.from(digest), signer.publicKey, Buffer.from(signature, 'base64'))) {
+        throw(Error('Configuration signature does not match the configuration digest'));
+    }
+
+    return issuer.toString();
+}
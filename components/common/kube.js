@@ -36,6 +36,8 @@ var certificateWatch;
 var configMapWatch;
 var routeWatch;
 var serviceWatch;
+var podWatch;
+var customWatches = {};  // path => {watch, callbacks}
 var watchErrorCount = 0;
 var lastWatchError;
 var namespace = 'default';
@@ -78,6 +80,7 @@ exports.Start = async function (k8s_mod, fs_mod, yaml_mod, in_cluster) {
     configMapWatch   = new k8s.Watch(kc);
     routeWatch       = new k8s.Watch(kc);
     serviceWatch     = new k8s.Watch(kc);
+    podWatch         = new k8s.Watch(kc);
 
     try {
         if (in_cluster) {
@@ -238,6 +241,19 @@ exports.DeleteRoute = async function(name) {
     );
 }
 
+//
+// Namespaced objects in other API groups, identified by group, version, and plural resource name.
+//
+exports.GetCustomObjects = async function(group, version, plural) {
+    let list = await customApi.listNamespacedCustomObject(group, version, namespace, plural);
+    return list.body.items;
+}
+
+exports.DeleteCustomObject = async function(group, version, plural, name) {
+    Log(`Kube - Deleting ${plural} ${name}`);
+    await customApi.deleteNamespacedCustomObject(group, version, namespace, plural, name);
+}
+
 exports.LoadDeployment = async function(name) {
     let dep = await v1AppApi.readNamespacedDeployment(name, namespace);
     return dep.body;
@@ -252,6 +268,16 @@ exports.GetPods = async function() {
     return pods.body.items;
 }
 
+exports.LoadPod = async function(name) {
+    let pod = await v1Api.readNamespacedPod(name, namespace);
+    return pod.body;
+}
+
+exports.DeletePod = async function(name) {
+    Log(`Kube - Deleting pod ${name}`);
+    await v1Api.deleteNamespacedPod(name, namespace);
+}
+
 var secretWatches = [];
 
 const startWatchSecrets = function() {
@@ -393,6 +419,68 @@ exports.WatchServices = function(callback) {
     }
 }
 
+var podWatches = [];
+
+const startWatchPods = function() {
+    podWatch.watch(
+        `/api/v1/namespaces/${namespace}/pods`,
+        {},
+        (type, apiObj, watchObj) => {
+            for (const callback of podWatches) {
+                callback(type, apiObj);
+            }
+        },
+        (err) => {
+            if (err) {
+                watchErrorCount++;
+                lastWatchError = `Pods: ${err}`;
+            }
+            startWatchPods();
+        }
+    )
+}
+
+exports.WatchPods = function(callback) {
+    podWatches.push(callback);
+    if (podWatches.length == 1) {
+        startWatchPods();
+    }
+}
+
+const startWatchCustomObjects = function(path) {
+    const entry = customWatches[path];
+    entry.watch.watch(
+        path,
+        {},
+        (type, apiObj, watchObj) => {
+            for (const callback of entry.callbacks) {
+                callback(type, apiObj);
+            }
+        },
+        (err) => {
+            if (err) {
+                watchErrorCount++;
+                lastWatchError = `${path}: ${err}`;
+            }
+            startWatchCustomObjects(path);
+        }
+    )
+}
+
+exports.WatchCustomObjects = function(group, version, plural, callback) {
+    const path = `/apis/${group}/${version}/namespaces/${namespace}/${plural}`;
+    if (!customWatches[path]) {
+        customWatches[path] = {
+            watch     : new k8s.Watch(kc),
+            callbacks : [],
+        };
+    }
+    customWatches[path].callbacks.push(callback);
+    if (customWatches[path].callbacks.length == 1) {
+        startWatchCustomObjects(path);
+    }
+}
+
 exports.ApplyObject = async function(obj) {
     try {
         if (obj.metadata.annotations == undefined) {
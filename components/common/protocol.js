@@ -19,18 +19,58 @@
 
 "use strict";
 
-const VERSION      = 1;
+//
+// Protocol versions:  Heartbeats are always framed with the base version so that any peer can read them.  Each
+// heartbeat advertises the versions and capabilities that its sender supports, and the two peers use the highest
+// version they have in common for the rest of their exchanges.
+//
+//   1 - Heartbeat, GET, and CLAIM operations
+//   2 - Version negotiation.  Unknown operations and unsupported versions are answered with STATUS_UNSUPPORTED.
+//
+const BASE_VERSION       = 1;
+const SUPPORTED_VERSIONS = [1, 2];
+
 const OP_HEARTBEAT = 'HB';
 const OP_GET       = 'GET';
 const OP_CLAIM     = 'CLAIM';
 
+exports.STATUS_UNSUPPORTED = 501;
+
+//
+// Optional protocol features advertised in heartbeats.  A peer uses a feature only if the other side advertises it.
+//
+exports.CAPABILITY_GET_BATCH = 'get-batch';     // A GET may carry a list of state keys and is answered with a list of results
+
+const CAPABILITIES = [exports.CAPABILITY_GET_BATCH];
+
+//
+// Status codes for claims that were not accepted
+//
+exports.CLAIM_STATUS_PENDING       = 202;  // The claim awaits approval or completion, re-assert it with the returned siteId
+exports.CLAIM_STATUS_REJECTED      = 400;  // The claim could not be processed
+exports.CLAIM_STATUS_DENIED        = 403;  // The application network's owner rejected the claim
+exports.CLAIM_STATUS_NOT_FOUND     = 404;  // There is no such invitation
+exports.CLAIM_STATUS_LIMIT_REACHED = 409;  // The invitation's instance limit has been reached
+exports.CLAIM_STATUS_EXPIRED       = 410;  // The invitation's join deadline has passed or it has been expired
+
+//
+// Select the protocol version to use with a peer that supports peerVersions.  Returns undefined if there is no
+// version in common.
+//
+exports.NegotiateVersion = function(peerVersions) {
+    const common = SUPPORTED_VERSIONS.filter(v => peerVersions.indexOf(v) >= 0);
+    return common.length > 0 ? Math.max(...common) : undefined;
+}
+
 exports.Heartbeat = function(fromSite, fromClass, hashSet, address="") {
     let body = {
-        version : VERSION,
-        op      : OP_HEARTBEAT,
-        site    : fromSite,
-        sclass  : fromClass,
-        address : address,
+        version      : BASE_VERSION,
+        op           : OP_HEARTBEAT,
+        site         : fromSite,
+        sclass       : fromClass,
+        address      : address,
+        versions     : SUPPORTED_VERSIONS,
+        capabilities : CAPABILITIES,
     };
 
     if (!!hashSet) {
@@ -40,9 +80,9 @@ exports.Heartbeat = function(fromSite, fromClass, hashSet, address="") {
     return body;
 }
 
-exports.GetState = function(fromSite, stateKey) {
+exports.GetState = function(fromSite, stateKey, version=BASE_VERSION) {
     return {
-        version  : VERSION,
+        version  : version,
         op       : OP_GET,
         site     : fromSite,
         statekey : stateKey,
@@ -59,13 +99,54 @@ exports.GetStateResponseSuccess = function(stateKey, hash, data) {
     };
 }
 
-exports.AssertClaim = function(claimId, name) {
+//
+// Request several units of state in one message.  Only for peers that advertise CAPABILITY_GET_BATCH.
+//
+exports.GetStateBatch = function(fromSite, stateKeys, version=BASE_VERSION) {
+    return {
+        version   : version,
+        op        : OP_GET,
+        site      : fromSite,
+        statekeys : stateKeys,
+    };
+}
+
+//
+// The response to a batched GET.  Each result is either a GetStateResponseSuccess or a GetStateResponseFailure
+// for one of the requested keys, so a failure for one key does not affect the others.
+//
+exports.GetStateResponseBatch = function(results) {
     return {
-        version : VERSION,
+        statusCode        : 200,
+        statusDescription : 'OK',
+        results           : results,
+    };
+}
+
+exports.GetStateResponseFailure = function(stateKey, code, description) {
+    return {
+        statusCode        : code,
+        statusDescription : description,
+        statekey          : stateKey,
+    };
+}
+
+//
+// memberId, if provided, identifies a claim that was previously asserted and is still pending.
+//
+exports.AssertClaim = function(claimId, name, memberId) {
+    let body = {
+        version : BASE_VERSION,
         op      : OP_CLAIM,
         claim   : claimId,
         name    : name,
     };
+
+    if (memberId) {
+        body.member = memberId;
+    }
+
+    return body;
 }
 
 exports.AssertClaimResponseSuccess = function(siteId, outgoingLinks, siteClient) {
@@ -78,6 +159,14 @@ exports.AssertClaimResponseSuccess = function(siteId, outgoingLinks, siteClient)
     };
 }
 
+exports.AssertClaimResponsePending = function(siteId, description) {
+    return {
+        statusCode        : exports.CLAIM_STATUS_PENDING,
+        statusDescription : description,
+        siteId            : siteId,
+    };
+}
+
 exports.ReponseFailure = function(code, description) {
     return {
         statusCode        : code,
@@ -85,23 +174,50 @@ exports.ReponseFailure = function(code, description) {
     };
 }
 
+//
+// The reply to a request whose operation or version is not supported by the receiver.
+//
+exports.ResponseUnsupported = function(description) {
+    return {
+        statusCode        : exports.STATUS_UNSUPPORTED,
+        statusDescription : description,
+    };
+}
+
 exports.SourceSite = function(body) {
-    if (body.op == OP_HEARTBEAT || body.op == OP_GET) {
+    if (body.site) {
         return body.site;
     }
     throw Error('Can not determine source site-id from message');
 }
 
-exports.DispatchMessage = async function(body, onHeartbeat, onGet, onClaim) {
-    if (body.version != VERSION) {
-        throw Error(`Unsupported protocol version ${body.version}`);
+//
+// Dispatch a received message to the handler for its operation.  Heartbeats are accepted regardless of their version
+// so that the peers can negotiate.  Other messages with an unsupported version or an unknown operation are passed to
+// onUnsupported(description) so the sender can be answered.  If onUnsupported is not provided, an exception is thrown.
+//
+exports.DispatchMessage = async function(body, onHeartbeat, onGet, onClaim, onUnsupported=undefined) {
+    const unsupported = async function(description) {
+        if (!onUnsupported) {
+            throw Error(description);
+        }
+        await onUnsupported(description);
+    }
+
+    if (body.op == OP_HEARTBEAT) {
+        await onHeartbeat(body.sclass, body.site, body.hashset, body.address, body.capabilities || [], body.versions || [body.version]);
+        return;
+    }
+
+    if (SUPPORTED_VERSIONS.indexOf(body.version) < 0) {
+        await unsupported(`Unsupported protocol version ${body.version}`);
+        return;
     }
 
     switch (body.op) {
-    case OP_HEARTBEAT : await onHeartbeat(body.sclass, body.site, body.hashset, body.address);  break;
-    case OP_GET       : await onGet(body.site, body.statekey);  break;
-    case OP_CLAIM     : await onClaim(body.claim, body.name);   break;
+    case OP_GET       : await onGet(body.site, body.statekey, body.statekeys);  break;
+    case OP_CLAIM     : await onClaim(body.claim, body.name, body.member);  break;
     default:
-        throw Error(`Unknown op-code ${body.op}`);
+        await unsupported(`Unknown op-code ${body.op}`);
     }
-}
\ No newline at end of file
+}
@@ -79,6 +79,22 @@ exports.CreateManagementEntity = async function(entityType, name, data, timeout)
     throw(Error(replyAp.statusDescription));
 }
 
+exports.UpdateManagementEntity = async function(entityType, name, data, timeout) {
+    let requestAp = {
+        operation : 'UPDATE',
+        type      : entityType,
+        name      : name,
+    };
+
+    const [replyAp, replyBody] = await amqp.Request(mgmtSender, data, requestAp, null, timeout);
+
+    if (replyAp.statusCode == 200) {
+        return (replyBody);
+    }
+
+    throw(Error(replyAp.statusDescription));
+}
+
 exports.DeleteManagementEntity = async function(entityType, name, timeout) {
     let requestAp = {
         operation : 'DELETE',
@@ -103,6 +119,10 @@ exports.CreateSslProfile = async function(name, obj) {
     await exports.CreateManagementEntity('io.skupper.router.sslProfile', name, obj, QUERY_TIMEOUT_SECONDS);
 }
 
+exports.UpdateSslProfile = async function(name, obj) {
+    await exports.UpdateManagementEntity('io.skupper.router.sslProfile', name, obj, QUERY_TIMEOUT_SECONDS);
+}
+
 exports.DeleteSslProfile = async function(name) {
     await exports.DeleteManagementEntity('io.skupper.router.sslProfile', name, QUERY_TIMEOUT_SECONDS);
 }
@@ -131,6 +151,50 @@ exports.DeleteListener = async function(name) {
     await exports.DeleteManagementEntity('io.skupper.router.listener', name, QUERY_TIMEOUT_SECONDS);
 }
 
+exports.ListVhosts = async function(attributes = []) {
+    return await exports.ListManagementEntity('io.skupper.router.vhost', QUERY_TIMEOUT_SECONDS, attributes);
+}
+
+exports.CreateVhost = async function(name, obj) {
+    await exports.CreateManagementEntity('io.skupper.router.vhost', name, obj, QUERY_TIMEOUT_SECONDS);
+}
+
+exports.DeleteVhost = async function(name) {
+    await exports.DeleteManagementEntity('io.skupper.router.vhost', name, QUERY_TIMEOUT_SECONDS);
+}
+
+exports.ListTcpListeners = async function(attributes = []) {
+    return await exports.ListManagementEntity('io.skupper.router.tcpListener', QUERY_TIMEOUT_SECONDS, attributes);
+}
+
+exports.CreateTcpListener = async function(name, obj) {
+    await exports.CreateManagementEntity('io.skupper.router.tcpListener', name, obj, QUERY_TIMEOUT_SECONDS);
+}
+
+exports.DeleteTcpListener = async function(name) {
+    await exports.DeleteManagementEntity('io.skupper.router.tcpListener', name, QUERY_TIMEOUT_SECONDS);
+}
+
+exports.ListTcpConnectors = async function(attributes = []) {
+    return await exports.ListManagementEntity('io.skupper.router.tcpConnector', QUERY_TIMEOUT_SECONDS, attributes);
+}
+
+exports.CreateTcpConnector = async function(name, obj) {
+    await exports.CreateManagementEntity('io.skupper.router.tcpConnector', name, obj, QUERY_TIMEOUT_SECONDS);
+}
+
+exports.DeleteTcpConnector = async function(name) {
+    await exports.DeleteManagementEntity('io.skupper.router.tcpConnector', name, QUERY_TIMEOUT_SECONDS);
+}
+
+exports.ListConnections = async function(attributes = []) {
+    return await exports.ListManagementEntity('io.skupper.router.connection', QUERY_TIMEOUT_SECONDS, attributes);
+}
+
+exports.CloseConnection = async function(name) {
+    await exports.UpdateManagementEntity('io.skupper.router.connection', name, {adminStatus: 'deleted'}, QUERY_TIMEOUT_SECONDS);
+}
+
 exports.NotifyApiReady = async function(onApiReady) {
     if (ready) {
         onApiReady();
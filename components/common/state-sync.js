@@ -39,19 +39,14 @@ exports.CLASS_MANAGEMENT = 'management';
 exports.CLASS_BACKBONE   = 'backbone';
 exports.CLASS_MEMBER     = 'member';
 
-const HEARTBEAT_PERIOD_SECONDS = 10;  // TODO - make this much longer
-const HEARTBEAT_WINDOW_SECONDS = 5;
-
-var localClass;
-var localId;
-var localAddress;
-var addressToUse;
-var initialBeacon = true;
-var onNewPeer;
-var onPeerLost;
-var onStateChange;
-var onStateRequest;
-var onPing;
+const HEARTBEAT_PERIOD_SECONDS  = 10;  // TODO - make this much longer
+const HEARTBEAT_WINDOW_SECONDS  = 5;
+const LIVENESS_PERIOD_SECONDS   = HEARTBEAT_PERIOD_SECONDS + HEARTBEAT_WINDOW_SECONDS;
+const PEER_LOST_HEARTBEATS      = parseInt(process.env.SKX_SYNC_PEER_LOST_HEARTBEATS || '3');
+const GET_BATCH_SIZE            = 16;  // State keys per batched GET request
+const GET_MAX_IN_FLIGHT         = 4;   // GET requests outstanding to one peer at a time
+const GET_BATCH_TIMEOUT_SECONDS = 15;
+const VERIFY_KEYS_PER_HEARTBEAT = 2;   // Restored state keys re-verified with an in-sync peer per heartbeat
 
 //
 // Concepts:
@@ -65,296 +60,624 @@ var onPing;
 //   HashState     - A map {StateKey : StateHash} that describes all of the state being synchronized to or from a peer.
 //   LocalState    - The local state that is intended to be synchronized TO a peer.
 //   RemoteState   - The remote state that is intended to be synchronized FROM a peer.
+//   Store         - Optional persistent storage for the peers' remote hash-state so that a restarted process can
+//                   resume synchronization without re-fetching all of its peers' state.
 //
 
-var extraTargets = [];
-var connections  = {};  // {connectionKey: conn-record}
-var peers        = {};  // {peerId: {connectionKey: <key>, peerClass: <class>, localState: {stateKey: hash}, remoteState: {stateKey: hash}}}
-
-const timerDelayMsec = function(floorSec) {
-    return (Math.floor(Math.random() * (HEARTBEAT_WINDOW_SECONDS + 1) + floorSec)) * 1000;
-}
+//
+// Create an independent state-sync endpoint with its own identity, connections, and peers.
+//
+// Most processes participate in state-sync under a single identity and use the module-level endpoint through the
+// exported functions below.  A site controller that serves more than one role (i.e. a backbone site that also hosts a
+// member site) uses a separate endpoint for each identity.
+//
+exports.CreateEndpoint = function() {
+    var localClass;
+    var localId;
+    var localAddress;
+    var addressToUse;
+    var initialBeacon = true;
+    var onNewPeer;
+    var onPeerLost;
+    var onStateChange;
+    var onStateRequest;
+    var onPing;
+    var store;
+
+    var extraTargets   = [];
+    var connections    = {};  // {connectionKey: conn-record}
+    var peers          = {};  // {peerId: {connectionKey: <key>, peerClass: <class>, version: <negotiated>, capabilities: [], localState: {stateKey: hash}, remoteState: {stateKey: hash}, unverified: [stateKey], dirty: <bool>, unreachable: <bool>, missedHeartbeats: <count>}}
+    var restoredPeers  = {};  // {peerId: {peerClass: <class>, remoteState: {stateKey: hash}}} - Loaded from the store, not yet heard from
+
+    const timerDelayMsec = function(floorSec) {
+        return (Math.floor(Math.random() * (HEARTBEAT_WINDOW_SECONDS + 1) + floorSec)) * 1000;
+    }
 
-const sendHeartbeat = function(peerId) {
-    let peer = peers[peerId];
-    if (!!peer) {
-        if (peer.hbTimer) {
-            clearTimeout(peer.hbTimer);
+    const sendHeartbeat = function(peerId) {
+        let peer = peers[peerId];
+        if (!!peer) {
+            if (peer.hbTimer) {
+                clearTimeout(peer.hbTimer);
+            }
+            //
+            // If the connection to this peer has been deleted, skip the send.  The peer will be evicted by the
+            // liveness check if it is not heard from through another connection.
+            //
+            if (connections[peer.connectionKey]) {
+                const sender = connections[peer.connectionKey].apiSender;
+                const message = protocol.Heartbeat(localId, localClass, peer.localState, addressToUse);
+                amqp.SendMessage(sender, message, {}, peer.address);
+            }
+            peers[peerId].hbTimer = setTimeout(sendHeartbeat, timerDelayMsec(HEARTBEAT_PERIOD_SECONDS), peerId);
+            //Log(`SYNC: Sent Heartbeat to ${peerId}`);
+            //Log(message);
         }
-        const sender = connections[peer.connectionKey].apiSender;
-        const message = protocol.Heartbeat(localId, localClass, peer.localState, addressToUse);
-        amqp.SendMessage(sender, message, {}, peer.address);
-        peers[peerId].hbTimer = setTimeout(sendHeartbeat, timerDelayMsec(HEARTBEAT_PERIOD_SECONDS), peerId);
-        //Log(`SYNC: Sent Heartbeat to ${peerId}`);
-        //Log(message);
     }
-}
-
-const onHeartbeat = async function(connectionKey, peerClass, peerId, hashset, address) {
-    var localState;
-    var remoteState;
-    //Log(`SYNC: Received Heartbeat from ${peerId}`);
-    initialBeacon = false;
 
     //
-    // If this heartbeat comes from a peer we are not tracking, consider this a new-peer.
+    // Remove a peer that has stopped heartbeating.  If the peer returns, it will be re-discovered as a new peer and all of
+    // its state will be re-synchronized from scratch.
     //
-    if (!peers[peerId]) {
-        //Log(`SYNC:   New Peer, id: ${peerId}`);
-        [localState, remoteState] = await onNewPeer(peerId, peerClass);
-        peers[peerId] = {
-            connectionKey : connectionKey,
-            peerClass     : peerClass,
-            address       : address,
-            localState    : localState,
-            remoteState   : remoteState,
-            hbTimer       : null,
-        };
+    const evictPeer = async function(peerId) {
+        const peer = peers[peerId];
+        Log(`SYNC: Peer ${peerId} lost after ${peer.missedHeartbeats} missed heartbeats - evicting`);
+        clearTimeout(peer.hbTimer);
+        clearTimeout(peer.livenessTimer);
+        delete peers[peerId];
+
+        try {
+            await onPeerLost(peerId);
+        } catch (error) {
+            Log(`Exception in peer-lost processing for ${peerId}: ${error.message}`);
+        }
+        await forgetPeer(peerId);
 
         //
-        // Send a heartbeat back to the newly discovered peer with the local hash-state.
+        // If we have beacon targets, we are the side that initiates contact.  Resume beaconing so the peer can find us
+        // again when it returns.
         //
-        sendHeartbeat(peerId);
-    } else {
-        onPing(peerId);
+        if (extraTargets.length > 0 && !initialBeacon) {
+            initialBeacon = true;
+            sendInitialBeacon();
+        }
     }
 
     //
-    // If the hashset is not present in the heartbeat, there is no synchronization to be done.
+    // Save a peer's hash-state to the store if it has changed.
     //
-    if (!!hashset) {
-        //Log('Current Hashset:');
-        //Log(peers[peerId].remoteState);
-        //Log('Heartbeat Hashset:');
-        //Log(hashset);
-        //
-        // Reconcile the existing remote state against the advertized remote state.
-        //
-        let toRequestStateKeys = [];
-        let toDeleteStateKeys = {};
-        for (const key of Object.keys(peers[peerId].remoteState)) {
-            toDeleteStateKeys[key] = true;
-        }
-        for (const [key, hash] of Object.entries(hashset)) {
-            toDeleteStateKeys[key] = false;
-            if (hash != peers[peerId].remoteState[key]) {
-                toRequestStateKeys.push(key);
+    const persistPeer = async function(peerId) {
+        const peer = peers[peerId];
+        if (store && peer && peer.dirty) {
+            peer.dirty = false;
+            try {
+                await store.Save(peerId, {
+                    peerClass    : peer.peerClass,
+                    version      : peer.version,
+                    capabilities : peer.capabilities,
+                    remoteState  : peer.remoteState,
+                });
+            } catch (error) {
+                peer.dirty = true;
+                Log(`Exception saving sync state for peer ${peerId}: ${error.message}`);
             }
         }
+    }
 
-        //
-        // Delete the no-longer-relevant states
-        //
-        for (const [key, value] of Object.entries(toDeleteStateKeys)) {
+    const forgetPeer = async function(peerId) {
+        if (store) {
             try {
-                if (value) {
-                    //Log(`SYNC:   Removing state: ${key}`);
-                    await onStateChange(peerId, key, null, null);
-                    delete peers[peerId].remoteState[key];
-                }
+                await store.Delete(peerId);
             } catch (error) {
-                Log(`Exception in state reconciliation for deletion of ${key}: ${error.message}`);
+                Log(`Exception deleting sync state for peer ${peerId}: ${error.message}`);
             }
         }
+    }
 
-        //
-        // Request updates from the peer for changed hashes
-        //
-        const sender = connections[connectionKey].apiSender;
-        for (const key of toRequestStateKeys) {
-            try {
-                Log(`SYNC:   Requesting state update for key: ${key}, to: ${peers[peerId].address}`);
-                const [ap, body] = await amqp.Request(sender, protocol.GetState(localId, key), {}, peers[peerId].address);
-                if (body.statusCode == 200) {
-                    Log(`SYNC:     New State: hash=${body.hash}, data=`);
-                    Log(body.data);
-                    await onStateChange(peerId, key, body.hash, body.data);
-                    peers[peerId].remoteState[key] = body.hash;
-                } else {
-                    throw (Error(`Protocol error on GetState: (${body.statusCode}) ${body.statusDescription}`));
+    //
+    // Peers restored from the store that have not been heard from within the peer-lost time are gone.  Remove them
+    // from the store.
+    //
+    const expireRestoredPeers = async function() {
+        for (const peerId of Object.keys(restoredPeers)) {
+            Log(`SYNC: Restored peer ${peerId} was not heard from - discarding its sync state`);
+            delete restoredPeers[peerId];
+            await forgetPeer(peerId);
+        }
+    }
+
+    //
+    // Merge the hash-state restored from the store into the remote state of a newly discovered peer.  Hashes supplied by
+    // onNewPeer take precedence.  A restored hash that matches the one the peer advertises is not fetched on resumption.
+    // Returns the restored keys, which are re-verified in the background once the peer is otherwise in sync.
+    //
+    const restorePeer = function(peerId, peerClass, remoteState) {
+        const restored = restoredPeers[peerId];
+        var unverified = [];
+        if (restored) {
+            delete restoredPeers[peerId];
+            if (restored.peerClass == peerClass) {
+                for (const [key, hash] of Object.entries(restored.remoteState || {})) {
+                    if (remoteState[key] === undefined) {
+                        remoteState[key] = hash;
+                        unverified.push(key);
+                    }
                 }
-            } catch (error) {
-                Log(`Exception in state reconciliation for ${key}: ${error.message}`);
-                Log(error.stack);
+                Log(`SYNC: Restored ${unverified.length} state hashes for peer ${peerId}`);
             }
         }
+        return unverified;
     }
-}
 
-const sendInitialBeacon = function() {
-    try {
-        if (initialBeacon && connections['net']) {
-            const sender  = connections['net'].apiSender;
-            for (const address of extraTargets) {
-                //Log(`Sending beacon heartbeat to ${address}`);
-                const message = protocol.Heartbeat(localId, localClass, null, addressToUse);
-                amqp.SendMessage(sender, message, {}, address);
+    //
+    // Count the liveness periods in which we have not heard from a peer.  Evict the peer once the count reaches the limit,
+    // or as soon as it is missed if messages to it can't be delivered.
+    //
+    const checkLiveness = async function(peerId) {
+        let peer = peers[peerId];
+        if (!!peer) {
+            peer.missedHeartbeats += 1;
+            if (peer.missedHeartbeats >= PEER_LOST_HEARTBEATS || peer.unreachable) {
+                await evictPeer(peerId);
+            } else {
+                peer.livenessTimer = setTimeout(checkLiveness, LIVENESS_PERIOD_SECONDS * 1000, peerId);
             }
         }
-    } catch(e) {
-        Log(`Exception caught in sendInitialBeacon - ${e.message}`);
     }
 
-    if (initialBeacon) {
-        setTimeout(sendInitialBeacon, 5000);
+    //
+    // Messages to a peer's address can't be delivered (or can again).  The peer is treated as unreachable:  No state is
+    // requested from it, and it is evicted if it also misses a heartbeat.
+    //
+    const onDestinationUnreachable = function(connectionKey, address) {
+        for (const [peerId, peer] of Object.entries(peers)) {
+            if (peer.connectionKey == connectionKey && peer.address == address && !peer.unreachable) {
+                Log(`SYNC: Peer ${peerId} is unreachable`);
+                peer.unreachable = true;
+            }
+        }
     }
-}
 
-const onSendable = function(connectionKey) {
-    if (initialBeacon) {
-        sendInitialBeacon();
+    const onDestinationReachable = function(connectionKey, address) {
+        for (const peer of Object.values(peers)) {
+            if (peer.connectionKey == connectionKey && peer.address == address) {
+                peer.unreachable = false;
+            }
+        }
     }
-}
 
-const onAddress = function(connectionKey, address) {
-    if (connectionKey == 'net') {
-        addressToUse = address;
-    } else {
-        Log(`ERROR: onAddress invoked with connectionKey '${connectionKey}', expected 'net`);
+    amqp.WatchDestinations(onDestinationUnreachable, onDestinationReachable);
+
+    //
+    // Apply one unit of state received from a peer in response to a GET.
+    //
+    const applyState = async function(peerId, result) {
+        const key = result.statekey;
+        if (result.statusCode != 200) {
+            Log(`SYNC:   Peer ${peerId} could not provide state for key ${key}: (${result.statusCode}) ${result.statusDescription}`);
+            return;
+        }
+        try {
+            Log(`SYNC:     New State: key=${key}, hash=${result.hash}, data=`);
+            Log(result.data);
+            await onStateChange(peerId, key, result.hash, result.data);
+            if (peers[peerId]) {
+                peers[peerId].remoteState[key] = result.hash;
+                peers[peerId].dirty = true;
+            }
+        } catch (error) {
+            Log(`Exception in state reconciliation for ${key}: ${error.message}`);
+            Log(error.stack);
+        }
     }
-}
 
-const processMessage = async function(connectionKey, body, onReply) {
-    try {
-        await protocol.DispatchMessage(body,
-            async (sclass, site, hashset, address) => { // onHeartbeat
-                await onHeartbeat(connectionKey, sclass, site, hashset, address);
-            },
-            async (site, statekey) => {                 // onGet
-                Log(`SYNC: Received state request from ${site} for key ${statekey}`);
-                const [hash, data] = await onStateRequest(site, statekey);
-                onReply({}, protocol.GetStateResponseSuccess(statekey, hash, data));
-            },
-            async (claimId, name) => {                  // onClaim
+    //
+    // Request changed state from a peer.  If the peer supports batched GETs, the keys are requested GET_BATCH_SIZE at a
+    // time, otherwise one key per request.  No more than GET_MAX_IN_FLIGHT requests are outstanding at once.
+    //
+    const requestState = async function(connectionKey, peerId, stateKeys) {
+        const batched = peers[peerId].capabilities.indexOf(protocol.CAPABILITY_GET_BATCH) >= 0;
+        const size    = batched ? GET_BATCH_SIZE : 1;
+        var   work    = [];
+        for (let i = 0; i < stateKeys.length; i += size) {
+            work.push(stateKeys.slice(i, i + size));
+        }
+
+        const worker = async function() {
+            while (work.length > 0) {
+                const keys = work.shift();
+                const peer = peers[peerId];
+                if (!peer || peer.unreachable || !connections[connectionKey]) {
+                    return;
+                }
+                try {
+                    const sender = connections[connectionKey].apiSender;
+                    Log(`SYNC:   Requesting state update for keys: ${keys.join(', ')}, to: ${peer.address}`);
+                    if (batched) {
+                        const [ap, body] = await amqp.Request(sender, protocol.GetStateBatch(localId, keys, peer.version), {}, peer.address, GET_BATCH_TIMEOUT_SECONDS);
+                        if (body.statusCode != 200) {
+                            throw (Error(`Protocol error on GetState: (${body.statusCode}) ${body.statusDescription}`));
+                        }
+                        for (const result of body.results) {
+                            if (keys.indexOf(result.statekey) >= 0) {
+                                await applyState(peerId, result);
+                            }
+                        }
+                    } else {
+                        const [ap, body] = await amqp.Request(sender, protocol.GetState(localId, keys[0], peer.version), {}, peer.address);
+                        await applyState(peerId, {...body, statekey : keys[0]});
+                    }
+                } catch (error) {
+                    Log(`Exception in state reconciliation for ${keys.join(', ')}: ${error.message}`);
+                }
             }
-        );
-    } catch (error) {
-        Log(`Exception in sync message processing: ${error.message}`);
+        }
+
+        var workers = [];
+        while (workers.length < Math.min(GET_MAX_IN_FLIGHT, work.length)) {
+            workers.push(worker());
+        }
+        await Promise.all(workers);
     }
-}
 
-var processingContext = {};  // peerId => {workQueue, processing}
+    const onHeartbeat = async function(connectionKey, peerClass, peerId, hashset, address, capabilities, versions) {
+        var localState;
+        var remoteState;
+        //Log(`SYNC: Received Heartbeat from ${peerId}`);
+
+        //
+        // Ignore peers with which we have no protocol version in common.  They will not be tracked as peers.
+        //
+        const version = protocol.NegotiateVersion(versions);
+        if (version === undefined) {
+            Log(`SYNC: Ignoring heartbeat from ${peerId} - no common protocol version (peer supports ${versions.join(', ')})`);
+            return;
+        }
+        initialBeacon = false;
+
+        //
+        // If this heartbeat comes from a peer we are not tracking, consider this a new-peer.
+        //
+        if (!peers[peerId]) {
+            //Log(`SYNC:   New Peer, id: ${peerId}`);
+            [localState, remoteState] = await onNewPeer(peerId, peerClass);
+            Log(`SYNC: Peer ${peerId} uses protocol version ${version}`);
+            const unverified = restorePeer(peerId, peerClass, remoteState);
+            peers[peerId] = {
+                connectionKey    : connectionKey,
+                peerClass        : peerClass,
+                address          : address,
+                version          : version,
+                capabilities     : capabilities,
+                localState       : localState,
+                remoteState      : remoteState,
+                unverified       : unverified,
+                dirty            : true,
+                unreachable      : false,
+                hbTimer          : null,
+                livenessTimer    : setTimeout(checkLiveness, LIVENESS_PERIOD_SECONDS * 1000, peerId),
+                missedHeartbeats : 0,
+            };
+
+            //
+            // Send a heartbeat back to the newly discovered peer with the local hash-state.  Messages to its address may
+            // have been failing before it (re)appeared.
+            //
+            if (connections[connectionKey]) {
+                amqp.ResetDestination(connections[connectionKey].apiSender, address);
+            }
+            sendHeartbeat(peerId);
+        } else {
+            //
+            // The peer may have been upgraded or downgraded in place.  Follow its advertised versions and capabilities.
+            //
+            if (peers[peerId].version != version) {
+                Log(`SYNC: Peer ${peerId} changed to protocol version ${version}`);
+                peers[peerId].version = version;
+                peers[peerId].dirty   = true;
+            }
+            //
+            // Having heard from the peer, give messages to it another chance.
+            //
+            if (peers[peerId].unreachable) {
+                if (connections[connectionKey]) {
+                    amqp.ResetDestination(connections[connectionKey].apiSender, peers[peerId].address);
+                }
+                peers[peerId].unreachable = false;
+            }
+            peers[peerId].missedHeartbeats = 0;
+            peers[peerId].capabilities     = capabilities;
+            onPing(peerId);
+        }
+
+        //
+        // If the hashset is not present in the heartbeat, there is no synchronization to be done.
+        //
+        if (!!hashset) {
+            //Log('Current Hashset:');
+            //Log(peers[peerId].remoteState);
+            //Log('Heartbeat Hashset:');
+            //Log(hashset);
+            //
+            // Reconcile the existing remote state against the advertized remote state.
+            //
+            let toRequestStateKeys = [];
+            let toDeleteStateKeys = {};
+            for (const key of Object.keys(peers[peerId].remoteState)) {
+                toDeleteStateKeys[key] = true;
+            }
+            for (const [key, hash] of Object.entries(hashset)) {
+                toDeleteStateKeys[key] = false;
+                if (hash != peers[peerId].remoteState[key]) {
+                    toRequestStateKeys.push(key);
+                }
+            }
+
+            //
+            // Delete the no-longer-relevant states
+            //
+            for (const [key, value] of Object.entries(toDeleteStateKeys)) {
+                try {
+                    if (value) {
+                        //Log(`SYNC:   Removing state: ${key}`);
+                        await onStateChange(peerId, key, null, null);
+                        if (peers[peerId]) {
+                            delete peers[peerId].remoteState[key];
+                            peers[peerId].dirty = true;
+                        }
+                    }
+                } catch (error) {
+                    Log(`Exception in state reconciliation for deletion of ${key}: ${error.message}`);
+                }
+            }
+
+            //
+            // While nothing has changed, re-verify a few of the restored keys that the peer still advertises with the
+            // restored hash.  The others are deleted or changed and have been handled above.
+            //
+            if (toRequestStateKeys.length == 0 && peers[peerId] && peers[peerId].unverified.length > 0) {
+                const unverified = peers[peerId].unverified.filter(key => hashset[key] !== undefined && hashset[key] == peers[peerId].remoteState[key]);
+                toRequestStateKeys = unverified.slice(0, VERIFY_KEYS_PER_HEARTBEAT);
+                peers[peerId].unverified = unverified.slice(VERIFY_KEYS_PER_HEARTBEAT);
+            }
 
-const processWorkQueue = async function(siteId) {
-    while (processingContext[siteId].processing) {
-        const [connectionKey, body, onReply] = processingContext[siteId].workQueue.shift();
-        await processMessage(connectionKey, body, onReply);
-        processingContext[siteId].processing = processingContext[siteId].workQueue.length > 0;
+            //
+            // Request updates from the peer for changed hashes
+            //
+            if (toRequestStateKeys.length > 0 && peers[peerId]) {
+                await requestState(connectionKey, peerId, toRequestStateKeys);
+            }
+        }
+
+        await persistPeer(peerId);
     }
-}
 
-const onMessage = function(connectionKey, application_properties, body, onReply) {
-    const siteId = protocol.SourceSite(body);
+    const sendInitialBeacon = function() {
+        try {
+            if (initialBeacon && connections['net']) {
+                const sender  = connections['net'].apiSender;
+                for (const address of extraTargets) {
+                    //Log(`Sending beacon heartbeat to ${address}`);
+                    const message = protocol.Heartbeat(localId, localClass, null, addressToUse);
+                    amqp.SendMessage(sender, message, {}, address);
+                }
+            }
+        } catch(e) {
+            Log(`Exception caught in sendInitialBeacon - ${e.message}`);
+        }
 
-    if (!processingContext[siteId]) {
-        processingContext[siteId] = {
-            workQueue  : [],
-            processing : false,
-        };
+        if (initialBeacon) {
+            setTimeout(sendInitialBeacon, 5000);
+        }
     }
 
-    processingContext[siteId].workQueue.push([connectionKey, body, onReply]);
-    if (!processingContext[siteId].processing) {
-        processingContext[siteId].processing = true;
-        processWorkQueue(siteId);
+    const onSendable = function(connectionKey) {
+        if (initialBeacon) {
+            sendInitialBeacon();
+        }
     }
-}
 
-//
-// Notify a peer that state being synchronized to it has changed.
-//
-exports.UpdateLocalState = async function(peerId, stateKey, stateHash) {
-    if (!peers[peerId]) {
-        Log(`UpdateLocalState on nonexisting peerId: ${peerId}`);
-    } else {
-        if (stateHash) {
-            peers[peerId].localState[stateKey] = stateHash;
+    const onAddress = function(connectionKey, address) {
+        if (connectionKey == 'net') {
+            addressToUse = address;
         } else {
-            delete peers[peerId].localState[stateKey];
+            Log(`ERROR: onAddress invoked with connectionKey '${connectionKey}', expected 'net`);
         }
-        sendHeartbeat(peerId);
     }
-}
 
-//
-// Add a new heartbeat target.  This is optional and is only needed in cases where peers are not
-// automatically detected.
-//
-// This is called by backbone and member sites to target the managment controller, but is not called
-// by the management controller, which automatically detects sites.
-//
-exports.AddTarget = async function(targetAddress) {
-    extraTargets.push(targetAddress);
-}
+    const processMessage = async function(connectionKey, body, onReply) {
+        try {
+            await protocol.DispatchMessage(body,
+                async (sclass, site, hashset, address, capabilities, versions) => { // onHeartbeat
+                    await onHeartbeat(connectionKey, sclass, site, hashset, address, capabilities, versions);
+                },
+                async (site, statekey, statekeys) => {      // onGet
+                    if (statekeys) {
+                        Log(`SYNC: Received state request from ${site} for keys ${statekeys.join(', ')}`);
+                        var results = [];
+                        for (const key of statekeys) {
+                            try {
+                                const [hash, data] = await onStateRequest(site, key);
+                                results.push(protocol.GetStateResponseSuccess(key, hash, data));
+                            } catch (error) {
+                                results.push(protocol.GetStateResponseFailure(key, 500, error.message));
+                            }
+                        }
+                        onReply({}, protocol.GetStateResponseBatch(results));
+                    } else {
+                        Log(`SYNC: Received state request from ${site} for key ${statekey}`);
+                        try {
+                            const [hash, data] = await onStateRequest(site, statekey);
+                            onReply({}, protocol.GetStateResponseSuccess(statekey, hash, data));
+                        } catch (error) {
+                            Log(`SYNC: State request from ${site} for key ${statekey} failed: ${error.message}`);
+                            onReply({}, protocol.GetStateResponseFailure(statekey, 500, error.message));
+                        }
+                    }
+                },
+                async (claimId, name) => {                  // onClaim
+                },
+                async (description) => {                    // onUnsupported
+                    Log(`SYNC: Unsupported request - ${description}`);
+                    onReply({}, protocol.ResponseUnsupported(description));
+                }
+            );
+        } catch (error) {
+            Log(`Exception in sync message processing: ${error.message}`);
+        }
+    }
 
-//
-// Add a new AMQP connection for communication.
-//
-// backboneId : The identifier of the backbone to which this connection connects - undefined == connected to management-controller
-// conn       : The AMQP connection
-//
-exports.AddConnection = async function(backboneId, conn) {
-    const connectionKey = backboneId || 'net';
+    var processingContext = {};  // peerId => {workQueue, processing}
+
+    const processWorkQueue = async function(siteId) {
+        while (processingContext[siteId].processing) {
+            const [connectionKey, body, onReply] = processingContext[siteId].workQueue.shift();
+            await processMessage(connectionKey, body, onReply);
+            processingContext[siteId].processing = processingContext[siteId].workQueue.length > 0;
+        }
+    }
+
+    const onMessage = function(connectionKey, application_properties, body, onReply) {
+        const siteId = protocol.SourceSite(body);
+
+        if (!processingContext[siteId]) {
+            processingContext[siteId] = {
+                workQueue  : [],
+                processing : false,
+            };
+        }
+
+        processingContext[siteId].workQueue.push([connectionKey, body, onReply]);
+        if (!processingContext[siteId].processing) {
+            processingContext[siteId].processing = true;
+            processWorkQueue(siteId);
+        }
+    }
 
     //
-    // If someone is creating a backbone connection and the local address was not provided in the Start function,
-    // throw an error.  This is an unintended use of this module.  If there is a dynamic local address, there shall
-    // be no more than one connection in place at a time.
+    // Notify a peer that state being synchronized to it has changed.
     //
-    if (!!backboneId && !localAddress) {
-        const error = 'Illegal adding of a backbone connection when no local address has been established';
-        Log(`state-sync.AddConnection: ${error}`);
-        throw(Error(error));
+    const updateLocalState = async function(peerId, stateKey, stateHash) {
+        if (!peers[peerId]) {
+            Log(`UpdateLocalState on nonexisting peerId: ${peerId}`);
+        } else {
+            if (stateHash) {
+                peers[peerId].localState[stateKey] = stateHash;
+            } else {
+                delete peers[peerId].localState[stateKey];
+            }
+            sendHeartbeat(peerId);
+        }
     }
 
-    let connRecord = {
-        conn        : conn,
-        apiSender   : amqp.OpenSender('AnonymousSender', conn, undefined, onSendable, connectionKey),
-        apiReceiver : null,
-    };
+    //
+    // Add a new heartbeat target.  This is optional and is only needed in cases where peers are not
+    // automatically detected.
+    //
+    // This is called by backbone and member sites to target the managment controller, but is not called
+    // by the management controller, which automatically detects sites.
+    //
+    const addTarget = async function(targetAddress) {
+        extraTargets.push(targetAddress);
+    }
+
+    //
+    // Add a new AMQP connection for communication.
+    //
+    // backboneId : The identifier of the backbone to which this connection connects - undefined == connected to management-controller
+    // conn       : The AMQP connection
+    //
+    const addConnection = async function(backboneId, conn) {
+        const connectionKey = backboneId || 'net';
+
+        //
+        // If someone is creating a backbone connection and the local address was not provided in the Start function,
+        // throw an error.  This is an unintended use of this module.  If there is a dynamic local address, there shall
+        // be no more than one connection in place at a time.
+        //
+        if (!!backboneId && !localAddress) {
+            const error = 'Illegal adding of a backbone connection when no local address has been established';
+            Log(`state-sync.AddConnection: ${error}`);
+            throw(Error(error));
+        }
+
+        let connRecord = {
+            conn        : conn,
+            apiSender   : amqp.OpenSender('AnonymousSender', conn, undefined, onSendable, connectionKey),
+            apiReceiver : null,
+        };
 
-    if (!!localAddress) {
-        connRecord.apiReceiver = amqp.OpenReceiver(conn, localAddress, onMessage, connectionKey);
-        addressToUse = localAddress;
-    } else {
-        connRecord.apiReceiver = amqp.OpenDynamicReceiver(conn, onMessage, onAddress, connectionKey);
+        if (!!localAddress) {
+            connRecord.apiReceiver = amqp.OpenReceiver(conn, localAddress, onMessage, connectionKey);
+            addressToUse = localAddress;
+        } else {
+            connRecord.apiReceiver = amqp.OpenDynamicReceiver(conn, onMessage, onAddress, connectionKey);
+        }
+
+        connRecord.apiReceiver.connectionKey = connectionKey;
+        connections[connectionKey] = connRecord;
     }
 
-    connRecord.apiReceiver.connectionKey = connectionKey;
-    connections[connectionKey] = connRecord;
-}
+    //
+    // Delete an AMQP connection - This does not affect the lifecycle of known peers.
+    //
+    // backboneId : The identifier (or undefined for the management-controller) of the connected backbone
+    //
+    const deleteConnection = async function(backboneId) {
+        delete connections[backboneId];
+    }
 
-//
-// Delete an AMQP connection - This does not affect the lifecycle of known peers.
-//
-// backboneId : The identifier (or undefined for the management-controller) of the connected backbone
-//
-exports.DeleteConnection = async function(backboneId) {
-    delete connections[backboneId];
+    //
+    // Initialize the State-Sync endpoint
+    //
+    //   Parameters:
+    //     _class   : 'management' | 'backbone' | 'member'
+    //     _id      : The ID of the local controller
+    //     _address : The AMQP address on which this node receives heartbeats.  If undefined, a dynamic address will be used.
+    //   Callbacks:
+    //     _onNewPeer(peerId, peerClass) => [LocalStateHash, RemoteStateHash] for the peer
+    //     _onPeerLost(peerId)  Invoked when the peer has missed SKX_SYNC_PEER_LOST_HEARTBEATS consecutive heartbeat windows
+    //     _onStateChange(peerId, stateKey, hash, data)   If hash == null, stateKey should be deleted, else updated
+    //     _onStateRequest(peerId, stateKey) => [hash, data]
+    //     _onPing(peerId)  Invoked whenever we hear from the peer
+    //   Storage:
+    //     _store  Optional {Load() => {peerId: record}, Save(peerId, record), Delete(peerId)} for the peers' hash-state
+    //
+    const start = async function(_class, _id, _address, _onNewPeer, _onPeerLost, _onStateChange, _onStateRequest, _onPing, _store=undefined) {
+        Log(`State-Sync Module starting: class=${_class}, id=${_id}, address=${_address || '<dynamic>'}`);
+        localClass     = _class;
+        localId        = _id;
+        localAddress   = _address;
+        onNewPeer      = _onNewPeer;
+        onPeerLost     = _onPeerLost;
+        onStateChange  = _onStateChange;
+        onStateRequest = _onStateRequest;
+        onPing         = _onPing;
+        store          = _store;
+
+        if (store) {
+            try {
+                restoredPeers = await store.Load();
+                Log(`State-Sync restored the sync state of ${Object.keys(restoredPeers).length} peers`);
+            } catch (error) {
+                Log(`Exception loading sync state: ${error.message}`);
+            }
+            setTimeout(expireRestoredPeers, PEER_LOST_HEARTBEATS * LIVENESS_PERIOD_SECONDS * 1000);
+        }
+    }
+
+    return {
+        UpdateLocalState : updateLocalState,
+        AddTarget        : addTarget,
+        AddConnection    : addConnection,
+        DeleteConnection : deleteConnection,
+        Start            : start,
+    };
 }
 
-//
-// Initialize the State-Sync module
-//
-//   Parameters:
-//     _class   : 'management' | 'backbone' | 'member'
-//     _id      : The ID of the local controller
-//     _address : The AMQP address on which this node receives heartbeats.  If undefined, a dynamic address will be used.
-//   Callbacks:
-//     _onNewPeer(peerId, peerClass) => [LocalStateHash, RemoteStateHash] for the peer
-//     _onPeerLost(peerId)
-//     _onStateChange(peerId, stateKey, hash, data)   If hash == null, stateKey should be deleted, else updated
-//     _onStateRequest(peerId, stateKey) => [hash, data]
-//     _onPing(peerId)  Invoked whenever we hear from the peer
-//
-exports.Start = async function(_class, _id, _address, _onNewPeer, _onPeerLost, _onStateChange, _onStateRequest, _onPing) {
-    Log(`State-Sync Module starting: class=${_class}, id=${_id}, address=${_address || '<dynamic>'}`);
-    localClass     = _class;
-    localId        = _id;
-    localAddress   = _address;
-    onNewPeer      = _onNewPeer;
-    onPeerLost     = _onPeerLost;
-    onStateChange  = _onStateChange;
-    onStateRequest = _onStateRequest;
-    onPing         = _onPing;
-}
\ No newline at end of file
+const defaultEndpoint = exports.CreateEndpoint();
+
+exports.UpdateLocalState = defaultEndpoint.UpdateLocalState;
+exports.AddTarget        = defaultEndpoint.AddTarget;
+exports.AddConnection    = defaultEndpoint.AddConnection;
+exports.DeleteConnection = defaultEndpoint.DeleteConnection;
+exports.Start            = defaultEndpoint.Start;
@@ -121,6 +121,51 @@ exports.ValidateAndNormalizeFields = function(fields, table) {
             }
             break;
 
+        case 'enum' :
+            if (table[key].values.indexOf(value) < 0) {
+                throw(Error(`Expected [${table[key].values.join(', ')}] for key ${key}`));
+            }
+            normalized[key] = value;
+            break;
+
+        case 'stringlist' :
+            //
+            // Comma-separated list of strings.  If the table entry has 'values', each item must be one of them.
+            //
+            if (typeof value != 'string') {
+                throw(Error(`Expected comma-separated string value for key ${key}`));
+            }
+            if (value.indexOf("'") != -1) {
+                throw(Error(`Single quotes not permitted for key ${key}`));
+            }
+            normalized[key] = [];
+            for (const item of value.split(',')) {
+                const trimmed = item.trim();
+                if (trimmed.length > 0) {
+                    if (table[key].values && table[key].values.indexOf(trimmed) < 0) {
+                        throw(Error(`Expected items from [${table[key].values.join(', ')}] for key ${key} (got ${trimmed})`));
+                    }
+                    normalized[key].push(trimmed);
+                }
+            }
+            break;
+
+        case 'uuidlist' :
+            if (typeof value != 'string') {
+                throw(Error(`Expected comma-separated string value for key ${key}`));
+            }
+            normalized[key] = [];
+            for (const item of value.split(',')) {
+                const trimmed = item.trim();
+                if (trimmed.length > 0) {
+                    if (!exports.IsValidUuid(trimmed)) {
+                        throw(Error(`Expected valid uuids for key ${key} (got ${trimmed})`));
+                    }
+                    normalized[key].push(trimmed);
+                }
+            }
+            break;
+
         case 'kubeselector' :
             throw(Error('kubeselector field type not implemented'));
 
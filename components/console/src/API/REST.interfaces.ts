@@ -135,3 +135,19 @@ export interface MemberResponse {
   siteclass: string | null;
   firstactivetime: string | null;
 }
+
+export interface AuthConfigResponse {
+  mode: 'oidc' | 'disabled';
+  issuer?: string;
+  clientId?: string;
+}
+
+export interface OidcDiscoveryResponse {
+  authorization_endpoint: string;
+  token_endpoint: string;
+}
+
+export interface TokenResponse {
+  access_token: string;
+  expires_in?: number;
+}
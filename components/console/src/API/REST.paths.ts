@@ -25,3 +25,6 @@ export const getInvitationPath = (id: string) => `${INVITATION_PATH}${id}`;
 
 const MEMBER_PATH = `${COLLECTOR_URL}/member/`;
 export const getMemberPath = (id: string) => `${MEMBER_PATH}${id}`;
+
+const AUTH_CONFIG_PATH = `${COLLECTOR_URL}/auth/config`;
+export const getAuthConfigPATH = () => AUTH_CONFIG_PATH;
@@ -2,6 +2,7 @@ import axios, { AxiosError } from 'axios';
 
 import { MSG_TIMEOUT_ERROR } from '@config/config';
 
+import { getAccessToken, signIn } from './auth';
 import { FetchWithOptions, HTTPError } from './REST.interfaces';
 
 function handleStatusError(e: AxiosError<{ message?: string }>) {
@@ -11,6 +12,11 @@ function handleStatusError(e: AxiosError<{ message?: string }>) {
     error.message = e.message || MSG_TIMEOUT_ERROR;
   }
 
+  // the token has expired or was revoked: sign in again
+  if (e.response?.status === 401) {
+    signIn();
+  }
+
   if (error.response?.status) {
     const {
       response: { status, statusText }
@@ -35,6 +41,16 @@ export async function axiosFetch<T = unknown>(url: string, options: FetchWithOpt
   return response.data;
 }
 
+axios.interceptors.request.use((config) => {
+  const token = getAccessToken();
+
+  if (token) {
+    config.headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  return config;
+});
+
 axios.interceptors.response.use(
   (config) => config,
   (e) => handleStatusError(e)
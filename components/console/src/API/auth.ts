@@ -0,0 +1,150 @@
+import { getDataFromSession, storeDataToSession } from '@core/utils/persistData';
+
+import { AuthConfigResponse, OidcDiscoveryResponse, TokenResponse } from './REST.interfaces';
+import { getAuthConfigPATH } from './REST.paths';
+
+/**
+ * Signs the user in to the management controller's identity provider with the authorization-code flow (PKCE).
+ * The IdP requests use fetch rather than axios so that they bypass the API interceptors.
+ */
+
+const TOKEN_KEY = 'skx-auth-token';
+const SIGN_IN_KEY = 'skx-auth-sign-in';
+
+interface StoredToken {
+  accessToken: string;
+  expiresAt: number;
+}
+
+interface SignInRequest {
+  state: string;
+  verifier: string;
+  returnTo: string;
+}
+
+let authConfig: AuthConfigResponse | null = null;
+
+async function fetchJson<T>(url: string, init?: RequestInit): Promise<T> {
+  const response = await fetch(url, init);
+
+  if (!response.ok) {
+    throw new Error(`${response.status}: ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+function base64Url(bytes: Uint8Array) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function randomString() {
+  return base64Url(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+async function codeChallenge(verifier: string) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+
+  return base64Url(new Uint8Array(digest));
+}
+
+function redirectUri() {
+  return `${window.location.origin}${window.location.pathname}`;
+}
+
+function discover(issuer: string) {
+  return fetchJson<OidcDiscoveryResponse>(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+}
+
+export function getAccessToken(): string | null {
+  const token = getDataFromSession<StoredToken>(TOKEN_KEY);
+
+  return token && token.expiresAt > Date.now() ? token.accessToken : null;
+}
+
+/** Navigates to the identity provider's sign-in page.  Does nothing if authentication is disabled. */
+export async function signIn() {
+  if (authConfig?.mode !== 'oidc' || !authConfig.issuer || !authConfig.clientId) {
+    return;
+  }
+
+  const { authorization_endpoint } = await discover(authConfig.issuer);
+  const state = randomString();
+  const verifier = randomString();
+
+  storeDataToSession<SignInRequest>(SIGN_IN_KEY, { state, verifier, returnTo: window.location.href });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: authConfig.clientId,
+    redirect_uri: redirectUri(),
+    scope: 'openid',
+    state,
+    code_challenge: await codeChallenge(verifier),
+    code_challenge_method: 'S256'
+  });
+
+  window.location.assign(`${authorization_endpoint}?${params}`);
+}
+
+async function completeSignIn(params: URLSearchParams) {
+  const request = getDataFromSession<SignInRequest>(SIGN_IN_KEY);
+  sessionStorage.removeItem(SIGN_IN_KEY);
+
+  if (params.get('error')) {
+    throw new Error(params.get('error_description') || (params.get('error') as string));
+  }
+
+  if (!request || request.state !== params.get('state') || !authConfig?.issuer || !authConfig.clientId) {
+    throw new Error('The sign-in response does not match a sign-in request');
+  }
+
+  const { token_endpoint } = await discover(authConfig.issuer);
+  const token = await fetchJson<TokenResponse>(token_endpoint, {
+    method: 'POST',
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: params.get('code') as string,
+      redirect_uri: redirectUri(),
+      client_id: authConfig.clientId,
+      code_verifier: request.verifier
+    })
+  });
+
+  storeDataToSession<StoredToken>(TOKEN_KEY, {
+    accessToken: token.access_token,
+    expiresAt: Date.now() + (token.expires_in ?? 300) * 1000
+  });
+  window.history.replaceState(null, '', request.returnTo);
+}
+
+/**
+ * Called before the console is rendered.  Resolves to true once the console may call the API, or to false if the
+ * browser is being sent to the sign-in page.
+ */
+export async function initAuth(): Promise<boolean> {
+  authConfig = await fetchJson<AuthConfigResponse>(getAuthConfigPATH());
+
+  if (authConfig.mode !== 'oidc') {
+    return true;
+  }
+
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.get('state')) {
+    await completeSignIn(params);
+
+    return true;
+  }
+
+  if (getAccessToken()) {
+    return true;
+  }
+
+  await signIn();
+
+  return false;
+}
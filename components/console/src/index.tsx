@@ -1,13 +1,22 @@
 import { createRoot } from 'react-dom/client';
 
+import { initAuth } from '@API/auth';
 import { Wrapper } from '@core/components/Wrapper';
 import App from 'App';
 
 const rootElement = document.getElementById('app') as HTMLDivElement;
 const root = createRoot(rootElement);
 
-root.render(
-  <Wrapper>
-    <App />
-  </Wrapper>
-);
+initAuth()
+  .then((authenticated) => {
+    if (authenticated) {
+      root.render(
+        <Wrapper>
+          <App />
+        </Wrapper>
+      );
+    }
+  })
+  .catch((e: Error) => {
+    root.render(<p>Sign-in failed: {e.message}</p>);
+  });
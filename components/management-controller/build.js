@@ -18,21 +18,27 @@ const appEntryPoint = path.join(appDir, 'index.js');
 // List of modules to copy to the application directory
 const modules = [
   'api-admin',
+  'api-application',
   'api-user',
+  'auth',
   'backbone-links',
+  'backbone-topology',
   'site-templates',
   'site-deployment-state',
   'certs',
   'config',
   'db',
+  'leader',
   'manage-sync',
   'mc-apiserver',
   'mc-main',
   'prune',
+  'router-policy',
+  'van-scheduler',
 ];
 
 // List of common modules to copy to the application directory
-const commonModules = ['amqp', 'kube', 'log', 'protocol', 'util'];
+const commonModules = ['amqp', 'config-signature', 'kube', 'log', 'protocol', 'util'];
 
 // Function to clean up previous build, if present
 async function cleanupPreviousBuild() {
@@ -25,9 +25,14 @@ const sync       = require('./sync-management.js');
 const Log        = require('./common/log.js').Log;
 const deployment = require('./site-deployment-state.js');
 const util       = require('./common/util.js');
+const topology   = require('./backbone-topology.js');
+const certs      = require('./certs.js');
+const bbLinks    = require('./backbone-links.js');
+const yaml       = require('js-yaml');
 
 const API_PREFIX   = '/api/v1alpha2/';
 const INGRESS_LIST = ['claim', 'peer', 'member', 'manage'];
+const INGRESS_TYPES = ['route', 'loadbalancer', 'nodeport', 'nginx-ingress-v1', 'contour-http-proxy', 'gateway-tls-route'];
 
 const createBackbone = async function(req, res) {
     var returnStatus;
@@ -75,6 +80,9 @@ const createBackboneSite = async function(req, res) {
         const norm = util.ValidateAndNormalizeFields(fields, {
             'name'     : {type: 'dnsname', optional: false},
             'metadata' : {type: 'string',  optional: true, default: null},
+            'ingress'       : {type: 'enum',    optional: true, default: 'route', values: INGRESS_TYPES},
+            'ingressdomain' : {type: 'dnsname', optional: true, default: null},
+            'memberenabled' : {type: 'bool',    optional: true, default: false},
         });
 
         const client = await db.ClientFromPool();
@@ -104,7 +112,7 @@ const createBackboneSite = async function(req, res) {
             //
             // Create the site
             //
-            const result = await client.query(`INSERT INTO InteriorSites(Name, Backbone${extraCols}) VALUES ($1, $2${extraVals}) RETURNING Id`, [uniqueName, bid]);
+            const result = await client.query(`INSERT INTO InteriorSites(Name, Backbone, IngressType, IngressDomain, MemberEnabled${extraCols}) VALUES ($1, $2, $3, $4, $5${extraVals}) RETURNING Id`, [uniqueName, bid, norm.ingress, norm.ingressdomain, norm.memberenabled]);
             const siteId = result.rows[0].id;
             await client.query("COMMIT");
 
@@ -138,6 +146,9 @@ const updateBackboneSite = async function(req, res) {
         const norm = util.ValidateAndNormalizeFields(fields, {
             'name'     : {type: 'string', optional: true, default: null},
             'metadata' : {type: 'string', optional: true, default: null},
+            'ingress'       : {type: 'enum',    optional: true, default: null, values: INGRESS_TYPES},
+            'ingressdomain' : {type: 'dnsname', optional: true, default: null},
+            'memberenabled' : {type: 'bool',    optional: true, default: null},
         });
     
         const client = await db.ClientFromPool();
@@ -164,6 +175,19 @@ const updateBackboneSite = async function(req, res) {
                 if (norm.metadata != null && norm.metadata != site.metadata) {
                     await client.query("UPDATE InteriorSites SET Metadata = $1 WHERE Id = $2", [norm.metadata, sid]);
                 }
+
+                //
+                // Update the ingress and member settings if needed.  These take effect when the site is next deployed.
+                //
+                if (norm.ingress != null && norm.ingress != site.ingresstype) {
+                    await client.query("UPDATE InteriorSites SET IngressType = $1 WHERE Id = $2", [norm.ingress, sid]);
+                }
+                if (norm.ingressdomain != null && norm.ingressdomain != site.ingressdomain) {
+                    await client.query("UPDATE InteriorSites SET IngressDomain = $1 WHERE Id = $2", [norm.ingressdomain, sid]);
+                }
+                if (norm.memberenabled != null && norm.memberenabled != site.memberenabled) {
+                    await client.query("UPDATE InteriorSites SET MemberEnabled = $1 WHERE Id = $2", [norm.memberenabled, sid]);
+                }
             }
             await client.query("COMMIT");
 
@@ -425,6 +449,72 @@ const activateBackbone = async function(req, res) {
     return returnStatus;
 }
 
+//
+// Request the rotation of the certificate owned by a backbone, site, or access point.  The new certificate
+// is delivered to the affected sites when it has been issued.
+//
+const rotateCertificate = async function(res, table, id) {
+    var returnStatus = 202;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(id)) {
+            throw(Error('Id is not a valid uuid'));
+        }
+
+        const requested = await certs.RotateCertificate_TX(client, table, id);
+        await client.query("COMMIT");
+        if (requested) {
+            res.status(returnStatus).end();
+        } else {
+            returnStatus = 409;
+            res.status(returnStatus).send('Certificate rotation already in progress');
+        }
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = 400;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+//
+// Drain a backbone site for maintenance, or resume it afterward.  Member sites attached through the site's access
+// points are told to move to their alternate access points, which they do without dropping their attachment.
+//
+const drainBackboneSite = async function(req, res, draining) {
+    var returnStatus = 200;
+    const sid = req.params.sid;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(sid)) {
+            throw(Error('Site-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("UPDATE InteriorSites SET Draining = $2 WHERE Id = $1", [sid, draining]);
+        if (result.rowCount != 1) {
+            returnStatus = 404;
+            throw(Error('Backbone site not found'));
+        }
+        await client.query("COMMIT");
+        res.status(returnStatus).end();
+    } catch (error) {
+        await client.query("ROLLBACK");
+        if (returnStatus == 200) {
+            returnStatus = 400;
+        }
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
 const deleteBackbone = async function(req, res) {
     var returnStatus = 204;
     const bid = req.params.bid;
@@ -638,6 +728,33 @@ const listBackbones = async function(req, res) {
     }
 }
 
+//
+// Report the access points through which the management controller can connect to a backbone and which one it is
+// using.
+//
+const readBackboneConnection = async function(req, res) {
+    var returnStatus = 200;
+    const bid = req.params.bid;
+    try {
+        if (!util.IsValidUuid(bid)) {
+            throw(Error('Backbone-Id is not a valid uuid'));
+        }
+
+        const endpoints = bbLinks.ConnectionEndpoints(bid);
+        if (endpoints === undefined) {
+            returnStatus = 404;
+            res.status(returnStatus).send('No management connection to the backbone');
+        } else {
+            res.status(returnStatus).json(endpoints);
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).send(error.message);
+    }
+
+    return returnStatus;
+}
+
 const listBackboneSites = async function(req, res) {
     var returnStatus = 200;
     const bid = req.params.bid;
@@ -660,7 +777,7 @@ const listBackboneSites = async function(req, res) {
             id = sid;
         }
 
-        const result = await client.query(`SELECT Id, Name, Lifecycle, Failure, Metadata, DeploymentState, FirstActiveTime, LastHeartbeat FROM InteriorSites WHERE ${byBackbone ? 'Backbone' : 'Id'} = $1`, [id]);
+        const result = await client.query(`SELECT Id, Name, Lifecycle, Failure, Metadata, IngressType, IngressDomain, MemberEnabled, DeploymentState, FirstActiveTime, LastHeartbeat, Stale, Draining FROM InteriorSites WHERE ${byBackbone ? 'Backbone' : 'Id'} = $1`, [id]);
 
         if (byBackbone) {
             var list = [];
@@ -793,6 +910,67 @@ const listBackboneLinks = async function(req, res) {
     return returnStatus;
 }
 
+const readRequestBody = function(req) {
+    return new Promise((resolve, reject) => {
+        var chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        req.on('error', reject);
+    });
+}
+
+const exportTopology = async function(req, res) {
+    var returnStatus = 200;
+    const bid = req.params.bid;
+    try {
+        if (!util.IsValidUuid(bid)) {
+            throw(Error('Backbone-Id is not a valid uuid'));
+        }
+
+        const doc = await topology.Export(bid);
+        if (req.query.format == 'json') {
+            res.status(returnStatus).json(doc);
+        } else {
+            res.status(returnStatus).type('application/yaml').send(yaml.dump(doc));
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).send(error.message);
+    }
+
+    return returnStatus;
+}
+
+//
+// Apply a topology document (YAML or JSON) to a backbone.  With ?dryrun=true, the changes are computed and
+// returned but not applied.
+//
+const applyTopology = async function(req, res) {
+    var returnStatus = 200;
+    const bid = req.params.bid;
+    try {
+        if (!util.IsValidUuid(bid)) {
+            throw(Error('Backbone-Id is not a valid uuid'));
+        }
+
+        var doc;
+        try {
+            doc = yaml.load(await readRequestBody(req));
+        } catch (error) {
+            throw(Error(`Unable to parse topology document: ${error.message}`));
+        }
+
+        const dryRun  = req.query.dryrun == 'true';
+        const changes = await topology.Apply(bid, doc, dryRun);
+        res.status(returnStatus).json({applied : !dryRun, changes : changes});
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).send(error.message);
+    }
+
+    return returnStatus;
+}
+
 const listSiteIngresses = async function(sid, res) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
@@ -846,56 +1024,78 @@ exports.Initialize = async function(app, keycloak) {
     // Backbones
     //========================================
 
-    app.route(API_PREFIX + 'backbones', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbones').all(keycloak.protect('realm:backbone-admin'))
     .post(createBackbone)       // CREATE
     .get(listBackbones);        // LIST
 
-    app.route(API_PREFIX + 'backbone/:bid', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbone/:bid').all(keycloak.protect('realm:backbone-admin'))
     .get(listBackbones)         // READ
     .delete(deleteBackbone);    // DELETE
 
-    app.route(API_PREFIX + 'backbone/:bid/activate', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbone/:bid/activate').all(keycloak.protect('realm:backbone-admin'))
     .put(activateBackbone);     // ACTIVATE
 
+    app.route(API_PREFIX + 'backbone/:bid/rotate').all(keycloak.protect('realm:backbone-admin'))
+    .put(async (req, res) => await rotateCertificate(res, 'Backbones', req.params.bid));
+
+    app.route(API_PREFIX + 'backbone/:bid/connection').all(keycloak.protect('realm:backbone-admin'))
+    .get(readBackboneConnection);  // READ
+
+    app.route(API_PREFIX + 'backbone/:bid/topology').all(keycloak.protect('realm:backbone-admin'))
+    .get(exportTopology)        // EXPORT
+    .post(applyTopology);       // APPLY
+
     //========================================
     // Backbone/Interior Sites
     //========================================
 
-    app.route(API_PREFIX + 'backbone/:bid/sites', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbone/:bid/sites').all(keycloak.protect('realm:backbone-admin'))
     .post(createBackboneSite)     // CREATE
     .get(listBackboneSites);      // LIST
 
-    app.route(API_PREFIX + 'backbonesite/:sid', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbonesite/:sid').all(keycloak.protect('realm:backbone-admin'))
     .get(listBackboneSites)       // READ
     .put(updateBackboneSite)      // UPDATE
     .delete(deleteBackboneSite);  // DELETE
 
+    app.route(API_PREFIX + 'backbonesite/:sid/rotate').all(keycloak.protect('realm:backbone-admin'))
+    .put(async (req, res) => await rotateCertificate(res, 'InteriorSites', req.params.sid));
+
+    app.route(API_PREFIX + 'backbonesite/:sid/drain').all(keycloak.protect('realm:backbone-admin'))
+    .put(async (req, res) => await drainBackboneSite(req, res, true));
+
+    app.route(API_PREFIX + 'backbonesite/:sid/resume').all(keycloak.protect('realm:backbone-admin'))
+    .put(async (req, res) => await drainBackboneSite(req, res, false));
+
     //========================================
     // Interior Access Points
     //========================================
 
-    app.route(API_PREFIX + 'backbonesite/:sid/accesspoints', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbonesite/:sid/accesspoints').all(keycloak.protect('realm:backbone-admin'))
     .post(createAccessPoint)         // CREATE
     .get(listAccessPointsSite);      // LIST for Site
 
-    app.route(API_PREFIX + 'backbone/:bid/accesspoints', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbone/:bid/accesspoints').all(keycloak.protect('realm:backbone-admin'))
     .get(listAccessPointsBackbone);  // LIST for Backbone
 
-    app.route(API_PREFIX + 'accesspoint/:apid', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'accesspoint/:apid').all(keycloak.protect('realm:backbone-admin'))
     .get(readAccessPoint)            // READ
     .delete(deleteAccessPoint);      // DELETE
 
+    app.route(API_PREFIX + 'accesspoint/:apid/rotate').all(keycloak.protect('realm:backbone-admin'))
+    .put(async (req, res) => await rotateCertificate(res, 'BackboneAccessPoints', req.params.apid));
+
     //========================================
     // Interior Site Links
     //========================================
 
-    app.route(API_PREFIX + 'accesspoint/:apid/links', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'accesspoint/:apid/links').all(keycloak.protect('realm:backbone-admin'))
     .post(createBackboneLink);
 
-    app.route(API_PREFIX + 'backbone/:bid/links', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbone/:bid/links').all(keycloak.protect('realm:backbone-admin'))
     .get(listBackboneLinks);
 
-    app.route(API_PREFIX + 'backbonelink/:lid', keycloak.protect('realm:backbone-admin'))
+    app.route(API_PREFIX + 'backbonelink/:lid').all(keycloak.protect('realm:backbone-admin'))
     .put(updateBackboneLink)
     .delete(deleteBackboneLink);
 
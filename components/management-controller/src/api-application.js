@@ -0,0 +1,1442 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module provides the API for the definition of distributed applications and their deployment onto
+// application networks:
+//
+//   ComponentTypes       - Deployable process images
+//   InterconnectTypes    - Ways in which components interact with one another
+//   Interfaces           - The participation of a component type in an interconnect type, in a particular role
+//   ApplicationTemplates - Definitions of distributed applications
+//   Components           - Allocations of component types to site classes within a template
+//   Bindings             - Interconnections between the interfaces of a template's components
+//   Applications         - Deployments of templates onto application networks
+//
+// The type and template definitions are a catalog shared by all users.  Any van-owner may read the catalog, but only
+// a backbone-admin may change it, since changes reach the applications of every owner.  Applications are visible only
+// to the owner of the application network they are deployed on (see auth.Tenant).
+//
+
+const formidable = require('formidable');
+const db         = require('./db.js');
+const syncApp    = require('./sync-application.js');
+const Log        = require('./common/log.js').Log;
+const util       = require('./common/util.js');
+const auth       = require('./auth.js');
+
+const API_PREFIX        = '/api/v1alpha1/';
+const ROLE_TYPES        = ['accept', 'connect', 'send', 'receive', 'asyncRequest', 'asyncReply', 'peer'];
+const STICKY_MECHANISMS = ['none', 'sourceAddress', 'cookie'];
+const DISTRIBUTIONS     = ['anycast', 'multicast', 'forbidden'];
+const ADDRESS_SCOPES    = ['van', 'site', 'instance'];
+const OWNER_CLAUSE      = "($2::text IS NULL OR ApplicationNetworks.Owner = $2)";
+
+const notFound = function(description) {
+    let error = Error(`${description} not found`);
+    error.status = 404;
+    return error;
+}
+
+const badRequest = function(message) {
+    let error = Error(message);
+    error.status = 400;
+    return error;
+}
+
+//
+// Any change to the definition of deployed applications may change the state of member sites.  This is run after the
+// response has been sent, so failures can only be logged.
+//
+const reconcileMembers = async function(vid) {
+    try {
+        await syncApp.ReconcileMembers(vid);
+    } catch (error) {
+        Log(`Exception in member reconciliation: ${error.message}`);
+        Log(error.stack);
+    }
+}
+
+//
+// Ensure that every interface in a binding exists, uses the binding's interconnect type, and belongs to a
+// component type that is used in the binding's application template.
+//
+const checkBindingInterfaces_TX = async function(client, interfaces, interconnectType, templateId) {
+    for (const ifid of interfaces) {
+        const result = await client.query(
+            "SELECT Interfaces.InterconnectType, " +
+            "EXISTS (SELECT 1 FROM Components WHERE Components.ComponentType = Interfaces.ComponentType AND ApplicationTemplate = $2) as intemplate " +
+            "FROM Interfaces WHERE Id = $1",
+            [ifid, templateId]
+        );
+        if (result.rowCount != 1) {
+            throw(badRequest(`Interface ${ifid} not found`));
+        }
+        if (result.rows[0].interconnecttype != interconnectType) {
+            throw(badRequest(`Interface ${ifid} does not use the interconnect type of the binding`));
+        }
+        if (!result.rows[0].intemplate) {
+            throw(badRequest(`Interface ${ifid} does not belong to a component of the application template`));
+        }
+    }
+}
+
+const checkInterfaceRole_TX = async function(client, interconnectType, role) {
+    const result = await client.query("SELECT Name, Roles FROM InterconnectTypes WHERE Id = $1", [interconnectType]);
+    if (result.rowCount != 1) {
+        throw(badRequest('Interconnect type not found'));
+    }
+    const itype = result.rows[0];
+    if (itype.roles && itype.roles.indexOf(role) < 0) {
+        throw(badRequest(`Role ${role} is not supported by interconnect type ${itype.name}`));
+    }
+}
+
+//========================================
+// Component Types
+//========================================
+
+const createComponentType = async function(req, res) {
+    var returnStatus;
+    const form = new formidable.IncomingForm();
+    try {
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'name'             : {type: 'string', optional: false},
+            'description'      : {type: 'string', optional: true, default: null},
+            'kubernetesconfig' : {type: 'string', optional: true, default: null},
+            'imagename'        : {type: 'string', optional: true, default: null},
+            'defaultimagetag'  : {type: 'string', optional: true, default: null},
+            'sourcerepository' : {type: 'string', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const result = await client.query("INSERT INTO ComponentTypes(Name, Description, KubernetesConfig, ImageName, DefaultImageTag, SourceRepository) " +
+                                              "VALUES ($1, $2, $3, $4, $5, $6) RETURNING Id",
+                                              [norm.name, norm.description, norm.kubernetesconfig, norm.imagename, norm.defaultimagetag, norm.sourcerepository]);
+            await client.query("COMMIT");
+
+            returnStatus = 201;
+            res.status(returnStatus).json({id: result.rows[0].id});
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    return returnStatus;
+}
+
+const updateComponentType = async function(req, res) {
+    var returnStatus = 200;
+    const ctid = req.params.ctid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(ctid)) {
+            throw(Error('ComponentType-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'name'             : {type: 'string', optional: true, default: null},
+            'description'      : {type: 'string', optional: true, default: null},
+            'kubernetesconfig' : {type: 'string', optional: true, default: null},
+            'imagename'        : {type: 'string', optional: true, default: null},
+            'defaultimagetag'  : {type: 'string', optional: true, default: null},
+            'sourcerepository' : {type: 'string', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const result = await client.query("UPDATE ComponentTypes SET Name = COALESCE($2, Name), Description = COALESCE($3, Description), " +
+                                              "KubernetesConfig = COALESCE($4, KubernetesConfig), ImageName = COALESCE($5, ImageName), " +
+                                              "DefaultImageTag = COALESCE($6, DefaultImageTag), SourceRepository = COALESCE($7, SourceRepository) WHERE Id = $1",
+                                              [ctid, norm.name, norm.description, norm.kubernetesconfig, norm.imagename, norm.defaultimagetag, norm.sourcerepository]);
+            if (result.rowCount != 1) {
+                throw(notFound('Component type'));
+            }
+            await client.query("COMMIT");
+
+            res.status(returnStatus).end();
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 200) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+const readComponentType = async function(req, res) {
+    var returnStatus = 200;
+    const ctid = req.params.ctid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(ctid)) {
+            throw(badRequest('ComponentType-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Id, Name, Description, KubernetesConfig, ImageName, DefaultImageTag, SourceRepository FROM ComponentTypes " +
+                                          "WHERE Id = $1", [ctid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Component type'));
+        }
+
+        res.status(returnStatus).json(result.rows[0]);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const listComponentTypes = async function(req, res) {
+    var returnStatus = 200;
+    const client = await db.ClientFromPool();
+    try {
+        const result = await client.query("SELECT Id, Name, Description, ImageName, DefaultImageTag, SourceRepository FROM ComponentTypes");
+        res.status(returnStatus).json(result.rows);
+    } catch (error) {
+        returnStatus = 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const deleteComponentType = async function(req, res) {
+    var returnStatus = 204;
+    const ctid = req.params.ctid;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(ctid)) {
+            throw(badRequest('ComponentType-Id is not a valid uuid'));
+        }
+
+        const ifResult = await client.query("SELECT Id FROM Interfaces WHERE ComponentType = $1 LIMIT 1", [ctid]);
+        if (ifResult.rowCount > 0) {
+            throw(badRequest('Cannot delete a component type that has interfaces'));
+        }
+        const compResult = await client.query("SELECT Id FROM Components WHERE ComponentType = $1 LIMIT 1", [ctid]);
+        if (compResult.rowCount > 0) {
+            throw(badRequest('Cannot delete a component type that is used by components'));
+        }
+
+        const result = await client.query("DELETE FROM ComponentTypes WHERE Id = $1", [ctid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Component type'));
+        }
+        await client.query("COMMIT");
+        res.status(returnStatus).end();
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+//========================================
+// Interconnect Types
+//========================================
+
+const createInterconnectType = async function(req, res) {
+    var returnStatus;
+    const form = new formidable.IncomingForm();
+    try {
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'name'                : {type: 'string',     optional: false},
+            'description'         : {type: 'string',     optional: true, default: null},
+            'transportprotocol'   : {type: 'string',     optional: false},
+            'applicationprotocol' : {type: 'string',     optional: true, default: null},
+            'defaultport'         : {type: 'string',     optional: true, default: null},
+            'roles'               : {type: 'stringlist', optional: true, default: null,          values: ROLE_TYPES},
+            'stickymechanism'     : {type: 'enum',       optional: true, default: 'none',        values: STICKY_MECHANISMS},
+            'distribution'        : {type: 'enum',       optional: true, default: 'anycast',     values: DISTRIBUTIONS},
+            'addressscope'        : {type: 'enum',       optional: true, default: 'van',         values: ADDRESS_SCOPES},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const result = await client.query("INSERT INTO InterconnectTypes(Name, Description, TransportProtocol, ApplicationProtocol, DefaultPort, Roles, StickyMechanism, Distribution, AddressScope) " +
+                                              "VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING Id",
+                                              [norm.name, norm.description, norm.transportprotocol, norm.applicationprotocol, norm.defaultport, norm.roles,
+                                               norm.stickymechanism, norm.distribution, norm.addressscope]);
+            await client.query("COMMIT");
+
+            returnStatus = 201;
+            res.status(returnStatus).json({id: result.rows[0].id});
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    return returnStatus;
+}
+
+const updateInterconnectType = async function(req, res) {
+    var returnStatus = 200;
+    const itid = req.params.itid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(itid)) {
+            throw(Error('InterconnectType-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'name'                : {type: 'string',     optional: true, default: null},
+            'description'         : {type: 'string',     optional: true, default: null},
+            'transportprotocol'   : {type: 'string',     optional: true, default: null},
+            'applicationprotocol' : {type: 'string',     optional: true, default: null},
+            'defaultport'         : {type: 'string',     optional: true, default: null},
+            'roles'               : {type: 'stringlist', optional: true, default: null, values: ROLE_TYPES},
+            'stickymechanism'     : {type: 'enum',       optional: true, default: null, values: STICKY_MECHANISMS},
+            'distribution'        : {type: 'enum',       optional: true, default: null, values: DISTRIBUTIONS},
+            'addressscope'        : {type: 'enum',       optional: true, default: null, values: ADDRESS_SCOPES},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+
+            //
+            // The supported roles may not be narrowed to exclude a role that an interface uses.
+            //
+            if (norm.roles) {
+                const ifResult = await client.query("SELECT Id, Role FROM Interfaces WHERE InterconnectType = $1 AND NOT (Role = ANY($2))", [itid, norm.roles]);
+                if (ifResult.rowCount > 0) {
+                    throw(badRequest(`Role ${ifResult.rows[0].role} is in use by interface ${ifResult.rows[0].id}`));
+                }
+            }
+
+            const result = await client.query("UPDATE InterconnectTypes SET Name = COALESCE($2, Name), Description = COALESCE($3, Description), " +
+                                              "TransportProtocol = COALESCE($4, TransportProtocol), ApplicationProtocol = COALESCE($5, ApplicationProtocol), " +
+                                              "DefaultPort = COALESCE($6, DefaultPort), Roles = COALESCE($7, Roles), StickyMechanism = COALESCE($8, StickyMechanism), " +
+                                              "Distribution = COALESCE($9, Distribution), AddressScope = COALESCE($10, AddressScope) WHERE Id = $1",
+                                              [itid, norm.name, norm.description, norm.transportprotocol, norm.applicationprotocol, norm.defaultport, norm.roles,
+                                               norm.stickymechanism, norm.distribution, norm.addressscope]);
+            if (result.rowCount != 1) {
+                throw(notFound('Interconnect type'));
+            }
+            await client.query("COMMIT");
+
+            res.status(returnStatus).end();
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 200) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+const readInterconnectType = async function(req, res) {
+    var returnStatus = 200;
+    const itid = req.params.itid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(itid)) {
+            throw(badRequest('InterconnectType-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Id, Name, Description, TransportProtocol, ApplicationProtocol, DefaultPort, Roles, StickyMechanism, Distribution, AddressScope " +
+                                          "FROM InterconnectTypes WHERE Id = $1", [itid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Interconnect type'));
+        }
+
+        res.status(returnStatus).json(result.rows[0]);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const listInterconnectTypes = async function(req, res) {
+    var returnStatus = 200;
+    const client = await db.ClientFromPool();
+    try {
+        const result = await client.query("SELECT Id, Name, Description, TransportProtocol, ApplicationProtocol, DefaultPort, Roles, StickyMechanism, Distribution, AddressScope " +
+                                          "FROM InterconnectTypes");
+        res.status(returnStatus).json(result.rows);
+    } catch (error) {
+        returnStatus = 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const deleteInterconnectType = async function(req, res) {
+    var returnStatus = 204;
+    const itid = req.params.itid;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(itid)) {
+            throw(badRequest('InterconnectType-Id is not a valid uuid'));
+        }
+
+        const ifResult = await client.query("SELECT Id FROM Interfaces WHERE InterconnectType = $1 LIMIT 1", [itid]);
+        if (ifResult.rowCount > 0) {
+            throw(badRequest('Cannot delete an interconnect type that is used by interfaces'));
+        }
+        const bindingResult = await client.query("SELECT Id FROM Bindings WHERE InterconnectType = $1 LIMIT 1", [itid]);
+        if (bindingResult.rowCount > 0) {
+            throw(badRequest('Cannot delete an interconnect type that is used by bindings'));
+        }
+
+        const result = await client.query("DELETE FROM InterconnectTypes WHERE Id = $1", [itid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Interconnect type'));
+        }
+        await client.query("COMMIT");
+        res.status(returnStatus).end();
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+//========================================
+// Interfaces
+//========================================
+
+const createInterface = async function(req, res) {
+    var returnStatus;
+    const ctid = req.params.ctid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(ctid)) {
+            throw(Error('ComponentType-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'interconnecttype' : {type: 'uuid',   optional: false},
+            'role'             : {type: 'enum',   optional: false, values: ROLE_TYPES},
+            'hostnameused'     : {type: 'string', optional: true, default: null},
+            'actualport'       : {type: 'string', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const ctResult = await client.query("SELECT Id FROM ComponentTypes WHERE Id = $1", [ctid]);
+            if (ctResult.rowCount != 1) {
+                throw(notFound('Component type'));
+            }
+            await checkInterfaceRole_TX(client, norm.interconnecttype, norm.role);
+
+            const result = await client.query("INSERT INTO Interfaces(ComponentType, InterconnectType, Role, HostNameUsed, ActualPort) VALUES ($1, $2, $3, $4, $5) RETURNING Id",
+                                              [ctid, norm.interconnecttype, norm.role, norm.hostnameused, norm.actualport]);
+            await client.query("COMMIT");
+
+            returnStatus = 201;
+            res.status(returnStatus).json({id: result.rows[0].id});
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 201) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+//
+// The interconnect type of an interface cannot be changed.
+//
+const updateInterface = async function(req, res) {
+    var returnStatus = 200;
+    const ifid = req.params.ifid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(ifid)) {
+            throw(Error('Interface-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'role'         : {type: 'enum',   optional: true, default: null, values: ROLE_TYPES},
+            'hostnameused' : {type: 'string', optional: true, default: null},
+            'actualport'   : {type: 'string', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const ifResult = await client.query("SELECT InterconnectType FROM Interfaces WHERE Id = $1", [ifid]);
+            if (ifResult.rowCount != 1) {
+                throw(notFound('Interface'));
+            }
+            if (norm.role) {
+                await checkInterfaceRole_TX(client, ifResult.rows[0].interconnecttype, norm.role);
+            }
+
+            await client.query("UPDATE Interfaces SET Role = COALESCE($2, Role), HostNameUsed = COALESCE($3, HostNameUsed), ActualPort = COALESCE($4, ActualPort) WHERE Id = $1",
+                               [ifid, norm.role, norm.hostnameused, norm.actualport]);
+            await client.query("COMMIT");
+
+            res.status(returnStatus).end();
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 200) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+const readInterface = async function(req, res) {
+    var returnStatus = 200;
+    const ifid = req.params.ifid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(ifid)) {
+            throw(badRequest('Interface-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Interfaces.Id, ComponentType, InterconnectType, InterconnectTypes.Name as interconnectname, Role, HostNameUsed, ActualPort FROM Interfaces " +
+                                          "JOIN InterconnectTypes ON InterconnectTypes.Id = InterconnectType WHERE Interfaces.Id = $1", [ifid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Interface'));
+        }
+
+        res.status(returnStatus).json(result.rows[0]);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const listInterfaces = async function(req, res) {
+    var returnStatus = 200;
+    const ctid = req.params.ctid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(ctid)) {
+            throw(badRequest('ComponentType-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Interfaces.Id, InterconnectType, InterconnectTypes.Name as interconnectname, Role, HostNameUsed, ActualPort FROM Interfaces " +
+                                          "JOIN InterconnectTypes ON InterconnectTypes.Id = InterconnectType WHERE ComponentType = $1", [ctid]);
+        res.status(returnStatus).json(result.rows);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const deleteInterface = async function(req, res) {
+    var returnStatus = 204;
+    const ifid = req.params.ifid;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(ifid)) {
+            throw(badRequest('Interface-Id is not a valid uuid'));
+        }
+
+        const bindingResult = await client.query("SELECT Id FROM Bindings WHERE Interfaces @> ARRAY[$1::uuid] LIMIT 1", [ifid]);
+        if (bindingResult.rowCount > 0) {
+            throw(badRequest('Cannot delete an interface that is used by bindings'));
+        }
+
+        const result = await client.query("DELETE FROM Interfaces WHERE Id = $1", [ifid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Interface'));
+        }
+        await client.query("COMMIT");
+        res.status(returnStatus).end();
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    if (returnStatus == 204) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+//========================================
+// Application Templates
+//========================================
+
+const createApplicationTemplate = async function(req, res) {
+    var returnStatus;
+    const form = new formidable.IncomingForm();
+    try {
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'name'        : {type: 'string', optional: false},
+            'description' : {type: 'string', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const result = await client.query("INSERT INTO ApplicationTemplates(Name, Description) VALUES ($1, $2) RETURNING Id", [norm.name, norm.description]);
+            await client.query("COMMIT");
+
+            returnStatus = 201;
+            res.status(returnStatus).json({id: result.rows[0].id});
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    return returnStatus;
+}
+
+const updateApplicationTemplate = async function(req, res) {
+    var returnStatus = 200;
+    const atid = req.params.atid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(atid)) {
+            throw(Error('ApplicationTemplate-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'name'        : {type: 'string', optional: true, default: null},
+            'description' : {type: 'string', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const result = await client.query("UPDATE ApplicationTemplates SET Name = COALESCE($2, Name), Description = COALESCE($3, Description) WHERE Id = $1",
+                                              [atid, norm.name, norm.description]);
+            if (result.rowCount != 1) {
+                throw(notFound('Application template'));
+            }
+            await client.query("COMMIT");
+
+            res.status(returnStatus).end();
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    return returnStatus;
+}
+
+const readApplicationTemplate = async function(req, res) {
+    var returnStatus = 200;
+    const atid = req.params.atid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(atid)) {
+            throw(badRequest('ApplicationTemplate-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Id, Name, Description FROM ApplicationTemplates WHERE Id = $1", [atid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Application template'));
+        }
+
+        res.status(returnStatus).json(result.rows[0]);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const listApplicationTemplates = async function(req, res) {
+    var returnStatus = 200;
+    const client = await db.ClientFromPool();
+    try {
+        const result = await client.query("SELECT Id, Name, Description FROM ApplicationTemplates");
+        res.status(returnStatus).json(result.rows);
+    } catch (error) {
+        returnStatus = 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+//
+// The template's components and bindings are deleted with it.
+//
+const deleteApplicationTemplate = async function(req, res) {
+    var returnStatus = 204;
+    const atid = req.params.atid;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(atid)) {
+            throw(badRequest('ApplicationTemplate-Id is not a valid uuid'));
+        }
+
+        const appResult = await client.query("SELECT Id FROM Applications WHERE ApplicationTemplate = $1 LIMIT 1", [atid]);
+        if (appResult.rowCount > 0) {
+            throw(badRequest('Cannot delete an application template that is deployed'));
+        }
+
+        const result = await client.query("DELETE FROM ApplicationTemplates WHERE Id = $1", [atid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Application template'));
+        }
+        await client.query("COMMIT");
+        res.status(returnStatus).end();
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+//========================================
+// Components
+//========================================
+
+const createComponent = async function(req, res) {
+    var returnStatus;
+    const atid = req.params.atid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(atid)) {
+            throw(Error('ApplicationTemplate-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'componenttype' : {type: 'uuid',       optional: false},
+            'imagetag'      : {type: 'string',     optional: true, default: null},
+            'siteclasses'   : {type: 'stringlist', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const atResult = await client.query("SELECT Id FROM ApplicationTemplates WHERE Id = $1", [atid]);
+            if (atResult.rowCount != 1) {
+                throw(notFound('Application template'));
+            }
+            const ctResult = await client.query("SELECT Id FROM ComponentTypes WHERE Id = $1", [norm.componenttype]);
+            if (ctResult.rowCount != 1) {
+                throw(badRequest('Component type not found'));
+            }
+
+            const result = await client.query("INSERT INTO Components(ApplicationTemplate, ComponentType, ImageTag, SiteClasses) VALUES ($1, $2, $3, $4) RETURNING Id",
+                                              [atid, norm.componenttype, norm.imagetag, norm.siteclasses]);
+            await client.query("COMMIT");
+
+            returnStatus = 201;
+            res.status(returnStatus).json({id: result.rows[0].id});
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 201) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+//
+// The component type of a component cannot be changed.
+//
+const updateComponent = async function(req, res) {
+    var returnStatus = 200;
+    const cid = req.params.cid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(cid)) {
+            throw(Error('Component-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'imagetag'    : {type: 'string',     optional: true, default: null},
+            'siteclasses' : {type: 'stringlist', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const result = await client.query("UPDATE Components SET ImageTag = COALESCE($2, ImageTag), SiteClasses = COALESCE($3, SiteClasses) WHERE Id = $1",
+                                              [cid, norm.imagetag, norm.siteclasses]);
+            if (result.rowCount != 1) {
+                throw(notFound('Component'));
+            }
+            await client.query("COMMIT");
+
+            res.status(returnStatus).end();
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 200) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+const readComponent = async function(req, res) {
+    var returnStatus = 200;
+    const cid = req.params.cid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(cid)) {
+            throw(badRequest('Component-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Components.Id, ApplicationTemplate, ComponentType, ComponentTypes.Name as componenttypename, ImageTag, SiteClasses FROM Components " +
+                                          "JOIN ComponentTypes ON ComponentTypes.Id = ComponentType WHERE Components.Id = $1", [cid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Component'));
+        }
+
+        res.status(returnStatus).json(result.rows[0]);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const listComponents = async function(req, res) {
+    var returnStatus = 200;
+    const atid = req.params.atid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(atid)) {
+            throw(badRequest('ApplicationTemplate-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Components.Id, ComponentType, ComponentTypes.Name as componenttypename, ImageTag, SiteClasses FROM Components " +
+                                          "JOIN ComponentTypes ON ComponentTypes.Id = ComponentType WHERE ApplicationTemplate = $1", [atid]);
+        res.status(returnStatus).json(result.rows);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const deleteComponent = async function(req, res) {
+    var returnStatus = 204;
+    const cid = req.params.cid;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(cid)) {
+            throw(badRequest('Component-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("DELETE FROM Components WHERE Id = $1", [cid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Component'));
+        }
+        await client.query("COMMIT");
+        res.status(returnStatus).end();
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    if (returnStatus == 204) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+//========================================
+// Bindings
+//========================================
+
+const createBinding = async function(req, res) {
+    var returnStatus;
+    const atid = req.params.atid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(atid)) {
+            throw(Error('ApplicationTemplate-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'interconnecttype' : {type: 'uuid',     optional: false},
+            'vanaddress'       : {type: 'string',   optional: false},
+            'distribution'     : {type: 'enum',     optional: true, default: 'anycast', values: DISTRIBUTIONS},
+            'scope'            : {type: 'enum',     optional: true, default: 'van',     values: ADDRESS_SCOPES},
+            'interfaces'       : {type: 'uuidlist', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const atResult = await client.query("SELECT Id FROM ApplicationTemplates WHERE Id = $1", [atid]);
+            if (atResult.rowCount != 1) {
+                throw(notFound('Application template'));
+            }
+            const itResult = await client.query("SELECT Id FROM InterconnectTypes WHERE Id = $1", [norm.interconnecttype]);
+            if (itResult.rowCount != 1) {
+                throw(badRequest('Interconnect type not found'));
+            }
+            if (norm.interfaces) {
+                await checkBindingInterfaces_TX(client, norm.interfaces, norm.interconnecttype, atid);
+            }
+
+            const result = await client.query("INSERT INTO Bindings(ApplicationTemplate, InterconnectType, VanAddress, Distribution, Scope, Interfaces) " +
+                                              "VALUES ($1, $2, $3, $4, $5, $6) RETURNING Id",
+                                              [atid, norm.interconnecttype, norm.vanaddress, norm.distribution, norm.scope, norm.interfaces]);
+            await client.query("COMMIT");
+
+            returnStatus = 201;
+            res.status(returnStatus).json({id: result.rows[0].id});
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 201) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+//
+// The interconnect type of a binding cannot be changed.
+//
+const updateBinding = async function(req, res) {
+    var returnStatus = 200;
+    const bid = req.params.bid;
+    const form = new formidable.IncomingForm();
+    try {
+        if (!util.IsValidUuid(bid)) {
+            throw(Error('Binding-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'vanaddress'   : {type: 'string',   optional: true, default: null},
+            'distribution' : {type: 'enum',     optional: true, default: null, values: DISTRIBUTIONS},
+            'scope'        : {type: 'enum',     optional: true, default: null, values: ADDRESS_SCOPES},
+            'interfaces'   : {type: 'uuidlist', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const bindingResult = await client.query("SELECT InterconnectType, ApplicationTemplate FROM Bindings WHERE Id = $1", [bid]);
+            if (bindingResult.rowCount != 1) {
+                throw(notFound('Binding'));
+            }
+            const binding = bindingResult.rows[0];
+            if (norm.interfaces) {
+                await checkBindingInterfaces_TX(client, norm.interfaces, binding.interconnecttype, binding.applicationtemplate);
+            }
+
+            await client.query("UPDATE Bindings SET VanAddress = COALESCE($2, VanAddress), Distribution = COALESCE($3, Distribution), " +
+                               "Scope = COALESCE($4, Scope), Interfaces = COALESCE($5, Interfaces) WHERE Id = $1",
+                               [bid, norm.vanaddress, norm.distribution, norm.scope, norm.interfaces]);
+            await client.query("COMMIT");
+
+            res.status(returnStatus).end();
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 200) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+const readBinding = async function(req, res) {
+    var returnStatus = 200;
+    const bid = req.params.bid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(bid)) {
+            throw(badRequest('Binding-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Bindings.Id, ApplicationTemplate, InterconnectType, InterconnectTypes.Name as interconnectname, VanAddress, Bindings.Distribution, Scope, Interfaces FROM Bindings " +
+                                          "JOIN InterconnectTypes ON InterconnectTypes.Id = InterconnectType WHERE Bindings.Id = $1", [bid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Binding'));
+        }
+
+        res.status(returnStatus).json(result.rows[0]);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const listBindings = async function(req, res) {
+    var returnStatus = 200;
+    const atid = req.params.atid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(atid)) {
+            throw(badRequest('ApplicationTemplate-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Bindings.Id, InterconnectType, InterconnectTypes.Name as interconnectname, VanAddress, Bindings.Distribution, Scope, Interfaces FROM Bindings " +
+                                          "JOIN InterconnectTypes ON InterconnectTypes.Id = InterconnectType WHERE ApplicationTemplate = $1", [atid]);
+        res.status(returnStatus).json(result.rows);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const deleteBinding = async function(req, res) {
+    var returnStatus = 204;
+    const bid = req.params.bid;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(bid)) {
+            throw(badRequest('Binding-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("DELETE FROM Bindings WHERE Id = $1", [bid]);
+        if (result.rowCount != 1) {
+            throw(notFound('Binding'));
+        }
+        await client.query("COMMIT");
+        res.status(returnStatus).end();
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    if (returnStatus == 204) {
+        await reconcileMembers();
+    }
+    return returnStatus;
+}
+
+//========================================
+// Applications
+//========================================
+
+//
+// Deploy an application template onto an application network
+//
+const deployApplication = async function(req, res) {
+    var returnStatus;
+    const vid = req.params.vid;
+    const form = new formidable.IncomingForm();
+    var norm;
+    try {
+        if (!util.IsValidUuid(vid)) {
+            throw(Error('VAN-Id is not a valid uuid'));
+        }
+
+        const [fields, files] = await form.parse(req);
+        norm = util.ValidateAndNormalizeFields(fields, {
+            'template' : {type: 'uuid', optional: false},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const van = await client.query(`SELECT Id FROM ApplicationNetworks WHERE Id = $1 AND ${OWNER_CLAUSE}`, [vid, auth.Tenant(req)]);
+            if (van.rowCount != 1) {
+                throw(notFound('Application network'));
+            }
+            const atResult = await client.query("SELECT Id FROM ApplicationTemplates WHERE Id = $1", [norm.template]);
+            if (atResult.rowCount != 1) {
+                throw(badRequest('Application template not found'));
+            }
+            const appResult = await client.query("SELECT Id FROM Applications WHERE ApplicationTemplate = $1 AND ApplicationNetwork = $2", [norm.template, vid]);
+            if (appResult.rowCount > 0) {
+                throw(badRequest('Application template is already deployed on this application network'));
+            }
+
+            const result = await client.query("INSERT INTO Applications(ApplicationTemplate, ApplicationNetwork) VALUES ($1, $2) RETURNING Id", [norm.template, vid]);
+            await client.query("COMMIT");
+
+            returnStatus = 201;
+            res.status(returnStatus).json({id: result.rows[0].id});
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 201) {
+        Log(`Application template ${norm.template} deployed onto application network ${vid}`);
+        await reconcileMembers(vid);
+    }
+    return returnStatus;
+}
+
+const readApplication = async function(req, res) {
+    var returnStatus = 200;
+    const aid = req.params.aid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(aid)) {
+            throw(badRequest('Application-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Applications.Id, ApplicationTemplate, ApplicationTemplates.Name as templatename, ApplicationNetwork FROM Applications " +
+                                          "JOIN ApplicationTemplates ON ApplicationTemplates.Id = ApplicationTemplate " +
+                                          "JOIN ApplicationNetworks ON ApplicationNetworks.Id = ApplicationNetwork WHERE Applications.Id = $1 AND " + OWNER_CLAUSE,
+                                          [aid, auth.Tenant(req)]);
+        if (result.rowCount != 1) {
+            throw(notFound('Application'));
+        }
+
+        res.status(returnStatus).json(result.rows[0]);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+const listApplications = async function(req, res) {
+    var returnStatus = 200;
+    const vid = req.params.vid;
+    const client = await db.ClientFromPool();
+    try {
+        if (!util.IsValidUuid(vid)) {
+            throw(badRequest('VAN-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("SELECT Applications.Id, ApplicationTemplate, ApplicationTemplates.Name as templatename FROM Applications " +
+                                          "JOIN ApplicationTemplates ON ApplicationTemplates.Id = ApplicationTemplate " +
+                                          "JOIN ApplicationNetworks ON ApplicationNetworks.Id = ApplicationNetwork WHERE ApplicationNetwork = $1 AND " + OWNER_CLAUSE,
+                                          [vid, auth.Tenant(req)]);
+        res.status(returnStatus).json(result.rows);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    return returnStatus;
+}
+
+//
+// Remove a deployed application from its application network
+//
+const undeployApplication = async function(req, res) {
+    var returnStatus = 204;
+    const aid = req.params.aid;
+    var deleted;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!util.IsValidUuid(aid)) {
+            throw(badRequest('Application-Id is not a valid uuid'));
+        }
+
+        const result = await client.query("DELETE FROM Applications USING ApplicationNetworks " +
+                                          "WHERE Applications.Id = $1 AND ApplicationNetworks.Id = ApplicationNetwork AND " + OWNER_CLAUSE + " " +
+                                          "RETURNING Applications.ApplicationTemplate, Applications.ApplicationNetwork", [aid, auth.Tenant(req)]);
+        if (result.rowCount != 1) {
+            throw(notFound('Application'));
+        }
+        deleted = result.rows[0];
+        await client.query("COMMIT");
+        res.status(returnStatus).end();
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    if (deleted) {
+        Log(`Application template ${deleted.applicationtemplate} removed from application network ${deleted.applicationnetwork}`);
+        await reconcileMembers(deleted.applicationnetwork);
+    }
+    return returnStatus;
+}
+
+exports.Initialize = async function(app, keycloak) {
+    Log('[API Application interface starting]');
+    const catalogAdmin = keycloak.protect('realm:backbone-admin');
+
+    //========================================
+    // Component Types
+    //========================================
+
+    app.route(API_PREFIX + 'componenttypes').all(keycloak.protect('realm:van-owner'))
+    .post(catalogAdmin, createComponentType)          // CREATE
+    .get(listComponentTypes);                         // LIST
+
+    app.route(API_PREFIX + 'componenttype/:ctid').all(keycloak.protect('realm:van-owner'))
+    .get(readComponentType)                           // READ
+    .put(catalogAdmin, updateComponentType)           // UPDATE
+    .delete(catalogAdmin, deleteComponentType);       // DELETE
+
+    //========================================
+    // Interconnect Types
+    //========================================
+
+    app.route(API_PREFIX + 'interconnecttypes').all(keycloak.protect('realm:van-owner'))
+    .post(catalogAdmin, createInterconnectType)       // CREATE
+    .get(listInterconnectTypes);                      // LIST
+
+    app.route(API_PREFIX + 'interconnecttype/:itid').all(keycloak.protect('realm:van-owner'))
+    .get(readInterconnectType)                        // READ
+    .put(catalogAdmin, updateInterconnectType)        // UPDATE
+    .delete(catalogAdmin, deleteInterconnectType);    // DELETE
+
+    //========================================
+    // Interfaces
+    //========================================
+
+    app.route(API_PREFIX + 'componenttype/:ctid/interfaces').all(keycloak.protect('realm:van-owner'))
+    .post(catalogAdmin, createInterface)              // CREATE
+    .get(listInterfaces);                             // LIST
+
+    app.route(API_PREFIX + 'interface/:ifid').all(keycloak.protect('realm:van-owner'))
+    .get(readInterface)                               // READ
+    .put(catalogAdmin, updateInterface)               // UPDATE
+    .delete(catalogAdmin, deleteInterface);           // DELETE
+
+    //========================================
+    // Application Templates
+    //========================================
+
+    app.route(API_PREFIX + 'applicationtemplates').all(keycloak.protect('realm:van-owner'))
+    .post(catalogAdmin, createApplicationTemplate)    // CREATE
+    .get(listApplicationTemplates);                   // LIST
+
+    app.route(API_PREFIX + 'applicationtemplate/:atid').all(keycloak.protect('realm:van-owner'))
+    .get(readApplicationTemplate)                     // READ
+    .put(catalogAdmin, updateApplicationTemplate)     // UPDATE
+    .delete(catalogAdmin, deleteApplicationTemplate); // DELETE
+
+    //========================================
+    // Components
+    //========================================
+
+    app.route(API_PREFIX + 'applicationtemplate/:atid/components').all(keycloak.protect('realm:van-owner'))
+    .post(catalogAdmin, createComponent)              // CREATE
+    .get(listComponents);                             // LIST
+
+    app.route(API_PREFIX + 'component/:cid').all(keycloak.protect('realm:van-owner'))
+    .get(readComponent)                               // READ
+    .put(catalogAdmin, updateComponent)               // UPDATE
+    .delete(catalogAdmin, deleteComponent);           // DELETE
+
+    //========================================
+    // Bindings
+    //========================================
+
+    app.route(API_PREFIX + 'applicationtemplate/:atid/bindings').all(keycloak.protect('realm:van-owner'))
+    .post(catalogAdmin, createBinding)                // CREATE
+    .get(listBindings);                               // LIST
+
+    app.route(API_PREFIX + 'binding/:bid').all(keycloak.protect('realm:van-owner'))
+    .get(readBinding)                                 // READ
+    .put(catalogAdmin, updateBinding)                 // UPDATE
+    .delete(catalogAdmin, deleteBinding);             // DELETE
+
+    //========================================
+    // Applications
+    //========================================
+
+    app.route(API_PREFIX + 'van/:vid/applications').all(keycloak.protect('realm:van-owner'))
+    .post(deployApplication)             // CREATE (deploy)
+    .get(listApplications);              // LIST
+
+    app.route(API_PREFIX + 'application/:aid').all(keycloak.protect('realm:van-owner'))
+    .get(readApplication)                // READ
+    .delete(undeployApplication);        // DELETE (undeploy)
+}
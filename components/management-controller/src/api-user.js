@@ -25,9 +25,37 @@ const sync       = require('./sync-management.js');
 const Log        = require('./common/log.js').Log;
 const deployment = require('./site-deployment-state.js');
 const util       = require('./common/util.js');
+const certs      = require('./certs.js');
+const auth       = require('./auth.js');
+const claims     = require('./claim-server.js');
 
 const API_PREFIX = '/api/v1alpha1/';
 
+//
+// Tenancy:  A caller whose view is confined to an owner (see auth.Tenant) sees only the application networks it owns
+// and the invitations and members of those networks.  Everything else is reported as not found.  An owner of null
+// gives an unrestricted view.
+//
+const OWNER_CLAUSE = "($2::text IS NULL OR ApplicationNetworks.Owner = $2)";
+
+const notFound = function(description) {
+    let error = Error(`${description} not found`);
+    error.status = 404;
+    return error;
+}
+
+const vanVisible_TX = async function(client, vid, owner) {
+    const result = await client.query(`SELECT Id FROM ApplicationNetworks WHERE Id = $1 AND ${OWNER_CLAUSE}`, [vid, owner]);
+    return result.rowCount == 1;
+}
+
+const invitationVisible_TX = async function(client, iid, owner) {
+    const result = await client.query("SELECT MemberInvitations.Id FROM MemberInvitations " +
+                                      "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberInvitations.MemberOf " +
+                                      `WHERE MemberInvitations.Id = $1 AND ${OWNER_CLAUSE}`, [iid, owner]);
+    return result.rowCount == 1;
+}
+
 const createVan = async function(bid, req, res) {
     var returnStatus;
     const form = new formidable.IncomingForm();
@@ -82,7 +110,7 @@ const createVan = async function(bid, req, res) {
             //
             // Create the application network
             //
-            const result = await client.query(`INSERT INTO ApplicationNetworks(Name, Backbone${extraCols}) VALUES ($1, $2${extraVals}) RETURNING Id`, [uniqueName, bid]);
+            const result = await client.query(`INSERT INTO ApplicationNetworks(Name, Backbone, Owner${extraCols}) VALUES ($1, $2, $3${extraVals}) RETURNING Id`, [uniqueName, bid, auth.Owner(req)]);
             const vanId = result.rows[0].id;
             await client.query("COMMIT");
 
@@ -104,6 +132,7 @@ const createVan = async function(bid, req, res) {
 }
 
 const createInvitation = async function(vid, req, res) {
+    const owner = auth.Tenant(req);
     var returnStatus;
     const form = new formidable.IncomingForm();
     try {
@@ -121,12 +150,16 @@ const createInvitation = async function(vid, req, res) {
             'siteclass'       : {type: 'string',     optional: true, default: null},
             'instancelimit'   : {type: 'number',     optional: true, default: null},
             'interactive'     : {type: 'bool',       optional: true, default: false},
+            'approval'        : {type: 'bool',       optional: true, default: false},
             'prefix'          : {type: 'dnsname',    optional: true, default: null},
         });
 
         const client = await db.ClientFromPool();
         try {
             await client.query("BEGIN");
+            if (!await vanVisible_TX(client, vid, owner)) {
+                throw(notFound('Application network'));
+            }
 
             //
             // If the name is not unique within the backbone, modify it to be unique.
@@ -140,25 +173,39 @@ const createInvitation = async function(vid, req, res) {
 
             var extraCols = "";
             var extraVals = "";
+            var args      = [uniqueName, vid, norm.claimaccess, norm.interactive];
 
             //
-            // Handle the optional fields
+            // Handle the optional fields.  Their values are passed as query parameters.
             //
             if (norm.siteclass) {
+                args.push([norm.siteclass]);
                 extraCols += ', MemberClasses';
-                extraVals += `, ARRAY['${norm.siteclass}']`;
+                extraVals += `, $${args.length}`;
             }
 
             if (norm.instancelimit) {
+                args.push(norm.instancelimit);
                 extraCols += ', InstanceLimit';
-                extraVals += `, ${norm.instancelimit}`;
+                extraVals += `, $${args.length}`;
+            }
+
+            if (norm.joindeadline) {
+                args.push(norm.joindeadline);
+                extraCols += ', JoinDeadline';
+                extraVals += `, $${args.length}`;
+            }
+
+            if (norm.approval) {
+                extraCols += ', ApprovalRequired';
+                extraVals += ', true';
             }
 
             //
             // Create the application network
             //
             const result = await client.query(`INSERT INTO MemberInvitations(Name, MemberOf, ClaimAccess, InteractiveClaim${extraCols}) ` +
-                                              `VALUES ($1, $2, $3, $4${extraVals}) RETURNING Id`, [uniqueName, vid, norm.claimaccess, norm.interactive]);
+                                              `VALUES ($1, $2, $3, $4${extraVals}) RETURNING Id`, args);
             const invitationId = result.rows[0].id;
 
             await client.query("INSERT INTO EdgeLinks(AccessPoint, EdgeToken, Priority) VALUES ($1, $2, 1)", [norm.primaryaccess, invitationId]);
@@ -172,7 +219,7 @@ const createInvitation = async function(vid, req, res) {
             res.status(returnStatus).json({id: invitationId});
         } catch (error) {
             await client.query("ROLLBACK");
-            returnStatus = 500
+            returnStatus = error.status || 500;
             res.status(returnStatus).send(error.message);
         } finally {
             client.release();
@@ -185,16 +232,16 @@ const createInvitation = async function(vid, req, res) {
     return returnStatus;
 }
 
-const readVan = async function(res, vid) {
+const readVan = async function(res, vid, owner) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
         const result = await client.query("SELECT ApplicationNetworks.Name, ApplicationNetworks.LifeCycle, ApplicationNetworks.Failure, Backbones.Id as backboneid, Backbones.Name as backbonename, StartTime, EndTime, DeleteDelay FROM ApplicationNetworks " +
-                                          "JOIN Backbones ON ApplicationNetworks.Backbone = Backbones.Id WHERE ApplicationNetworks.Id = $1", [vid]);
+                                          "JOIN Backbones ON ApplicationNetworks.Backbone = Backbones.Id WHERE ApplicationNetworks.Id = $1 AND " + OWNER_CLAUSE, [vid, owner]);
         if (result.rowCount == 1) {
             res.status(returnStatus).json(result.rows[0]);
         } else {
-            returnStatus = 400;
+            returnStatus = 404;
             res.status(returnStatus).end();
         }
     } catch (error) {
@@ -206,16 +253,16 @@ const readVan = async function(res, vid) {
     return returnStatus;
 }
 
-const readInvitation = async function(res, iid) {
+const readInvitation = async function(res, iid, owner) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
-        const result = await client.query("SELECT MemberInvitations.Name, MemberInvitations.LifeCycle, MemberInvitations.Failure, ApplicationNetworks.Name as vanname, JoinDeadline, InstanceLimit, InstanceCount, InteractiveClaim as interactive FROM MemberInvitations " +
-                                          "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberInvitations.MemberOf WHERE MemberInvitations.Id = $1", [iid]);
+        const result = await client.query("SELECT MemberInvitations.Name, MemberInvitations.LifeCycle, MemberInvitations.Failure, ApplicationNetworks.Name as vanname, JoinDeadline, InstanceLimit, InstanceCount, InteractiveClaim as interactive, ApprovalRequired as approval FROM MemberInvitations " +
+                                          "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberInvitations.MemberOf WHERE MemberInvitations.Id = $1 AND " + OWNER_CLAUSE, [iid, owner]);
         if (result.rowCount == 1) {
             res.status(returnStatus).json(result.rows[0]);
         } else {
-            returnStatus = 400;
+            returnStatus = 404;
             res.status(returnStatus).end();
         }
     } catch (error) {
@@ -227,16 +274,18 @@ const readInvitation = async function(res, iid) {
     return returnStatus;
 }
 
-const readVanMember = async function(res, mid) {
+const readVanMember = async function(res, mid, owner) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
-        const result = await client.query("SELECT MemberSites.Name, MemberSites.LifeCycle, MemberSites.Failure, ApplicationNetworks.Name as vanname, FiratActiveTime, LastHeartbeat, SiteClass FROM MemberSites " +
-                                          "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberSites.MemberOf WHERE MemberSites.Id = $1", [mid]);
+        const result = await client.query("SELECT MemberSites.Name, MemberSites.LifeCycle, MemberSites.Failure, ApplicationNetworks.Name as vanname, FirstActiveTime, LastHeartbeat, Stale, SiteClasses, " +
+                                          "ActiveAccessPoint, BackboneAccessPoints.Name as accesspointname FROM MemberSites " +
+                                          "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberSites.MemberOf " +
+                                          "LEFT OUTER JOIN BackboneAccessPoints ON BackboneAccessPoints.Id = ActiveAccessPoint WHERE MemberSites.Id = $1 AND " + OWNER_CLAUSE, [mid, owner]);
         if (result.rowCount == 1) {
             res.status(returnStatus).json(result.rows[0]);
         } else {
-            returnStatus = 400;
+            returnStatus = 404;
             res.status(returnStatus).end();
         }
     } catch (error) {
@@ -248,14 +297,14 @@ const readVanMember = async function(res, mid) {
     return returnStatus;
 }
 
-const listVans = async function(res, bid) {
+const listVans = async function(res, bid, owner) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
-        const result = await client.query("SELECT Id, Name, LifeCycle, Failure, StartTime, EndTime, DeleteDelay FROM ApplicationNetworks WHERE Backbone = $1", [bid]);
+        const result = await client.query("SELECT Id, Name, LifeCycle, Failure, StartTime, EndTime, DeleteDelay FROM ApplicationNetworks WHERE Backbone = $1 AND " + OWNER_CLAUSE, [bid, owner]);
         res.status(returnStatus).json(result.rows);
     } catch (error) {
-        returnStatus = 500
+        returnStatus = error.status || 500;
         res.status(returnStatus).send(error.message);
     } finally {
         client.release();
@@ -263,15 +312,15 @@ const listVans = async function(res, bid) {
     return returnStatus;
 }
 
-const listAllVans = async function(res, bid) {
+const listAllVans = async function(res, owner) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
         const result = await client.query("SELECT ApplicationNetworks.Id, Backbone, Backbones.Name as backbonename, ApplicationNetworks.Name, ApplicationNetworks.LifeCycle, ApplicationNetworks.Failure, StartTime, EndTime, DeleteDelay FROM ApplicationNetworks " +
-                                          "JOIN Backbones ON Backbones.Id = Backbone");
+                                          "JOIN Backbones ON Backbones.Id = Backbone WHERE ($1::text IS NULL OR ApplicationNetworks.Owner = $1)", [owner]);
         res.status(returnStatus).json(result.rows);
     } catch (error) {
-        returnStatus = 500
+        returnStatus = error.status || 500;
         res.status(returnStatus).send(error.message);
     } finally {
         client.release();
@@ -279,14 +328,17 @@ const listAllVans = async function(res, bid) {
     return returnStatus;
 }
 
-const listInvitations = async function(res, vid) {
+const listInvitations = async function(res, vid, owner) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
-        const result = await client.query("SELECT Id, Name, LifeCycle, Failure, JoinDeadline, MemberClass, InstanceLimit, InstanceCount, FetchCount, InteractiveClaim as interactive FROM MemberInvitations WHERE MemberOf = $1", [vid]);
+        if (!await vanVisible_TX(client, vid, owner)) {
+            throw(notFound('Application network'));
+        }
+        const result = await client.query("SELECT Id, Name, LifeCycle, Failure, JoinDeadline, MemberClass, InstanceLimit, InstanceCount, FetchCount, InteractiveClaim as interactive, ApprovalRequired as approval FROM MemberInvitations WHERE MemberOf = $1", [vid]);
         res.status(returnStatus).json(result.rows);
     } catch (error) {
-        returnStatus = 500
+        returnStatus = error.status || 500;
         res.status(returnStatus).send(error.message);
     } finally {
         client.release();
@@ -294,14 +346,19 @@ const listInvitations = async function(res, vid) {
     return returnStatus;
 }
 
-const listVanMembers = async function(res, vid) {
+const listVanMembers = async function(res, vid, owner) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
-        const result = await client.query("SELECT id, Name, LifeCycle, Failure, FirstActiveTime, LastHeartbeat, SiteClass, Invitation FROM MemberSites WHERE MemberOf = $1", [vid]);
+        if (!await vanVisible_TX(client, vid, owner)) {
+            throw(notFound('Application network'));
+        }
+        const result = await client.query("SELECT MemberSites.Id, MemberSites.Name, MemberSites.LifeCycle, MemberSites.Failure, FirstActiveTime, LastHeartbeat, Stale, SiteClasses, Invitation, " +
+                                          "ActiveAccessPoint, BackboneAccessPoints.Name as accesspointname FROM MemberSites " +
+                                          "LEFT OUTER JOIN BackboneAccessPoints ON BackboneAccessPoints.Id = ActiveAccessPoint WHERE MemberOf = $1", [vid]);
         res.status(returnStatus).json(result.rows);
     } catch (error) {
-        returnStatus = 500
+        returnStatus = error.status || 500;
         res.status(returnStatus).send(error.message);
     } finally {
         client.release();
@@ -309,12 +366,64 @@ const listVanMembers = async function(res, vid) {
     return returnStatus;
 }
 
-const deleteVan = async function(res, vid) {
+//
+// The service catalog of an application network:  For each routing key, the member sites that provide the service
+// (connectors) and the member sites that consume it (listeners), as reported by the sites.
+//
+const listVanServices = async function(res, vid, owner) {
+    var returnStatus = 200;
+    const client = await db.ClientFromPool();
+    try {
+        if (!await vanVisible_TX(client, vid, owner)) {
+            throw(notFound('Application network'));
+        }
+        const result = await client.query("SELECT MemberServices.Kind, RoutingKey, Host, Port, Endpoints, MemberSites.Id as siteid, MemberSites.Name as sitename FROM MemberServices " +
+                                          "JOIN MemberSites ON MemberSites.Id = MemberServices.MemberSite " +
+                                          "WHERE MemberSites.MemberOf = $1 AND MemberSites.Lifecycle != 'evicted' ORDER BY RoutingKey, MemberSites.Name", [vid]);
+        let catalog = {};
+        for (const row of result.rows) {
+            if (!catalog[row.routingkey]) {
+                catalog[row.routingkey] = {
+                    routingkey : row.routingkey,
+                    providers  : [],
+                    consumers  : [],
+                };
+            }
+            if (row.kind == 'connector') {
+                catalog[row.routingkey].providers.push({
+                    siteid    : row.siteid,
+                    sitename  : row.sitename,
+                    port      : row.port,
+                    endpoints : row.endpoints,
+                });
+            } else {
+                catalog[row.routingkey].consumers.push({
+                    siteid   : row.siteid,
+                    sitename : row.sitename,
+                    host     : row.host,
+                    port     : row.port,
+                });
+            }
+        }
+        res.status(returnStatus).json(Object.values(catalog));
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+    return returnStatus;
+}
+
+const deleteVan = async function(res, vid, owner) {
     var returnStatus = 204;
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT Id FROM MemberSites WHERE MemberOf = $1 LIMIT 1", [vid]);
+        if (!await vanVisible_TX(client, vid, owner)) {
+            throw(notFound('Application network'));
+        }
+        const result = await client.query("SELECT Id FROM MemberSites WHERE MemberOf = $1 AND Lifecycle NOT IN ('evicted', 'failed') LIMIT 1", [vid]);
         if (result.rowCount == 0) {
             const delResult = await client.query("DELETE FROM ApplicationNetworks WHERE Id = $1 RETURNING Certificate", [vid]);
             if (delResult.rowCount == 1) {
@@ -333,7 +442,7 @@ const deleteVan = async function(res, vid) {
         await client.query("COMMIT");
     } catch (error) {
         await client.query("ROLLBACK");
-        returnStatus = 500;
+        returnStatus = error.status || 500;
         res.status(returnStatus).send(error.message);
     } finally {
         client.release();
@@ -341,12 +450,15 @@ const deleteVan = async function(res, vid) {
     return returnStatus;
 }
 
-const deleteInvitation = async function(res, iid) {
+const deleteInvitation = async function(res, iid, owner) {
     var returnStatus = 204;
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT id FROM MemberSites WHERE Invitation = $1 LIMIT 1", [iid]);
+        if (!await invitationVisible_TX(client, iid, owner)) {
+            throw(notFound('Invitation'));
+        }
+        const result = await client.query("SELECT id FROM MemberSites WHERE Invitation = $1 AND Lifecycle != 'failed' LIMIT 1", [iid]);
         if (result.rowCount == 0) {
             const invResult = await client.query("DELETE FROM MemberInvitations WHERE Id = $1 RETURNING Certificate", [iid]);
             if (invResult.rowCount == 1) {
@@ -363,7 +475,7 @@ const deleteInvitation = async function(res, iid) {
         await client.query("COMMIT");
     } catch (error) {
         await client.query("ROLLBACK");
-        returnStatus = 500
+        returnStatus = error.status || 500;
         res.status(returnStatus).send(error.message);
     } finally {
         client.release();
@@ -371,11 +483,13 @@ const deleteInvitation = async function(res, iid) {
     return returnStatus;
 }
 
-const expireInvitation = async function(res, iid) {
+const expireInvitation = async function(res, iid, owner) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
-        const result = await client.query("UPDATE MemberInvitations SET Lifecycle = 'expired', Failure = 'Expired via API' WHERE Id = $1 RETURNING Id", [iid]);
+        const result = await client.query("UPDATE MemberInvitations SET Lifecycle = 'expired', Failure = 'Expired via API' FROM ApplicationNetworks " +
+                                          "WHERE MemberInvitations.Id = $1 AND ApplicationNetworks.Id = MemberInvitations.MemberOf AND " + OWNER_CLAUSE +
+                                          " RETURNING MemberInvitations.Id", [iid, owner]);
         if (result.rowCount == 0) {
             returnStatus = 404;
         }
@@ -390,14 +504,207 @@ const expireInvitation = async function(res, iid) {
 }
 
 const evictMember = async function(mid, req, res) {
-    var returnStatus = 501;
-    res.status(returnStatus).send("Not Implemented");
+    var returnStatus = 200;
+    var evicted      = false;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const result = await client.query("SELECT MemberSites.Lifecycle FROM MemberSites " +
+                                          "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberSites.MemberOf " +
+                                          "WHERE MemberSites.Id = $1 AND " + OWNER_CLAUSE, [mid, auth.Tenant(req)]);
+        if (result.rowCount == 0) {
+            returnStatus = 404;
+            res.status(returnStatus).send('Member site not found');
+        } else if (result.rows[0].lifecycle == 'evicted') {
+            res.status(returnStatus).send('Member site already evicted');
+        } else {
+            await sync.EvictMembers_TX(client, [mid], 'Evicted via API');
+            evicted = true;
+            res.status(returnStatus).send('Member site evicted');
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+
+    if (evicted) {
+        await sync.MemberEvicted(mid);
+    }
     return returnStatus;
 }
 
+//
+// Evict all of the members of an application network and expire its invitations so no new members can join.
+//
 const evictVan = async function(vid, req, res) {
-    var returnStatus = 501;
-    res.status(returnStatus).send("Not Implemented");
+    var returnStatus = 200;
+    var memberIds    = [];
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!await vanVisible_TX(client, vid, auth.Tenant(req))) {
+            returnStatus = 404;
+            res.status(returnStatus).send('Application network not found');
+        } else {
+            const result = await client.query("SELECT Id FROM MemberSites WHERE MemberOf = $1 AND Lifecycle != 'evicted'", [vid]);
+            for (const row of result.rows) {
+                memberIds.push(row.id);
+            }
+            if (memberIds.length > 0) {
+                await sync.EvictMembers_TX(client, memberIds, 'Evicted via API');
+            }
+            await client.query("UPDATE MemberInvitations SET Lifecycle = 'expired', Failure = 'Application network evicted' WHERE MemberOf = $1 AND Lifecycle != 'expired'", [vid]);
+            res.status(returnStatus).send(`Evicted ${memberIds.length} member site(s)`);
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = 500;
+        res.status(returnStatus).send(error.message);
+        memberIds = [];
+    } finally {
+        client.release();
+    }
+
+    for (const mid of memberIds) {
+        await sync.MemberEvicted(mid);
+    }
+    return returnStatus;
+}
+
+//
+// Claims on invitations that require approval are held as member sites in the 'pending_approval' state.
+//
+const listPendingClaims = async function(res, vid, owner) {
+    var returnStatus = 200;
+    const client = await db.ClientFromPool();
+    try {
+        if (!await vanVisible_TX(client, vid, owner)) {
+            throw(notFound('Application network'));
+        }
+        const result = await client.query("SELECT MemberSites.Id, MemberSites.Name, MemberSites.SiteClasses, Invitation, MemberInvitations.Name as invitationname FROM MemberSites " +
+                                          "JOIN MemberInvitations ON MemberInvitations.Id = Invitation " +
+                                          "WHERE MemberSites.MemberOf = $1 AND MemberSites.Lifecycle = 'pending_approval'", [vid]);
+        res.status(returnStatus).json(result.rows);
+    } catch (error) {
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+    return returnStatus;
+}
+
+//
+// Lock a member site that is awaiting approval, checking that it is visible to the caller.
+//
+const pendingMember_TX = async function(client, mid, owner) {
+    const result = await client.query("SELECT MemberSites.Lifecycle, MemberSites.Invitation FROM MemberSites " +
+                                      "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberSites.MemberOf " +
+                                      "WHERE MemberSites.Id = $1 AND " + OWNER_CLAUSE + " FOR UPDATE OF MemberSites", [mid, owner]);
+    if (result.rowCount == 0) {
+        throw(notFound('Member site'));
+    }
+    if (result.rows[0].lifecycle != 'pending_approval') {
+        let error = Error('Member site is not awaiting approval');
+        error.status = 409;
+        throw(error);
+    }
+    return result.rows[0];
+}
+
+//
+// Approval releases the member into the normal certificate process.  The claim completes when its certificate is ready.
+//
+const approveMember = async function(mid, req, res) {
+    var returnStatus = 200;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        await pendingMember_TX(client, mid, auth.Tenant(req));
+        await client.query("UPDATE MemberSites SET Lifecycle = 'new' WHERE Id = $1", [mid]);
+        await client.query("COMMIT");
+        Log(`Claim for member site ${mid} approved`);
+        res.status(returnStatus).send('Claim approved');
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 500;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
+    return returnStatus;
+}
+
+//
+// A rejected claim does not count against its invitation's instance limit.
+//
+const rejectMember = async function(mid, req, res) {
+    var returnStatus;
+    var failure;
+    const form = new formidable.IncomingForm();
+    try {
+        const [fields, files] = await form.parse(req);
+        const norm = util.ValidateAndNormalizeFields(fields, {
+            'reason' : {type: 'string', optional: true, default: null},
+        });
+
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            const member = await pendingMember_TX(client, mid, auth.Tenant(req));
+            failure = norm.reason ? `Claim rejected: ${norm.reason}` : 'Claim rejected';
+            await client.query("UPDATE MemberSites SET Lifecycle = 'failed', Failure = $2 WHERE Id = $1", [mid, failure]);
+            await client.query("UPDATE MemberInvitations SET InstanceCount = InstanceCount - 1 WHERE Id = $1 AND InstanceCount > 0", [member.invitation]);
+            await client.query("COMMIT");
+            Log(`Claim for member site ${mid} rejected`);
+            returnStatus = 200;
+            res.status(returnStatus).send(failure);
+        } catch (error) {
+            await client.query("ROLLBACK");
+            returnStatus = error.status || 500;
+            res.status(returnStatus).send(error.message);
+        } finally {
+            client.release();
+        }
+    } catch (error) {
+        returnStatus = 400;
+        res.status(returnStatus).json({ message: error.message });
+    }
+
+    if (returnStatus == 200) {
+        claims.RejectMember(mid, failure);
+    }
+    return returnStatus;
+}
+
+const rotateVan = async function(res, vid, owner) {
+    var returnStatus = 202;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        if (!await vanVisible_TX(client, vid, owner)) {
+            throw(notFound('Application network'));
+        }
+        const requested = await certs.RotateCertificate_TX(client, 'ApplicationNetworks', vid);
+        await client.query("COMMIT");
+        if (requested) {
+            res.status(returnStatus).end();
+        } else {
+            returnStatus = 409;
+            res.status(returnStatus).send('Certificate rotation already in progress');
+        }
+    } catch (error) {
+        await client.query("ROLLBACK");
+        returnStatus = error.status || 400;
+        res.status(returnStatus).send(error.message);
+    } finally {
+        client.release();
+    }
     return returnStatus;
 }
 
@@ -439,22 +746,27 @@ exports.Initialize = async function(api, keycloak) {
 
     // READ
     api.get(API_PREFIX + 'van/:vid', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await readVan(res, req.params.vid);
+        await readVan(res, req.params.vid, auth.Tenant(req));
     });
 
     // LIST
     api.get(API_PREFIX + 'backbone/:bid/vans', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await listVans(res, req.params.bid);
+        await listVans(res, req.params.bid, auth.Tenant(req));
     });
 
     // LIST ALL
     api.get(API_PREFIX + 'vans', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await listAllVans(res);
+        await listAllVans(res, auth.Tenant(req));
     });
 
     // DELETE
     api.delete(API_PREFIX + 'van/:vid', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await deleteVan(res, req.params.vid);
+        await deleteVan(res, req.params.vid, auth.Tenant(req));
+    });
+
+    // SERVICE CATALOG
+    api.get(API_PREFIX + 'van/:vid/services', keycloak.protect('realm:van-owner'), async (req, res) => {
+        await listVanServices(res, req.params.vid, auth.Tenant(req));
     });
 
     // COMMANDS
@@ -462,6 +774,10 @@ exports.Initialize = async function(api, keycloak) {
         await evictVan(req.params.vid, req, res);
     });
 
+    api.put(API_PREFIX + 'van/:vid/rotate', keycloak.protect('realm:van-owner'), async (req, res) => {
+        await rotateVan(res, req.params.vid, auth.Tenant(req));
+    });
+
     //========================================
     // Invitations
     //========================================
@@ -473,22 +789,22 @@ exports.Initialize = async function(api, keycloak) {
 
     // READ
     api.get(API_PREFIX + 'invitation/:iid', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await readInvitation(res, req.params.iid);
+        await readInvitation(res, req.params.iid, auth.Tenant(req));
     });
 
     // LIST
     api.get(API_PREFIX + 'van/:vid/invitations', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await listInvitations(res, req.params.vid);
+        await listInvitations(res, req.params.vid, auth.Tenant(req));
     });
 
     // DELETE
     api.delete(API_PREFIX + 'invitation/:iid', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await deleteInvitation(res, req.params.iid);
+        await deleteInvitation(res, req.params.iid, auth.Tenant(req));
     });
 
     // COMMANDS
     api.put(API_PREFIX + 'invitation/:iid/expire', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await expireInvitation(res, req.params.iid);
+        await expireInvitation(res, req.params.iid, auth.Tenant(req));
     })
 
     //========================================
@@ -497,12 +813,12 @@ exports.Initialize = async function(api, keycloak) {
 
     // READ
     api.get(API_PREFIX + 'member/:mid', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await readVanMember(res, req.params.mid);
+        await readVanMember(res, req.params.mid, auth.Tenant(req));
     });
 
     // LIST
     api.get(API_PREFIX + 'van/:vid/members', keycloak.protect('realm:van-owner'), async (req, res) => {
-        await listVanMembers(res, req.params.vid);
+        await listVanMembers(res, req.params.vid, auth.Tenant(req));
     });
 
     // COMMANDS
@@ -510,6 +826,24 @@ exports.Initialize = async function(api, keycloak) {
         await evictMember(req.params.mid, req, res);
     });
 
+    //========================================
+    // Claims awaiting approval
+    //========================================
+
+    // LIST
+    api.get(API_PREFIX + 'van/:vid/claims', keycloak.protect('realm:van-owner'), async (req, res) => {
+        await listPendingClaims(res, req.params.vid, auth.Tenant(req));
+    });
+
+    // COMMANDS
+    api.put(API_PREFIX + 'member/:mid/approve', keycloak.protect('realm:van-owner'), async (req, res) => {
+        await approveMember(req.params.mid, req, res);
+    });
+
+    api.put(API_PREFIX + 'member/:mid/reject', keycloak.protect('realm:van-owner'), async (req, res) => {
+        await rejectMember(req.params.mid, req, res);
+    });
+
     //========================================
     // Queries for filling forms
     //========================================
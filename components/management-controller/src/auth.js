@@ -0,0 +1,337 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module authenticates API requests using OIDC bearer tokens and enforces the roles required by the API routes.
+//
+// Configuration (environment):
+//   SKX_AUTH_MODE         'oidc' (default) or 'disabled'.  Disabled mode admits every request and is for development only.
+//   SKX_OIDC_ISSUER       The token issuer.  Tokens must carry this 'iss' claim.  Unless a JWKS is otherwise provided,
+//                         the signing keys are found through the issuer's discovery document.
+//   SKX_OIDC_AUDIENCE     If set, tokens must carry this audience in their 'aud' claim.
+//   SKX_OIDC_CLIENT_ID    The public client with which the console signs users in (default: skupperx-console).
+//   SKX_OIDC_JWKS_URI     If set, the signing keys are fetched from this URI instead of through discovery.
+//   SKX_OIDC_JWKS_FILE    If set, the signing keys are read from this file and never fetched (offline operation, testing).
+//   SKX_OIDC_ROLES_CLAIM  Dotted path of the token claim that lists the user's roles (default: realm_access.roles).
+//   SKX_OIDC_OWNER_CLAIM  The token claim that identifies the user as the owner of resources (default: sub).
+//   SKX_OIDC_ROLE_MAP     Optional mapping of token roles to API roles: "<api-role>=<token-role>[,...]".  API roles
+//                         not mentioned in the map are matched by name.
+//
+// The API roles are 'backbone-admin' and 'van-owner'.  Routes name them Keycloak-style, i.e. 'realm:van-owner'.
+// A van-owner sees only the application networks it owns (and their invitations, members and applications).  A
+// backbone-admin may use every route and sees the resources of all owners.
+//
+// Authenticated requests carry req.user = {subject, owner, roles}.
+//
+
+const fs     = require('fs/promises');
+const crypto = require('crypto');
+const Log    = require('./common/log.js').Log;
+
+const AUTH_MODE     = process.env.SKX_AUTH_MODE || 'oidc';
+const ISSUER        = process.env.SKX_OIDC_ISSUER;
+const AUDIENCE      = process.env.SKX_OIDC_AUDIENCE;
+const CLIENT_ID     = process.env.SKX_OIDC_CLIENT_ID || 'skupperx-console';
+const JWKS_URI      = process.env.SKX_OIDC_JWKS_URI;
+const JWKS_FILE     = process.env.SKX_OIDC_JWKS_FILE;
+const ROLES_CLAIM   = process.env.SKX_OIDC_ROLES_CLAIM || 'realm_access.roles';
+const OWNER_CLAIM   = process.env.SKX_OIDC_OWNER_CLAIM || 'sub';
+const ROLE_MAP      = process.env.SKX_OIDC_ROLE_MAP || '';
+
+const CLOCK_SKEW_SECONDS   = 60;
+const JWKS_REFRESH_SECONDS = 30;  // Minimum time between fetches of the JWKS when an unknown key-id is seen
+const JWKS_RETRY_SECONDS   = 5;   // Minimum time between fetches of the JWKS while no keys have been loaded
+
+//
+// Signature algorithms accepted in tokens:  alg => [digest, key-type, verify-options]
+//
+const ALGORITHMS = {
+    RS256 : ['sha256', 'rsa', {}],
+    RS384 : ['sha384', 'rsa', {}],
+    RS512 : ['sha512', 'rsa', {}],
+    PS256 : ['sha256', 'rsa', { padding : crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength : 32 }],
+    PS384 : ['sha384', 'rsa', { padding : crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength : 48 }],
+    PS512 : ['sha512', 'rsa', { padding : crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength : 64 }],
+    ES256 : ['sha256', 'ec',  { dsaEncoding : 'ieee-p1363' }],
+    ES384 : ['sha384', 'ec',  { dsaEncoding : 'ieee-p1363' }],
+    ES512 : ['sha512', 'ec',  { dsaEncoding : 'ieee-p1363' }],
+};
+
+var signingKeys  = {};  // kid => KeyObject
+var lastJwksLoad = 0;    // Time of the last attempt to load the JWKS, successful or not
+var jwksLoading  = null;
+var roleMap      = {};  // api-role => token-role
+
+const authError = function(status, message) {
+    let error = Error(message);
+    error.status = status;
+    return error;
+}
+
+const parseRoleMap = function(text) {
+    let map = {};
+    for (const entry of text.split(',')) {
+        const [apiRole, tokenRole] = entry.split('=');
+        if (apiRole && tokenRole) {
+            map[apiRole.trim()] = tokenRole.trim();
+        }
+    }
+    return map;
+}
+
+const fetchJson = async function(uri) {
+    const response = await fetch(uri);
+    if (!response.ok) {
+        throw Error(`GET ${uri} failed: ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+}
+
+const jwksDocument = async function() {
+    if (JWKS_FILE) {
+        return JSON.parse(await fs.readFile(JWKS_FILE, 'utf8'));
+    }
+    var uri = JWKS_URI;
+    if (!uri) {
+        const discovery = await fetchJson(`${ISSUER.replace(/\/$/, '')}/.well-known/openid-configuration`);
+        uri = discovery.jwks_uri;
+    }
+    return await fetchJson(uri);
+}
+
+const doLoadSigningKeys = async function() {
+    lastJwksLoad = Date.now();
+    const jwks = await jwksDocument();
+    let keys = {};
+    for (const jwk of jwks.keys || []) {
+        if (jwk.use && jwk.use != 'sig') {
+            continue;
+        }
+        try {
+            keys[jwk.kid || ''] = crypto.createPublicKey({ key : jwk, format : 'jwk' });
+        } catch (error) {
+            Log(`Auth - Ignoring unusable JWKS key ${jwk.kid}: ${error.message}`);
+        }
+    }
+    signingKeys = keys;
+    Log(`Auth - Loaded ${Object.keys(keys).length} signing key(s)`);
+}
+
+//
+// Load the signing keys, coalescing concurrent loads into one.
+//
+const loadSigningKeys = async function() {
+    if (!jwksLoading) {
+        jwksLoading = doLoadSigningKeys().finally(() => { jwksLoading = null; });
+    }
+    await jwksLoading;
+}
+
+//
+// The keys are loaded lazily if they could not be loaded at startup, and reloaded when an unknown key-id is seen
+// because the issuer may have rotated its keys.
+//
+const signingKey = async function(kid) {
+    const id      = kid || '';
+    const elapsed = Date.now() - lastJwksLoad;
+    const noKeys  = Object.keys(signingKeys).length == 0;
+    if (!signingKeys[id] && (noKeys ? elapsed > JWKS_RETRY_SECONDS * 1000 : !JWKS_FILE && elapsed > JWKS_REFRESH_SECONDS * 1000)) {
+        try {
+            await loadSigningKeys();
+        } catch (error) {
+            Log(`Auth - Unable to load the token signing keys: ${error.message}`);
+        }
+    }
+    if (Object.keys(signingKeys).length == 0) {
+        throw authError(503, 'Token signing keys are not available');
+    }
+    if (!signingKeys[id] && !kid && Object.keys(signingKeys).length == 1) {
+        return Object.values(signingKeys)[0];
+    }
+    return signingKeys[id];
+}
+
+const decodeSegment = function(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+//
+// Validate a compact-serialized JWT and return its claims.
+//
+const verifyToken = async function(token) {
+    const parts = token.split('.');
+    if (parts.length != 3) {
+        throw authError(401, 'Malformed bearer token');
+    }
+
+    var header;
+    var claims;
+    try {
+        header = decodeSegment(parts[0]);
+        claims = decodeSegment(parts[1]);
+    } catch (error) {
+        throw authError(401, 'Malformed bearer token');
+    }
+
+    const algorithm = ALGORITHMS[header.alg];
+    if (!algorithm) {
+        throw authError(401, `Unsupported token algorithm ${header.alg}`);
+    }
+    const [digest, keyType, options] = algorithm;
+
+    const key = await signingKey(header.kid);
+    if (!key || key.asymmetricKeyType.replace('-pss', '') != keyType) {
+        throw authError(401, 'Token signing key not recognized');
+    }
+
+    const verified = crypto.verify(digest, Buffer.from(`${parts[0]}.${parts[1]}`), { key : key, ...options }, Buffer.from(parts[2], 'base64url'));
+    if (!verified) {
+        throw authError(401, 'Token signature is not valid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.iss != ISSUER) {
+        throw authError(401, 'Token issuer is not trusted');
+    }
+    if (AUDIENCE && !([].concat(claims.aud || [])).includes(AUDIENCE)) {
+        throw authError(401, 'Token audience does not match');
+    }
+    if (typeof claims.exp != 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw authError(401, 'Token is expired');
+    }
+    if (typeof claims.nbf == 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+        throw authError(401, 'Token is not yet valid');
+    }
+
+    return claims;
+}
+
+const claimAtPath = function(claims, path) {
+    var value = claims;
+    for (const element of path.split('.')) {
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+        value = value[element];
+    }
+    return value;
+}
+
+const hasRole = function(user, apiRole) {
+    return user.roles.includes(roleMap[apiRole] || apiRole);
+}
+
+//
+// Backbone administrators are admitted to every route and are not confined to the resources they own.
+//
+const isAdmin = function(user) {
+    return hasRole(user, 'backbone-admin');
+}
+
+const authenticate = async function(req) { // => user
+    const header = req.headers.authorization || '';
+    const match  = header.match(/^Bearer\s+(\S+)$/i);
+    if (!match) {
+        throw authError(401, 'Bearer token required');
+    }
+
+    const claims = await verifyToken(match[1]);
+    const roles  = claimAtPath(claims, ROLES_CLAIM);
+    const owner  = claimAtPath(claims, OWNER_CLAIM);
+    return {
+        subject : claims.sub,
+        owner   : owner === undefined ? claims.sub : `${owner}`,
+        roles   : Array.isArray(roles) ? roles : [],
+    };
+}
+
+//
+// Express middleware that admits only requests whose token grants the role.  The role is given as 'realm:<role>'.
+//
+exports.Protect = function(spec) {
+    const apiRole = spec.startsWith('realm:') ? spec.substring(6) : spec;
+    return async (req, res, next) => {
+        if (AUTH_MODE == 'disabled') {
+            next();
+            return;
+        }
+        try {
+            const user = await authenticate(req);
+            if (!hasRole(user, apiRole) && !isAdmin(user)) {
+                throw authError(403, `Role ${apiRole} required`);
+            }
+            req.user = user;
+        } catch (error) {
+            const status = error.status || 500;
+            if (status == 401) {
+                res.set('WWW-Authenticate', 'Bearer');
+            }
+            res.status(status).send(error.message);
+            return;
+        }
+        next();
+    };
+}
+
+//
+// The owner identity of the requesting user, or null if authentication is disabled.
+//
+exports.Owner = function(req) {
+    return req.user ? req.user.owner : null;
+}
+
+//
+// The owner to which the request's view of tenant resources is confined, or null if the view is unrestricted
+// (authentication disabled, or the user is a backbone-admin).
+//
+exports.Tenant = function(req) {
+    return req.user && !isAdmin(req.user) ? req.user.owner : null;
+}
+
+//
+// The settings the console needs to sign users in.  These are served without authentication.
+//
+exports.ClientConfig = function() {
+    if (AUTH_MODE == 'disabled') {
+        return { mode : AUTH_MODE };
+    }
+    return { mode : AUTH_MODE, issuer : ISSUER, clientId : CLIENT_ID };
+}
+
+exports.Start = async function() {
+    if (AUTH_MODE == 'disabled') {
+        Log('[Auth module started - WARNING: authentication is disabled, all API requests are admitted]');
+        return;
+    }
+    if (AUTH_MODE != 'oidc') {
+        throw Error(`Unknown SKX_AUTH_MODE: ${AUTH_MODE}`);
+    }
+    if (!ISSUER) {
+        throw Error('SKX_OIDC_ISSUER must be set (or set SKX_AUTH_MODE=disabled to run without authentication)');
+    }
+    Log(`[Auth module started - OIDC issuer ${ISSUER}]`);
+    roleMap = parseRoleMap(ROLE_MAP);
+    try {
+        await loadSigningKeys();
+    } catch (error) {
+        Log(`Auth - Unable to load the token signing keys, will retry when a token is presented: ${error.message}`);
+    }
+}
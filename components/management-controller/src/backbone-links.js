@@ -22,6 +22,10 @@
 //
 // The responsibility of this module is to maintain an AMQP connection to each backbone network.
 //
+// Each backbone may have several 'manage' access points.  The connection to a backbone can use any of them:  It prefers
+// access points on healthy sites (not stale or draining), then those that have not been failing, then those that were
+// quickest to connect.  If the connection is lost, it fails over to the next-best access point with backoff.
+//
 
 const kube = require('./common/kube.js');
 const Log  = require('./common/log.js').Log;
@@ -32,21 +36,91 @@ var controller_name;
 var tls_ca;
 var tls_cert;
 var tls_key;
-var bbConnections = {};
+var bbConnections = {};  // bbid => {toDelete, conn, endpoints: {apid => endpoint}, active: apid, connected, since}
 var registrations = [];
 
-const createConnection = async function(bbid, row) {
+const newEndpoint = function(row) {
+    return {
+        id       : row.id,
+        host     : row.hostname,
+        port     : row.port,
+        siteName : row.sitename,
+        healthy  : !row.unhealthy,
+        failures : 0,           // Consecutive failed connection attempts
+        latency  : undefined,   // Milliseconds taken to open the last connection
+    };
+}
+
+//
+// Preferred endpoints first:  Healthy, then fewest consecutive failures, then lowest latency.
+//
+const endpointOrder = function(a, b) {
+    if (a.healthy != b.healthy) {
+        return a.healthy ? -1 : 1;
+    }
+    if (a.failures != b.failures) {
+        return a.failures - b.failures;
+    }
+    const latencyA = a.latency === undefined ? Infinity : a.latency;
+    const latencyB = b.latency === undefined ? Infinity : b.latency;
+    if (latencyA != latencyB) {
+        return latencyA < latencyB ? -1 : 1;
+    }
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+const bestEndpoint = function(bb) {
+    return Object.values(bb.endpoints).sort(endpointOrder)[0];
+}
+
+const endpointMonitor = function(bbid) {
+    return {
+        select : function() {
+            const bb       = bbConnections[bbid];
+            const endpoint = bestEndpoint(bb) || bb.lastEndpoint;
+            bb.active       = endpoint.id;
+            bb.lastEndpoint = endpoint;
+            bb.connected    = false;
+            return endpoint;
+        },
+
+        opened : function(endpoint, latency) {
+            const bb = bbConnections[bbid];
+            if (bb) {
+                Log(`Management connection to backbone ${bbid} is open via access point ${endpoint.id} (${endpoint.host}:${endpoint.port}, ${latency}ms)`);
+                endpoint.failures = 0;
+                endpoint.latency  = latency;
+                bb.connected = true;
+                bb.since     = new Date();
+            }
+        },
+
+        failed : function(endpoint, error) {
+            const bb = bbConnections[bbid];
+            if (bb && endpoint) {
+                Log(`Management connection to backbone ${bbid} via access point ${endpoint.id} failed${error ? ': ' + (error.message || error.condition || error) : ''}`);
+                endpoint.failures++;
+                bb.connected = false;
+            }
+        },
+    };
+}
+
+const createConnection = async function(bbid, rows) {
     bbConnections[bbid] = {
-        toDelete: false,
-        host: row.hostname,
-        port: row.port,
+        toDelete  : false,
+        endpoints : {},
+        active    : undefined,
+        connected : false,
+        since     : undefined,
     };
+    for (const row of rows) {
+        bbConnections[bbid].endpoints[row.id] = newEndpoint(row);
+    }
 
-    Log(`Connecting to Access Point: ${row.hostname}:${row.port}`);
-    bbConnections[bbid].conn = amqp.OpenConnection(
+    bbConnections[bbid].conn = amqp.OpenFailoverConnection(
         `Backbone-management-${bbid}`,
-        row.hostname,
-        row.port,
+        endpointMonitor(bbid),
         'tls',
         tls_ca,
         tls_cert,
@@ -67,30 +141,65 @@ const deleteConnection = async function(bbid) {
     }
 }
 
+//
+// Bring an existing connection's endpoints up to date with the database.  If the endpoint in use has gone away, has
+// moved, or has become unhealthy while a healthy alternative exists, move the connection to the best endpoint.
+//
+const updateEndpoints = function(bbid, rows) {
+    const bb     = bbConnections[bbid];
+    const active = bb.endpoints[bb.active];
+    var   moved  = false;
+    var   update = {};
+    for (const row of rows) {
+        const existing = bb.endpoints[row.id];
+        if (existing && existing.host == row.hostname && existing.port == row.port) {
+            existing.healthy  = !row.unhealthy;
+            existing.siteName = row.sitename;
+            update[row.id] = existing;
+        } else {
+            update[row.id] = newEndpoint(row);
+            moved = moved || row.id == bb.active;
+        }
+    }
+    bb.endpoints = update;
+
+    if (!active) {
+        return;
+    }
+    const best = bestEndpoint(bb);
+    if (moved || !bb.endpoints[active.id] || (!active.healthy && best.healthy)) {
+        Log(`Moving the management connection for backbone ${bbid} from access point ${active.id} to ${best.id}`);
+        amqp.SwitchEndpoint(bb.conn);
+    }
+}
+
 const reconcileBackboneConnections = async function() {
-    var reschedule_delay = 30000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
-        const result = await client.query("SELECT BackboneAccessPoints.*, InteriorSites.Backbone FROM BackboneAccessPoints " +
+        const result = await client.query("SELECT BackboneAccessPoints.Id, BackboneAccessPoints.Hostname, BackboneAccessPoints.Port, InteriorSites.Backbone, " +
+                                          "InteriorSites.Name as sitename, (InteriorSites.Stale OR InteriorSites.Draining) as unhealthy FROM BackboneAccessPoints " +
                                           "JOIN InteriorSites ON InteriorSites.Id = InteriorSite " + 
                                           "WHERE BackboneAccessPoints.Lifecycle = 'ready' and Kind = 'manage'");
         let db_rows = {};
         for (const row of result.rows) {
             if (!db_rows[row.backbone]) {
-                db_rows[row.backbone] = row;
+                db_rows[row.backbone] = [];
             }
+            db_rows[row.backbone].push(row);
         }
 
         for (const bbid of Object.keys(bbConnections)) {
             bbConnections[bbid].toDelete = true;
         }
 
-        for (const [bbid, row] of Object.entries(db_rows)) {
+        for (const [bbid, rows] of Object.entries(db_rows)) {
             if (bbConnections[bbid]) {
                 bbConnections[bbid].toDelete = false;
+                updateEndpoints(bbid, rows);
             } else {
-                await createConnection(bbid, row);
+                await createConnection(bbid, rows);
             }
         }
 
@@ -107,8 +216,8 @@ const reconcileBackboneConnections = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(reconcileBackboneConnections, reschedule_delay);
     }
+    return reschedule_delay;
 }
 
 const resolveTLSData = async function() {
@@ -140,7 +249,7 @@ const resolveTLSData = async function() {
                 }
 
                 reschedule_delay = -1;
-                setTimeout(reconcileBackboneConnections, 0);
+                db.ReconcileOnChange(['BackboneAccessPoints', 'InteriorSites'], reconcileBackboneConnections);
             } else {
                 throw(Error(`Expected to find a TlsCertificate record for ready controller: ${result.rows[0].certificate}`));
             }
@@ -184,6 +293,29 @@ const resolveControllerRecord = async function() {
     }
 }
 
+//
+// The endpoints of the management connection to a backbone, best first, with the one in use marked active.  Returns
+// undefined if there is no connection to the backbone.
+//
+exports.ConnectionEndpoints = function(bbid) {
+    const bb = bbConnections[bbid];
+    if (!bb) {
+        return undefined;
+    }
+    return Object.values(bb.endpoints).sort(endpointOrder).map(endpoint => ({
+        accesspoint : endpoint.id,
+        host        : endpoint.host,
+        port        : endpoint.port,
+        sitename    : endpoint.siteName,
+        healthy     : endpoint.healthy,
+        active      : endpoint.id == bb.active,
+        connected   : endpoint.id == bb.active && bb.connected,
+        since       : endpoint.id == bb.active && bb.connected ? bb.since : null,
+        failures    : endpoint.failures,
+        latency     : endpoint.latency === undefined ? null : endpoint.latency,
+    }));
+}
+
 exports.RegisterHandler = async function(onAdded, onDeleted) {
     for (const [key, value] of Object.entries(bbConnections)) {
         await onAdded(key, value.conn);
@@ -0,0 +1,437 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module handles the declarative description of a backbone network's topology.  A topology document
+// lists the backbone's interior sites, the access points on each site, and the inter-router links between
+// them.  Objects are identified by name so a document can be kept in source control and applied to a
+// freshly created backbone to reproduce the same topology.
+//
+// Document format (YAML or JSON):
+//
+//   backbone: <backbone-name>            (optional, must match the target backbone if present)
+//   sites:
+//     - name: <site-name>
+//       metadata: <text>                 (optional)
+//       ingress: <ingress-type>          (optional, default route)
+//       accesspoints:
+//         - name: <access-point-name>    (optional, defaults to <site-name>-<kind>)
+//           kind: claim | peer | member | manage
+//           bindhost: <host>             (optional)
+//   links:
+//     - connectingsite: <site-name>
+//       site: <site-name>                (the site that owns the peer access point)
+//       accesspoint: <access-point-name>
+//       cost: <number>                   (optional, default 1)
+//
+
+const Log        = require('./common/log.js').Log;
+const util       = require('./common/util.js');
+const db         = require('./db.js');
+const sync       = require('./sync-management.js');
+const deployment = require('./site-deployment-state.js');
+
+const ACCESS_KINDS  = ['claim', 'peer', 'member', 'manage'];
+const INGRESS_TYPES = ['route', 'loadbalancer', 'nodeport', 'nginx-ingress-v1', 'contour-http-proxy', 'gateway-tls-route'];
+
+//
+// Validate and normalize a parsed topology document.  Throws on the first error found.
+//
+const normalize = function(doc) {
+    if (!doc || typeof doc != 'object' || Array.isArray(doc)) {
+        throw(Error('Topology document must be a map'));
+    }
+
+    for (const key of Object.keys(doc)) {
+        if (['backbone', 'sites', 'links'].indexOf(key) < 0) {
+            throw(Error(`Unknown topology key: ${key}`));
+        }
+    }
+
+    var topology = {
+        backbone : doc.backbone ? String(doc.backbone) : null,
+        sites    : {},   // name => {metadata, ingress, accesspoints: {name => {kind, bindhost}}}
+        links    : {},   // connectingsite/site/accesspoint => {connectingsite, site, accesspoint, cost}
+    };
+
+    for (const site of doc.sites || []) {
+        const siteName = String(site.name || '');
+        util.ValidateAndNormalizeFields({name: siteName}, {name: {type: 'dnsname'}});
+        if (topology.sites[siteName]) {
+            throw(Error(`Duplicate site name: ${siteName}`));
+        }
+        const ingress = site.ingress ? String(site.ingress) : 'route';
+        if (INGRESS_TYPES.indexOf(ingress) < 0) {
+            throw(Error(`Site ${siteName} must have an ingress in [${INGRESS_TYPES.join(', ')}]`));
+        }
+        topology.sites[siteName] = {
+            metadata     : site.metadata ? String(site.metadata) : null,
+            ingress      : ingress,
+            accesspoints : {},
+        };
+
+        for (const ap of site.accesspoints || []) {
+            if (ACCESS_KINDS.indexOf(ap.kind) < 0) {
+                throw(Error(`Access point on site ${siteName} must have a kind in [${ACCESS_KINDS.join(', ')}]`));
+            }
+            const apName = ap.name ? String(ap.name) : `${siteName}-${ap.kind}`;
+            if (topology.sites[siteName].accesspoints[apName]) {
+                throw(Error(`Duplicate access point name on site ${siteName}: ${apName}`));
+            }
+            if (ap.bindhost) {
+                util.ValidateAndNormalizeFields({bindhost: String(ap.bindhost)}, {bindhost: {type: 'dnsname'}});
+            }
+            topology.sites[siteName].accesspoints[apName] = {
+                kind     : ap.kind,
+                bindhost : ap.bindhost ? String(ap.bindhost) : null,
+            };
+        }
+    }
+
+    for (const link of doc.links || []) {
+        const connectingSite = String(link.connectingsite || '');
+        const siteName       = String(link.site || '');
+        const apName         = String(link.accesspoint || '');
+        if (!topology.sites[connectingSite]) {
+            throw(Error(`Link references unknown connecting site: ${connectingSite}`));
+        }
+        if (!topology.sites[siteName]) {
+            throw(Error(`Link references unknown site: ${siteName}`));
+        }
+        const ap = topology.sites[siteName].accesspoints[apName];
+        if (!ap) {
+            throw(Error(`Link references unknown access point ${apName} on site ${siteName}`));
+        }
+        if (ap.kind != 'peer') {
+            throw(Error(`Link access point ${siteName}/${apName} must be 'peer', found '${ap.kind}'`));
+        }
+        if (connectingSite == siteName) {
+            throw(Error(`Site ${siteName} cannot link to itself`));
+        }
+        const cost = link.cost === undefined ? 1 : parseInt(link.cost);
+        if (isNaN(cost) || cost < 1) {
+            throw(Error(`Link from ${connectingSite} to ${siteName}/${apName} has an invalid cost`));
+        }
+        const key = `${connectingSite}/${siteName}/${apName}`;
+        if (topology.links[key]) {
+            throw(Error(`Duplicate link from ${connectingSite} to ${siteName}/${apName}`));
+        }
+        topology.links[key] = {
+            connectingsite : connectingSite,
+            site           : siteName,
+            accesspoint    : apName,
+            cost           : cost,
+        };
+    }
+
+    return topology;
+}
+
+//
+// Read the current topology of a backbone from the database, in the same normalized form produced by normalize,
+// with the database Ids attached.
+//
+const currentTopology_TX = async function(client, backboneId) {
+    const bbResult = await client.query("SELECT Name FROM Backbones WHERE Id = $1", [backboneId]);
+    if (bbResult.rowCount != 1) {
+        throw(Error(`Backbone not found: ${backboneId}`));
+    }
+
+    var topology = {
+        backbone : bbResult.rows[0].name,
+        sites    : {},
+        links    : {},
+    };
+    var siteNames = {};  // site-id => name
+    var apNames   = {};  // ap-id   => [site-name, ap-name]
+
+    const siteResult = await client.query("SELECT Id, Name, Metadata, IngressType FROM InteriorSites WHERE Backbone = $1 ORDER BY Name", [backboneId]);
+    for (const row of siteResult.rows) {
+        topology.sites[row.name] = {
+            id           : row.id,
+            metadata     : row.metadata || null,
+            ingress      : row.ingresstype,
+            accesspoints : {},
+        };
+        siteNames[row.id] = row.name;
+    }
+
+    const apResult = await client.query("SELECT BackboneAccessPoints.Id, BackboneAccessPoints.Name, Kind, BindHost, InteriorSite FROM BackboneAccessPoints " +
+                                        "JOIN InteriorSites ON InteriorSites.Id = InteriorSite " +
+                                        "WHERE InteriorSites.Backbone = $1 ORDER BY BackboneAccessPoints.Name", [backboneId]);
+    for (const row of apResult.rows) {
+        const siteName = siteNames[row.interiorsite];
+        topology.sites[siteName].accesspoints[row.name] = {
+            id       : row.id,
+            kind     : row.kind,
+            bindhost : row.bindhost || null,
+        };
+        apNames[row.id] = [siteName, row.name];
+    }
+
+    const linkResult = await client.query("SELECT InterRouterLinks.Id, AccessPoint, ConnectingInteriorSite, Cost FROM InterRouterLinks " +
+                                          "JOIN InteriorSites ON InteriorSites.Id = ConnectingInteriorSite " +
+                                          "WHERE InteriorSites.Backbone = $1", [backboneId]);
+    for (const row of linkResult.rows) {
+        const connectingSite    = siteNames[row.connectinginteriorsite];
+        const [siteName, apName] = apNames[row.accesspoint] || [];
+        if (siteName) {
+            topology.links[`${connectingSite}/${siteName}/${apName}`] = {
+                id             : row.id,
+                connectingsite : connectingSite,
+                site           : siteName,
+                accesspoint    : apName,
+                cost           : row.cost,
+            };
+        }
+    }
+
+    return topology;
+}
+
+//
+// Export the topology of a backbone as a document object suitable for YAML or JSON serialization.
+//
+exports.Export = async function(backboneId) {
+    var doc;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const topology = await currentTopology_TX(client, backboneId);
+        await client.query("COMMIT");
+
+        doc = {
+            backbone : topology.backbone,
+            sites    : [],
+            links    : [],
+        };
+        for (const [siteName, site] of Object.entries(topology.sites)) {
+            let siteDoc = {name : siteName};
+            if (site.metadata) {
+                siteDoc.metadata = site.metadata;
+            }
+            if (site.ingress != 'route') {
+                siteDoc.ingress = site.ingress;
+            }
+            siteDoc.accesspoints = [];
+            for (const [apName, ap] of Object.entries(site.accesspoints)) {
+                let apDoc = {name : apName, kind : ap.kind};
+                if (ap.bindhost) {
+                    apDoc.bindhost = ap.bindhost;
+                }
+                siteDoc.accesspoints.push(apDoc);
+            }
+            doc.sites.push(siteDoc);
+        }
+        for (const key of Object.keys(topology.links).sort()) {
+            const link = topology.links[key];
+            doc.links.push({
+                connectingsite : link.connectingsite,
+                site           : link.site,
+                accesspoint    : link.accesspoint,
+                cost           : link.cost,
+            });
+        }
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return doc;
+}
+
+//
+// Compare a topology document with the current state of a backbone and, unless dryRun is set, apply the
+// differences in a single transaction.  Returns the list of changes.
+//
+exports.Apply = async function(backboneId, doc, dryRun) {
+    const desired = normalize(doc);
+    var changes       = [];
+    var notifications = [];
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const current = await currentTopology_TX(client, backboneId);
+
+        if (desired.backbone && desired.backbone != current.backbone) {
+            throw(Error(`Topology document is for backbone '${desired.backbone}', not '${current.backbone}'`));
+        }
+
+        const change = function(action, object, name) {
+            changes.push({action : action, object : object, name : name});
+        }
+
+        //
+        // Delete links that are no longer wanted or whose endpoints will be replaced
+        //
+        for (const [key, link] of Object.entries(current.links)) {
+            const site = desired.sites[link.site];
+            const ap   = site ? site.accesspoints[link.accesspoint] : undefined;
+            const currentAp = current.sites[link.site].accesspoints[link.accesspoint];
+            if (!desired.links[key] || !ap || ap.kind != currentAp.kind) {
+                change('delete', 'link', key);
+                await client.query("DELETE FROM InterRouterLinks WHERE Id = $1", [link.id]);
+                if (desired.sites[link.connectingsite]) {
+                    notifications.push(['link', current.sites[link.connectingsite].id, currentAp.id, link.id, true]);
+                }
+                delete current.links[key];
+            }
+        }
+
+        //
+        // Delete access points that are no longer wanted or whose kind has changed
+        //
+        for (const [siteName, site] of Object.entries(current.sites)) {
+            const desiredSite = desired.sites[siteName];
+            for (const [apName, ap] of Object.entries(site.accesspoints)) {
+                const desiredAp = desiredSite ? desiredSite.accesspoints[apName] : undefined;
+                if (!desiredAp || desiredAp.kind != ap.kind) {
+                    change('delete', 'accesspoint', `${siteName}/${apName}`);
+                    const apResult = await client.query("DELETE FROM BackboneAccessPoints WHERE Id = $1 RETURNING Certificate", [ap.id]);
+                    if (apResult.rowCount == 1 && apResult.rows[0].certificate) {
+                        await client.query("DELETE FROM TlsCertificates WHERE Id = $1", [apResult.rows[0].certificate]);
+                    }
+                    if (desiredSite) {
+                        notifications.push(['accesspoint', site.id, ap.id, ap.kind, true]);
+                    }
+                    delete site.accesspoints[apName];
+                }
+            }
+        }
+
+        //
+        // Delete sites that are no longer wanted, along with their certificates.  Their remaining links are removed by
+        // the database.
+        //
+        for (const [siteName, site] of Object.entries(current.sites)) {
+            if (!desired.sites[siteName]) {
+                change('delete', 'site', siteName);
+                const siteResult = await client.query("DELETE FROM InteriorSites WHERE Id = $1 RETURNING Certificate", [site.id]);
+                if (siteResult.rowCount == 1 && siteResult.rows[0].certificate) {
+                    await client.query("DELETE FROM TlsCertificates WHERE Id = $1", [siteResult.rows[0].certificate]);
+                }
+                delete current.sites[siteName];
+            }
+        }
+
+        //
+        // Create or update sites and their access points
+        //
+        for (const [siteName, site] of Object.entries(desired.sites)) {
+            var siteId;
+            if (current.sites[siteName]) {
+                siteId = current.sites[siteName].id;
+                if (site.metadata != current.sites[siteName].metadata || site.ingress != current.sites[siteName].ingress) {
+                    change('update', 'site', siteName);
+                    await client.query("UPDATE InteriorSites SET Metadata = $1, IngressType = $2 WHERE Id = $3", [site.metadata, site.ingress, siteId]);
+                }
+            } else {
+                change('create', 'site', siteName);
+                const result = await client.query("INSERT INTO InteriorSites(Name, Backbone, Metadata, IngressType) VALUES ($1, $2, $3, $4) RETURNING Id", [siteName, backboneId, site.metadata, site.ingress]);
+                siteId = result.rows[0].id;
+                current.sites[siteName] = {id : siteId, accesspoints : {}};
+            }
+
+            for (const [apName, ap] of Object.entries(site.accesspoints)) {
+                const currentAp = current.sites[siteName].accesspoints[apName];
+                if (currentAp) {
+                    if (ap.bindhost != currentAp.bindhost) {
+                        change('update', 'accesspoint', `${siteName}/${apName}`);
+                        await client.query("UPDATE BackboneAccessPoints SET BindHost = $1 WHERE Id = $2", [ap.bindhost || '', currentAp.id]);
+                        notifications.push(['accesspoint', siteId, currentAp.id, ap.kind, false]);
+                    }
+                } else {
+                    change('create', 'accesspoint', `${siteName}/${apName}`);
+                    const result = await client.query("INSERT INTO BackboneAccessPoints(Name, Kind, InteriorSite, BindHost) VALUES ($1, $2, $3, $4) RETURNING Id",
+                                                      [apName, ap.kind, siteId, ap.bindhost || '']);
+                    current.sites[siteName].accesspoints[apName] = {id : result.rows[0].id, kind : ap.kind};
+                    notifications.push(['accesspoint', siteId, result.rows[0].id, ap.kind, false]);
+                }
+            }
+        }
+
+        //
+        // Create or update links
+        //
+        for (const [key, link] of Object.entries(desired.links)) {
+            const connectingSiteId = current.sites[link.connectingsite].id;
+            const apId             = current.sites[link.site].accesspoints[link.accesspoint].id;
+            const currentLink      = current.links[key];
+            if (currentLink) {
+                if (link.cost != currentLink.cost) {
+                    change('update', 'link', key);
+                    await client.query("UPDATE InterRouterLinks SET Cost = $1 WHERE Id = $2", [link.cost, currentLink.id]);
+                    notifications.push(['link', connectingSiteId, apId, currentLink.id, false]);
+                }
+            } else {
+                change('create', 'link', key);
+                const result = await client.query("INSERT INTO InterRouterLinks(AccessPoint, ConnectingInteriorSite, Cost) VALUES ($1, $2, $3) RETURNING Id",
+                                                  [apId, connectingSiteId, link.cost]);
+                notifications.push(['link', connectingSiteId, apId, result.rows[0].id, true]);
+            }
+        }
+
+        if (dryRun) {
+            await client.query("ROLLBACK");
+            notifications = [];
+        } else {
+            await client.query("COMMIT");
+            Log(`Applied topology to backbone ${current.backbone}: ${changes.length} change(s)`);
+        }
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    //
+    // Alert the sync and deployment-state modules of the changes, as the individual admin APIs do
+    //
+    for (const notification of notifications) {
+        try {
+            if (notification[0] == 'accesspoint') {
+                const [_, siteId, apId, kind, deleted] = notification;
+                await sync.SiteIngressChanged(siteId, apId);
+                if (kind == 'manage') {
+                    if (deleted) {
+                        await deployment.ManageIngressDeleted(siteId);
+                    } else {
+                        await deployment.ManageIngressAdded(siteId);
+                    }
+                }
+            } else {
+                const [_, connectingSiteId, apId, linkId, addedOrDeleted] = notification;
+                if (addedOrDeleted) {
+                    await deployment.LinkAddedOrDeleted(connectingSiteId, apId);
+                }
+                await sync.LinkChanged(connectingSiteId, linkId);
+            }
+        } catch (error) {
+            Log(`Exception in topology change notification: ${error.message}`);
+            Log(error.stack);
+        }
+    }
+
+    return changes;
+}
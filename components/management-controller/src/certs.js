@@ -28,13 +28,153 @@ const claims     = require('./claim-server.js');
 const deployment = require('./site-deployment-state.js');
 const common     = require('./common/common.js');
 
+//
+// The tables whose certificates are rotated, with the certificate request type and the CertificateRequests column
+// that links a request to its owner.  Invitations are not rotated; their certificates are distributed out-of-band
+// as part of the invitation.
+//
+const ROTATION_OWNERS = {
+    ManagementControllers : { requestType : 'mgmtController', column : 'ManagementController' },
+    Backbones             : { requestType : 'backboneCA',     column : 'Backbone' },
+    BackboneAccessPoints  : { requestType : 'accessPoint',    column : 'AccessPoint' },
+    InteriorSites         : { requestType : 'interiorRouter', column : 'InteriorSite' },
+    ApplicationNetworks   : { requestType : 'vanCA',          column : 'ApplicationNetwork' },
+    MemberSites           : { requestType : 'vanSite',        column : 'Site' },
+};
+
+//
+// When a CA is rotated, the certificates it signed are rotated as well.  VAN CAs signed by a rotated backbone CA
+// are left to their own renewal schedule; the old backbone CA is retained until they are re-issued.
+//
+const CA_DEPENDENTS = {
+    Backbones           : ['InteriorSites', 'BackboneAccessPoints'],
+    ApplicationNetworks : ['MemberSites'],
+};
+
+//
+// Delay between the completion of a CA rotation and the rotation of the certificates it signed.  This gives the
+// connected sites time to receive the new CA in their trust bundles before any peer presents a certificate signed by it.
+//
+const CA_ROTATION_GRACE_SECONDS = 60;
+
+//
+// Gather the parameters needed to request a replacement for an owner's current certificate.
+//
+const rotationParameters_TX = async function(client, table, ownerId) {
+    var result;
+    var duration_ms = db.IntervalMilliseconds(config.DefaultCertExpiration());
+    switch (table) {
+        case 'ManagementControllers':
+        case 'Backbones':
+            result = await client.query(`SELECT Certificate FROM ${table} WHERE Id = $1`, [ownerId]);
+            duration_ms = db.IntervalMilliseconds(config.BackboneExpiration());
+            break;
+        case 'BackboneAccessPoints':
+            result = await client.query("SELECT BackboneAccessPoints.Certificate, BackboneAccessPoints.Hostname, Backbones.Certificate as issuer FROM BackboneAccessPoints " +
+                                        "JOIN InteriorSites ON InteriorSites.Id = InteriorSite " +
+                                        "JOIN Backbones ON Backbones.Id = InteriorSites.Backbone " +
+                                        "WHERE BackboneAccessPoints.Id = $1", [ownerId]);
+            duration_ms = db.IntervalMilliseconds(config.DefaultCaExpiration());
+            break;
+        case 'InteriorSites':
+            result = await client.query("SELECT InteriorSites.Certificate, Backbones.Certificate as issuer FROM InteriorSites " +
+                                        "JOIN Backbones ON Backbones.Id = InteriorSites.Backbone " +
+                                        "WHERE InteriorSites.Id = $1", [ownerId]);
+            break;
+        case 'ApplicationNetworks':
+            result = await client.query("SELECT ApplicationNetworks.Certificate, ApplicationNetworks.EndTime, ApplicationNetworks.DeleteDelay, Backbones.Certificate as issuer FROM ApplicationNetworks " +
+                                        "JOIN Backbones ON Backbones.Id = ApplicationNetworks.Backbone " +
+                                        "WHERE ApplicationNetworks.Id = $1", [ownerId]);
+            if (result.rowCount == 1 && result.rows[0].endtime) {
+                duration_ms = result.rows[0].endtime.getTime() - Date.now() + db.IntervalMilliseconds(result.rows[0].deletedelay);
+            } else {
+                duration_ms = db.IntervalMilliseconds(config.DefaultCaExpiration());
+            }
+            break;
+        case 'MemberSites':
+            result = await client.query("SELECT MemberSites.Certificate, ApplicationNetworks.Certificate as issuer FROM MemberSites " +
+                                        "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberSites.MemberOf " +
+                                        "WHERE MemberSites.Id = $1", [ownerId]);
+            break;
+        default:
+            throw(Error(`Certificates in ${table} cannot be rotated`));
+    }
+
+    if (result.rowCount != 1) {
+        throw(Error(`${table} record not found: ${ownerId}`));
+    }
+
+    const row = result.rows[0];
+    if (!row.certificate) {
+        throw(Error('Certificate has not yet been issued'));
+    }
+    if (table != 'ManagementControllers' && table != 'Backbones' && !row.issuer) {
+        throw(Error('Issuing CA is not ready'));
+    }
+
+    return {
+        certificate    : row.certificate,
+        issuer         : row.issuer || null,
+        hostname       : row.hostname || null,
+        duration_hours : Math.max(1, Math.ceil(duration_ms / 3600000)),
+    };
+}
+
+//
+// Request a replacement for the current certificate of a record in one of the ROTATION_OWNERS tables.  The new
+// certificate will carry the next rotation ordinal and will replace the current one in its owner when issued.
+// Returns false if a rotation of this certificate is already pending.
+//
+exports.RotateCertificate_TX = async function(client, table, ownerId, delaySeconds = 0) {
+    const params  = await rotationParameters_TX(client, table, ownerId);
+    const pending = await client.query("SELECT Id FROM CertificateRequests WHERE Supercedes = $1", [params.certificate]);
+    if (pending.rowCount > 0) {
+        return false;
+    }
+
+    await client.query(
+        `INSERT INTO CertificateRequests(RequestType, CreatedTime, RequestTime, DurationHours, Issuer, Hostname, Supercedes, ${ROTATION_OWNERS[table].column}) ` +
+        "VALUES($1, now(), now() + make_interval(secs => $2), $3, $4, $5, $6, $7)",
+        [ROTATION_OWNERS[table].requestType, delaySeconds, params.duration_hours, params.issuer, params.hostname, params.certificate, ownerId]
+    );
+    Log(`Rotation requested for certificate ${params.certificate} (${table}: ${ownerId})`);
+    return true;
+}
+
+//
+// A CA has been replaced.  Schedule the rotation of the owned certificates that were signed by the old CA.
+//
+const rotateDependents_TX = async function(client, caTable, oldCaId) {
+    for (const table of CA_DEPENDENTS[caTable] || []) {
+        const result = await client.query(`SELECT ${table}.Id FROM ${table} ` +
+                                          `JOIN TlsCertificates ON TlsCertificates.Id = ${table}.Certificate ` +
+                                          "WHERE TlsCertificates.SignedBy = $1", [oldCaId]);
+        for (const row of result.rows) {
+            await exports.RotateCertificate_TX(client, table, row.id, CA_ROTATION_GRACE_SECONDS);
+        }
+    }
+}
+
+//
+// Certificates are rotated after two thirds of their lifetime have elapsed.  cert-manager's own in-place renewal
+// is scheduled later than this (see renewBefore in certificateObject) so that rotation always takes precedence.
+//
+const renewalTime = function(cert) {
+    if (cert.status.notBefore && cert.status.notAfter) {
+        const notBefore = new Date(cert.status.notBefore).getTime();
+        const notAfter  = new Date(cert.status.notAfter).getTime();
+        return new Date(notBefore + Math.floor((notAfter - notBefore) * 2 / 3));
+    }
+    return cert.status.renewalTime ? new Date(cert.status.renewalTime) : undefined;
+}
+
 //
 // processNewManagementControllers
 //
 // When new management controllers are created, add a certificate request.
 //
 const processNewManagementControllers = async function() {
-    var reschedule_delay = 5000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
@@ -58,8 +198,8 @@ const processNewManagementControllers = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(processNewManagementControllers, reschedule_delay);
     }
+    return reschedule_delay;
 }
 
 //
@@ -68,7 +208,7 @@ const processNewManagementControllers = async function() {
 // When new backbones are created, add a certificate request to begin the full setup of the network.
 //
 const processNewBackbones = async function() {
-    var reschedule_delay = 2000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
@@ -92,15 +232,15 @@ const processNewBackbones = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(processNewBackbones, reschedule_delay);
     }
+    return reschedule_delay;
 }
 
 //
 //
 //
 const processNewAccessPoints = async function() {
-    var reschedule_delay = 2000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
@@ -133,8 +273,8 @@ const processNewAccessPoints = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(processNewAccessPoints, reschedule_delay);
     }
+    return reschedule_delay;
 }
 
 //
@@ -143,13 +283,13 @@ const processNewAccessPoints = async function() {
 // When new networks are created, add a certificate request to begin the full setup of the network.
 //
 const processNewNetworks = async function() {
-    var reschedule_delay = 2000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
         const result = await client.query(
             "SELECT ApplicationNetworks.*, Backbones.Lifecycle as bblc, Backbones.Certificate as bbca FROM ApplicationNetworks " + 
-            "JOIN Backbones ON ApplicationNetworks.Backbone = Backbones.Id WHERE ApplicationNetworks.Lifecycle = 'new' and Backbones.Lifecycle = 'ready' LIMIT 1"
+            "JOIN Backbones ON ApplicationNetworks.Backbone = Backbones.Id WHERE ApplicationNetworks.Lifecycle = 'new' and ApplicationNetworks.StartTime <= now() and Backbones.Lifecycle = 'ready' LIMIT 1"
         );
         if (result.rowCount == 1) {
             const row = result.rows[0];
@@ -176,15 +316,15 @@ const processNewNetworks = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(processNewNetworks, reschedule_delay);
     }
+    return reschedule_delay;
 }
 
 //
 // processNewInteriorSites
 //
 const processNewInteriorSites = async function() {
-    var reschedule_delay = 2000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
@@ -210,15 +350,15 @@ const processNewInteriorSites = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(processNewInteriorSites, reschedule_delay);
     }
+    return reschedule_delay;
 }
 
 //
 // processNewInvitations
 //
 const processNewInvitations = async function() {
-    var reschedule_delay = 2000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
@@ -230,6 +370,13 @@ const processNewInvitations = async function() {
             const row = result.rows[0];
             Log(`New Invitation: ${row.name}`);
             var duration_ms = db.IntervalMilliseconds(config.DefaultCertExpiration());
+
+            //
+            // The claim certificate need not outlive the invitation's join deadline.  cert-manager requires at least an hour.
+            //
+            if (row.joindeadline) {
+                duration_ms = Math.min(duration_ms, Math.max(row.joindeadline.getTime() - Date.now(), 3600000));
+            }
             await client.query(
                 "INSERT INTO CertificateRequests(Id, RequestType, CreatedTime, RequestTime, DurationHours, Invitation, Issuer) VALUES(gen_random_uuid(), 'memberClaim', now(), now(), $1, $2, $3)",
                 [duration_ms / 3600000, row.id, row.vanca]
@@ -244,15 +391,15 @@ const processNewInvitations = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(processNewInvitations, reschedule_delay);
     }
+    return reschedule_delay;
 }
 
 //
 // processNewMemberSites
 //
 const processNewMemberSites = async function() {
-    var reschedule_delay = 2000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
@@ -278,8 +425,8 @@ const processNewMemberSites = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(processNewMemberSites, reschedule_delay);
     }
+    return reschedule_delay;
 }
 
 //
@@ -288,7 +435,7 @@ const processNewMemberSites = async function() {
 // When new networks are created, add a certificate request to begin the full setup of the network.
 //
 const processNewCertificateRequests = async function() {
-    var reschedule_delay = 2000;
+    var reschedule_delay;
     const client = await db.ClientFromPool();
     try {
         await client.query('BEGIN');
@@ -302,6 +449,7 @@ const processNewCertificateRequests = async function() {
             var extra_annotations = {};
             var dns_name;
             var usage;
+            var common_name;
             switch (row.requesttype) {
                 case 'mgmtController':
                     name   = `skx-mgmt-controller-${row.id}`;
@@ -337,13 +485,24 @@ const processNewCertificateRequests = async function() {
                     usage  = 'client auth';
                     extra_annotations['skupper.io/skx-dataplane-image']  = config.SiteDataplaneImage();
                     extra_annotations['skupper.io/skx-controller-image'] = config.SiteControllerImage();
-                    // TODO - Add annotations for valid and expiration times for this claim
+                    const inv_result = await client.query("SELECT JoinDeadline, InstanceLimit FROM MemberInvitations WHERE Id = $1", [row.invitation]);
+                    if (inv_result.rowCount == 1) {
+                        const invitation = inv_result.rows[0];
+                        extra_annotations['skupper.io/skx-claim-valid-from'] = row.requesttime.toISOString();
+                        if (invitation.joindeadline) {
+                            extra_annotations['skupper.io/skx-claim-deadline'] = invitation.joindeadline.toISOString();
+                        }
+                        if (invitation.instancelimit) {
+                            extra_annotations['skupper.io/skx-claim-instance-limit'] = `${invitation.instancelimit}`;
+                        }
+                    }
                     break;
                 case 'vanSite':
-                    name   = `skx-member-${row.id}`;
-                    is_ca  = false;
-                    issuer = row.issuer;
-                    usage  = 'client auth';
+                    name        = `skx-member-${row.id}`;
+                    is_ca       = false;
+                    issuer      = row.issuer;
+                    usage       = 'client auth';
+                    common_name = common.MemberSiteCommonName(row.site);
                     break;
             }
 
@@ -359,10 +518,19 @@ const processNewCertificateRequests = async function() {
                 }
             }
 
-            var cert_obj = certificateObject(name, row.durationhours, is_ca, issuer_name, row.id, row.issuer ? row.issuer : 'root', extra_annotations, name, dns_name, usage);
+            var cert_obj = certificateObject(name, row.durationhours, is_ca, issuer_name, row.id, row.issuer ? row.issuer : 'root', extra_annotations, common_name || name, dns_name, usage);
             await kube.ApplyObject(cert_obj);
             await client.query("UPDATE CertificateRequests SET Lifecycle = 'cm_cert_created' WHERE Id = $1", [row.id]);
             reschedule_delay = 0;
+        } else {
+            //
+            // A request with a future RequestTime produces no notification when it becomes eligible.
+            // Wake up in time to process the earliest such request.
+            //
+            const pending = await client.query("SELECT EXTRACT(EPOCH FROM MIN(RequestTime) - now()) as wait FROM CertificateRequests WHERE RequestTime > now() and Lifecycle = 'new'");
+            if (pending.rows[0].wait !== null) {
+                reschedule_delay = Math.ceil(parseFloat(pending.rows[0].wait) * 1000);
+            }
         }
         await client.query('COMMIT');
     } catch (err) {
@@ -371,8 +539,51 @@ const processNewCertificateRequests = async function() {
         reschedule_delay = 10000;
     } finally {
         client.release();
-        setTimeout(processNewCertificateRequests, reschedule_delay);
     }
+    return reschedule_delay;
+}
+
+//
+// processCertificateRenewals
+//
+// Request the rotation of owned certificates that have reached their renewal time.
+//
+const processCertificateRenewals = async function() {
+    var reschedule_delay;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query('BEGIN');
+        for (const table of Object.keys(ROTATION_OWNERS)) {
+            const result = await client.query(`SELECT ${table}.Id FROM ${table} ` +
+                                              `JOIN TlsCertificates ON TlsCertificates.Id = ${table}.Certificate ` +
+                                              "WHERE TlsCertificates.RenewalTime <= now() " +
+                                              "AND NOT EXISTS (SELECT 1 FROM CertificateRequests WHERE Supercedes = TlsCertificates.Id) LIMIT 1");
+            if (result.rowCount == 1) {
+                Log(`Certificate renewal due: ${table} ${result.rows[0].id}`);
+                await exports.RotateCertificate_TX(client, table, result.rows[0].id);
+                reschedule_delay = 0;
+                break;
+            }
+        }
+
+        if (reschedule_delay === undefined) {
+            //
+            // Nothing is due.  Wake up in time for the earliest future renewal.
+            //
+            const pending = await client.query("SELECT EXTRACT(EPOCH FROM MIN(RenewalTime) - now()) as wait FROM TlsCertificates WHERE RenewalTime > now()");
+            if (pending.rows[0].wait !== null) {
+                reschedule_delay = Math.ceil(parseFloat(pending.rows[0].wait) * 1000);
+            }
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        Log(`Rolling back certificate-renewal transaction: ${err.stack}`);
+        await client.query('ROLLBACK');
+        reschedule_delay = 10000;
+    } finally {
+        client.release();
+    }
+    return reschedule_delay;
 }
 
 //
@@ -424,28 +635,40 @@ const secretAdded = async function(dblink, secret) {
                 throw new Error('Unknown Target');
             }
             const cert_object = await kube.LoadCertificate(secret.metadata.name);
-            const expiration  = cert_object.status.notAfter    ? new Date(cert_object.status.notAfter) : undefined;
-            const renewal     = cert_object.status.renewalTime ? new Date(cert_object.status.renewalTime) : undefined;
-            const signed_by   = secret.metadata.annotations['skupper.io/skx-issuerlink'];
-            if (signed_by == 'root') {
-                await client.query(
-                    "INSERT INTO TlsCertificates (Id, IsCA, ObjectName, Expiration, RenewalTime) VALUES ($1, $2, $3, $4, $5)",
-                    [dblink, is_ca, secret.metadata.name, expiration, renewal]
-                );
+            const expiration  = cert_object.status.notAfter ? new Date(cert_object.status.notAfter) : undefined;
+            const renewal     = renewalTime(cert_object);
+            const issuer_link = secret.metadata.annotations['skupper.io/skx-issuerlink'];
+            const signed_by   = issuer_link == 'root' ? null : issuer_link;
+            const supercedes  = cert_request.supercedes;
+
+            //
+            // If this certificate replaces an existing one, it carries the next rotation ordinal.
+            //
+            var ordinal = 0;
+            if (supercedes) {
+                const old_result = await client.query("SELECT RotationOrdinal FROM TlsCertificates WHERE Id = $1", [supercedes]);
+                ordinal = old_result.rows[0].rotationordinal + 1;
+            }
+
+            await client.query(
+                "INSERT INTO TlsCertificates (Id, IsCA, ObjectName, Expiration, RenewalTime, SignedBy, RotationOrdinal, Supercedes) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)",
+                [dblink, is_ca, secret.metadata.name, expiration, renewal, signed_by, ordinal, supercedes]
+            );
+            if (supercedes) {
+                await client.query(`UPDATE ${ref_table} SET Certificate = $1 WHERE Id = $2`, [dblink, ref_id]);
             } else {
-                await client.query(
-                    "INSERT INTO TlsCertificates (Id, IsCA, ObjectName, Expiration, RenewalTime, SignedBy) VALUES ($1, $2, $3, $4, $5, $6)",
-                    [dblink, is_ca, secret.metadata.name, expiration, renewal, signed_by]
-                );
+                await client.query(`UPDATE ${ref_table} SET Certificate = $1, Lifecycle = 'ready' WHERE Id = $2`, [dblink, ref_id]);
             }
-            await client.query(`UPDATE ${ref_table} SET Certificate = $1, Lifecycle = 'ready' WHERE Id = $2`, [dblink, ref_id]);
             await client.query('DELETE FROM CertificateRequests WHERE Id = $1', [dblink]);
             if (is_ca) {
                 var issuer_obj = issuerObject(secret.metadata.name, secret.metadata.annotations['skupper.io/skx-dblink']);
                 await kube.ApplyObject(issuer_obj);
+                if (supercedes) {
+                    await rotateDependents_TX(client, ref_table, supercedes);
+                }
             }
-            Log(`Certificate${is_ca ? ' Authority' : ''} created: ${secret.metadata.name}`)
-            if (alertSiteCertChanged) {
+            Log(`Certificate${is_ca ? ' Authority' : ''} ${supercedes ? `rotated (ordinal ${ordinal})` : 'created'}: ${secret.metadata.name}`)
+            if (alertSiteCertChanged && !supercedes) {
                 await deployment.SiteLifecycleChanged_TX(client, ref_id, 'ready');
             }
             await client.query('COMMIT');
@@ -457,12 +680,16 @@ const secretAdded = async function(dblink, secret) {
                 await sync.SiteCertificateChanged(dblink);
             } else if (alertAccessCertChanged) {
                 await sync.AccessCertificateChanged(dblink);
+            } else if (alertMemberCompletion && supercedes) {
+                await sync.MemberCertificateChanged(dblink);
+            } else if (is_ca && supercedes) {
+                await sync.CertificateAuthorityChanged(supercedes);
             }
 
             //
             // If we just updated a member site, there will be a claim-assertion that is awaiting completion.  Invoke the completion function.
             //
-            if (alertMemberCompletion) {
+            if (alertMemberCompletion && !supercedes) {
                 await claims.CompleteMember(ref_id);
             }
         } else {
@@ -503,11 +730,10 @@ const onCertificateWatch = async function(action, cert) {
         && cert.metadata.annotations
         && cert.metadata.annotations[common.META_ANNOTATION_SKUPPERX_CONTROLLED] == 'true'
         && cert.status
-        && cert.status.notAfter
-        && cert.status.renewalTime) {
+        && cert.status.notAfter) {
         const client      = await db.ClientFromPool();
         const expiration  = new Date(cert.status.notAfter);
-        const renewal     = new Date(cert.status.renewalTime);
+        const renewal     = renewalTime(cert);
         await client.query(
             "UPDATE TlsCertificates SET expiration = $1, renewalTime = $2 WHERE ObjectName = $3",
             [expiration, renewal, cert.metadata.name]
@@ -539,7 +765,7 @@ const certificateObject = function(name, duration_hours, is_ca, issuer, db_link,
                 },
             },
             duration: `${duration_hours}h`,
-            //renewBefore: '360h',
+            renewBefore: `${Math.max(5, duration_hours * 6)}m`,   // Leave the last 10% of the lifetime to cert-manager as a fallback
             subject: {
                 organizations: ['skupper.io'],
             },
@@ -594,14 +820,15 @@ const issuerObject = function(name, db_link) {
 
 exports.Start = async function() {
     Log('[Certificate module starting]');
-    setTimeout(processNewManagementControllers, 1000);
-    setTimeout(processNewBackbones, 1000);
-    setTimeout(processNewAccessPoints, 1000);
-    setTimeout(processNewNetworks, 1000);
-    setTimeout(processNewInteriorSites, 1000);
-    setTimeout(processNewInvitations, 1000);
-    setTimeout(processNewMemberSites, 1000);
-    setTimeout(processNewCertificateRequests, 1000);
+    db.ReconcileOnChange(['ManagementControllers'],                    processNewManagementControllers, 1000);
+    db.ReconcileOnChange(['Backbones'],                                processNewBackbones,             1000);
+    db.ReconcileOnChange(['BackboneAccessPoints', 'Backbones'],        processNewAccessPoints,          1000);
+    db.ReconcileOnChange(['ApplicationNetworks', 'Backbones'],         processNewNetworks,              1000);
+    db.ReconcileOnChange(['InteriorSites', 'Backbones'],               processNewInteriorSites,         1000);
+    db.ReconcileOnChange(['MemberInvitations', 'ApplicationNetworks'], processNewInvitations,           1000);
+    db.ReconcileOnChange(['MemberSites', 'ApplicationNetworks'],       processNewMemberSites,           1000);
+    db.ReconcileOnChange(['CertificateRequests'],                      processNewCertificateRequests,   1000);
+    db.ReconcileOnChange(['TlsCertificates', 'CertificateRequests'],   processCertificateRenewals,      1000);
 
     kube.WatchSecrets(onSecretWatch);
     kube.WatchCertificates(onCertificateWatch);
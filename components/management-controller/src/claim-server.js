@@ -33,6 +33,9 @@ const protocol   = require('./common/protocol.js');
 const bbLinks    = require('./backbone-links.js');
 const templates  = require('./site-templates.js');
 
+const SWEEP_RETRY_MS     = 10000;
+const CLAIM_WAIT_SECONDS = 20;      // Must be shorter than the site controller's claim-request timeout
+
 var backbones         = {};   // backboneId => {conn: AMQP-Connection, sender: anon-sender, receiver: claim-receiver}
 var memberCompletions = {};   // memberId   => {handler: completion-function, result: undefined || {}, error: undefined || ERROR }
 
@@ -79,8 +82,10 @@ const memberCompletion = async function(memberId) { // => [outgoingLinks, siteCl
         //
         // Gather the edge-link information for the outgoingLinks
         //
-        const linkResult = await client.query("SELECT EdgeLinks.*, BackboneAccessPoints.Id as bbid, BackboneAccessPoints.Hostname, BackboneAccessPoints.Port FROM EdgeLinks " + 
-                                              "JOIN BackboneAccessPoints ON BackboneAccessPoints.Id = AccessPoint " + 
+        const linkResult = await client.query("SELECT EdgeLinks.*, BackboneAccessPoints.Id as bbid, BackboneAccessPoints.Hostname, BackboneAccessPoints.Port, " +
+                                              "(InteriorSites.Stale OR InteriorSites.Draining) as Drain FROM EdgeLinks " +
+                                              "JOIN BackboneAccessPoints ON BackboneAccessPoints.Id = AccessPoint " +
+                                              "JOIN InteriorSites ON InteriorSites.Id = BackboneAccessPoints.InteriorSite " +
                                               "WHERE EdgeToken = $1", [memberSite.invitation]);
         outgoingLinks = [];
         for (const link of linkResult.rows) {
@@ -96,11 +101,7 @@ const memberCompletion = async function(memberId) { // => [outgoingLinks, siteCl
                         [common.META_ANNOTATION_STATE_DIR]  : 'remote',
                     },
                 },
-                data : {
-                    host : link.hostname,
-                    port : link.port,
-                    cost : '1',
-                },
+                data : templates.MemberLinkData(link),
             };
             linkObj.metadata.annotations[common.META_ANNOTATION_STATE_HASH] = templates.HashOfData(linkObj.data);
             outgoingLinks.push(linkObj);
@@ -119,12 +120,26 @@ const memberCompletion = async function(memberId) { // => [outgoingLinks, siteCl
 }
 
 
+//
+// Wait for the member's completion.  If it does not arrive within CLAIM_WAIT_SECONDS, the wait is abandoned with a
+// pending status so the site can re-assert its claim before its request times out.
+//
 const blockForCompletion = function(memberId) {
     return new Promise((resolve, reject) => {
+        const completion = memberCompletions[memberId];
+        const timer = setTimeout(() => {
+            if (memberCompletions[memberId] === completion) {
+                delete memberCompletions[memberId];
+            }
+            reject(claimError(protocol.CLAIM_STATUS_PENDING, 'Claim is pending, re-assert it to continue'));
+        }, CLAIM_WAIT_SECONDS * 1000);
+
         // BEGIN Critical Section
-        memberCompletions[memberId].callback = () => {
-            const completion = memberCompletions[memberId];
-            delete memberCompletions[memberId];
+        completion.callback = () => {
+            clearTimeout(timer);
+            if (memberCompletions[memberId] === completion) {
+                delete memberCompletions[memberId];
+            }
             if (completion.result) {
                 resolve(completion.result);
             } else if (completion.error) {
@@ -133,62 +148,117 @@ const blockForCompletion = function(memberId) {
                 reject(new Error(`ERROR:ClaimServer - Spurious callback for memberId ${memberId}`));
             }
         };
-        if (memberCompletions[memberId].result || memberCompletions[memberId].error) {
+        if (completion.result || completion.error) {
             // END Critical Section
-            memberCompletions[memberId].callback();
+            completion.callback();
         }
     });
 }
 
 
-const processClaim = async function(claimId, name) {
+const claimError = function(status, message) {
+    let error = Error(message);
+    error.status = status;
+    return error;
+}
+
+//
+// Create a new member site from an invitation.  If the invitation requires approval, the member is held in
+// 'pending_approval' until the application network's owner decides on the claim.
+//
+const newClaim_TX = async function(client, claimId, name) { // => memberId
+    //
+    // Lock the invitation row so concurrent claims cannot exceed the instance limit
+    //
+    const result = await client.query("SELECT *, JoinDeadline <= now() as pastdeadline FROM MemberInvitations WHERE Id = $1 FOR UPDATE", [claimId]);
+    if (result.rowCount != 1) {
+        throw(claimError(protocol.CLAIM_STATUS_NOT_FOUND, "No invitation exists for the claim"));
+    }
+
+    const claim = result.rows[0];
+    if (claim.pastdeadline) {
+        throw(claimError(protocol.CLAIM_STATUS_EXPIRED, "The join deadline for this invitation has passed"));
+    }
+
+    if (claim.lifecycle == 'expired') {
+        throw(claimError(protocol.CLAIM_STATUS_EXPIRED, "This invitation has expired"));
+    }
+
+    //
+    // Reject the claim if the instance limit has already been reached
+    //
+    if (claim.instancelimit && claim.instancecount >= claim.instancelimit) {
+        throw(claimError(protocol.CLAIM_STATUS_LIMIT_REACHED, "Instance limit on this claim has been reached"));
+    }
+
+    //
+    // Increment the instance count for the invitation
+    //
+    await client.query("UPDATE MemberInvitations SET InstanceCount = $1 WHERE Id = $2", [claim.instancecount + 1, claimId]);
+
+    //
+    // Create a new member from the invitation
+    //
+    const lifecycle    = claim.approvalrequired ? 'pending_approval' : 'new';
+    const memberResult = await client.query("INSERT INTO MemberSites (Name, MemberOf, Invitation, SiteClasses, Lifecycle) VALUES ($1, $2, $3, $4, $5) RETURNING Id",
+                                            [name, claim.memberof, claim.id, claim.memberclasses, lifecycle]);
+    const memberId = memberResult.rows[0].id;
+    if (claim.approvalrequired) {
+        Log(`INFO:ClaimServer - Claim for invitation ${claimId} by site ${name} (${memberId}) is awaiting approval`);
+    }
+    return memberId;
+}
+
+//
+// Continue a claim that was previously asserted by the site.  Returns true if the member's certificate is already in
+// place and the claim can be completed immediately.
+//
+const resumeClaim_TX = async function(client, claimId, memberId) { // => complete
+    const result = await client.query("SELECT Lifecycle, Failure, Certificate FROM MemberSites WHERE Id = $1 AND Invitation = $2", [memberId, claimId]);
+    if (result.rowCount != 1) {
+        throw(claimError(protocol.CLAIM_STATUS_NOT_FOUND, "No pending claim exists for this site"));
+    }
+
+    const site = result.rows[0];
+    if (site.lifecycle == 'failed' || site.lifecycle == 'evicted') {
+        throw(claimError(protocol.CLAIM_STATUS_DENIED, site.failure || `Member site is ${site.lifecycle}`));
+    }
+    return !!site.certificate;
+}
+
+const processClaim = async function(claimId, name, pendingMemberId) {
     var statusCode        = 200;
     var statusDescription = 'OK';
     var outgoingLinks     = null;
     var siteClient        = null;
+    var complete          = false;
     var memberId;
 
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT * FROM MemberInvitations WHERE Id = $1 and (JoinDeadline IS NULL OR JoinDeadline > now())", [claimId]);
-        if (result.rowCount != 1) {
-            throw(Error("No valid invitation exists for the claim"));
+        if (pendingMemberId) {
+            memberId = pendingMemberId;
+            complete = await resumeClaim_TX(client, claimId, memberId);
+        } else {
+            memberId = await newClaim_TX(client, claimId, name);
         }
 
-        //
-        // Reject the claim if the instance limit has already been reached
-        //
-        const claim = result.rows[0];
-        if (claim.instancelimit && claim.instancecount == claim.instancelimit) {
-            throw(Error("Instance limit on this claim has been reached"));
-        }
-
-        //
-        // Increment the instance count for the invitation
-        //
-        await client.query("UPDATE MemberInvitations SET InstanceCount = $1 WHERE Id = $2", [claim.instancecount + 1, claimId]);
-
-        //
-        // Create a new member from the invitation
-        //
-        const memberResult = await client.query("INSERT INTO MemberSites (Name, MemberOf, Invitation, SiteClasses) VALUES ($1, $2, $3, $4) RETURNING Id",
-                                                [name, claim.memberof, claim.id, claim.memberclasses]);
-        memberId = memberResult.rows[0].id;
-
         //
         // Set up the completion handler for this memberId (before the COMMIT!)
         //
-        memberCompletions[memberId] = {
-            result   : undefined,
-            error    : undefined,
-            callback : undefined,
-        };
+        if (!complete) {
+            memberCompletions[memberId] = {
+                result   : undefined,
+                error    : undefined,
+                callback : undefined,
+            };
+        }
         await client.query("COMMIT");
     } catch (error) {
         await client.query("ROLLBACK");
         Log(`INFO:ClaimServer - Exception in claim processing for claim ${claimId}: ${error.message}`);
-        statusCode        = 400;
+        statusCode        = error.status || protocol.CLAIM_STATUS_REJECTED;
         statusDescription = `Claim rejected: ${error.message}`;
     } finally {
         client.release();
@@ -196,18 +266,62 @@ const processClaim = async function(claimId, name) {
 
     if (statusCode == 200) {
         try {
-            [outgoingLinks, siteClient] = await blockForCompletion(memberId);
+            if (complete) {
+                const [result, error] = await memberCompletion(memberId);
+                if (error) {
+                    throw(error);
+                }
+                [outgoingLinks, siteClient] = result;
+            } else {
+                [outgoingLinks, siteClient] = await blockForCompletion(memberId);
+            }
         } catch (error) {
-            Log(`Exception in claim processing, memberCompetion: ${error.message}`);
-            Log(error.stack);
-            statusCode = 500;
+            statusCode        = error.status || 500;
             statusDescription = error.message;
+            if (!error.status) {
+                Log(`Exception in claim processing, memberCompetion: ${error.message}`);
+                Log(error.stack);
+            }
         }
     }
 
     return [statusCode, statusDescription, memberId, outgoingLinks, siteClient];
 }
 
+//
+// Expire invitations whose join deadline has passed.  Their claim certificates are released (and deleted by the prune
+// module) and any outstanding requests for them are cancelled.  Returns the time until the next deadline.
+//
+const sweepInvitations = async function() {
+    var reschedule_delay;
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const result = await client.query("SELECT Id, Name FROM MemberInvitations WHERE Lifecycle != 'expired' AND JoinDeadline <= now()");
+        if (result.rowCount > 0) {
+            const ids = result.rows.map(row => row.id);
+            await client.query("DELETE FROM CertificateRequests WHERE Invitation = ANY($1)", [ids]);
+            await client.query("UPDATE MemberInvitations SET Lifecycle = 'expired', Failure = 'Join deadline passed', Certificate = NULL WHERE Id = ANY($1)", [ids]);
+            for (const row of result.rows) {
+                Log(`INFO:ClaimServer - Invitation ${row.name} expired at its join deadline`);
+            }
+        }
+
+        const pending = await client.query("SELECT EXTRACT(EPOCH FROM MIN(JoinDeadline) - now()) as wait FROM MemberInvitations WHERE Lifecycle != 'expired' AND JoinDeadline > now()");
+        if (pending.rows[0].wait !== null) {
+            reschedule_delay = Math.ceil(parseFloat(pending.rows[0].wait) * 1000);
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        Log(`Exception in sweepInvitations: ${error.message}`);
+        reschedule_delay = SWEEP_RETRY_MS;
+    } finally {
+        client.release();
+    }
+    return reschedule_delay;
+}
+
 //=========================================================================================================================
 // Messaging Handlers
 //=========================================================================================================================
@@ -224,14 +338,20 @@ const onMessage = function(backboneId, application_properties, body, onReply) {
             },
             async (site, objectname) => {       // onGet
             },
-            async (claimId, name) => {          // onClaim
+            async (claimId, name, pendingMemberId) => {  // onClaim
                 Log(`INFO:ClaimServer - Received claim for invitation ${claimId} via backbone ${backboneId}`);
-                let [statusCode, statusDescription, memberId, outgoingLinks, siteClient] = await processClaim(claimId, name);
+                let [statusCode, statusDescription, memberId, outgoingLinks, siteClient] = await processClaim(claimId, name, pendingMemberId);
                 if (statusCode == 200) {
                     onReply({}, protocol.AssertClaimResponseSuccess(memberId, outgoingLinks, siteClient));
+                } else if (statusCode == protocol.CLAIM_STATUS_PENDING) {
+                    onReply({}, protocol.AssertClaimResponsePending(memberId, statusDescription));
                 } else {
                     onReply({}, protocol.ReponseFailure(statusCode, statusDescription));
                 }
+            },
+            async (description) => {                     // onUnsupported
+                Log(`WARNING:ClaimServer - Unsupported request via backbone ${backboneId}: ${description}`);
+                onReply({}, protocol.ResponseUnsupported(description));
             }
         );
     } catch (error) {
@@ -270,22 +390,42 @@ const onLinkDeleted = async function(backboneId) {
 // This function is called by the certificate generation process after a new member's certificates have been completed.
 //
 exports.CompleteMember = async function(memberId) {
-    if (memberCompletions[memberId]) {
+    const completion = memberCompletions[memberId];
+    if (completion) {
         const [result, error] = await memberCompletion(memberId);
 
         // BEGIN Critical Section
-        memberCompletions[memberId].result = result;
-        memberCompletions[memberId].error  = error;
+        completion.result = result;
+        completion.error  = error;
+        if (completion.callback) {
+            completion.callback();
+        }
+        // END Critical Section
+    } else {
+        //
+        // The site is not waiting on a claim request at the moment.  It is completed when the site re-asserts its claim.
+        //
+        Log(`INFO:ClaimServer - Member ${memberId} completed while its claim is not being awaited`);
+    }
+}
+
+//
+// This function is called when the owner of the application network rejects a pending claim.  If the site is waiting
+// on its claim, it is told of the rejection now.  Otherwise it learns of it when it re-asserts the claim.
+//
+exports.RejectMember = function(memberId, reason) {
+    if (memberCompletions[memberId]) {
+        // BEGIN Critical Section
+        memberCompletions[memberId].error = claimError(protocol.CLAIM_STATUS_DENIED, reason);
         if (memberCompletions[memberId].callback) {
             memberCompletions[memberId].callback();
         }
         // END Critical Section
-    } else {
-        Log(`ERROR:ClaimServer - Member completion received for an unknown memberId ${memberId}`);
     }
 }
 
 exports.Start = async function() {
     Log('[Claim-Server module starting]');
     await bbLinks.RegisterHandler(onLinkAdded, onLinkDeleted);
+    db.ReconcileOnChange(['MemberInvitations'], sweepInvitations);
 }
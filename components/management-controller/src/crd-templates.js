@@ -19,10 +19,14 @@
 
 "use strict";
 
-const common = require('./common/common.js');
+const common        = require('./common/common.js');
+const siteTemplates = require('./site-templates.js');
 
-exports.BackboneSite = function(name) {
-    return {
+//
+// The Site spec is the initial configuration of the site's router.  It is signed with the router's certificate.
+//
+exports.BackboneSite = function(name, signingSecret) {
+    let site = {
         apiVersion : common.CRD_API_VERSION,
         kind       : 'Site',
         metadata : {
@@ -43,6 +47,9 @@ exports.BackboneSite = function(name) {
             ],
         },
     };
+
+    site.metadata.annotations = siteTemplates.ConfigSignatureAnnotations(JSON.stringify(site.spec), signingSecret);
+    return site;
 }
 
 exports.RouterAccess = function(accessPoint, tlsName) {
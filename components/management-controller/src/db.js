@@ -19,14 +19,171 @@
 
 "use strict";
 
-const Log  = require('./common/log.js').Log;
-const Pool = require('pg').Pool;
+const Log    = require('./common/log.js').Log;
+const Pool   = require('pg').Pool;
+const Client = require('pg').Client;
+
+const NOTIFY_CHANNEL          = 'skx_changes';
+const LISTEN_RECONNECT_MS     = 5000;
+const RECONCILE_RETRY_MS      = 10000;
+const SAFETY_NET_POLL_SECONDS = parseInt(process.env.SKX_DB_SAFETY_POLL_SECONDS || '60');
 
 var connectionPool;
 
+//
+// Subscriptions to change notifications, indexed by (lower-case) table name.
+//
+// subscriptions[table] = [onChange(table, op, id, columns)]
+//
+// op is one of 'INSERT', 'UPDATE', 'DELETE', or 'RESYNC'.  RESYNC is delivered (with an undefined id) whenever the
+// listener connection is re-established, since changes committed while it was down were not seen.  columns lists the
+// (lower-case) names of the columns changed by an UPDATE and is empty for the other ops.
+//
+var subscriptions = {};
+
+const dispatchChange = function(table, op, id, columns=[]) {
+    for (const onChange of subscriptions[table] || []) {
+        try {
+            onChange(table, op, id, columns);
+        } catch (error) {
+            Log(`Exception in change subscriber for ${table}: ${error.message}`);
+            Log(error.stack);
+        }
+    }
+}
+
+const onNotification = function(msg) {
+    if (msg.channel == NOTIFY_CHANNEL) {
+        var change;
+        try {
+            change = JSON.parse(msg.payload);
+        } catch (error) {
+            Log(`Ignoring malformed change notification: ${msg.payload}`);
+            return;
+        }
+        dispatchChange(change.table, change.op, change.id, change.columns);
+    }
+}
+
+//
+// Open a dedicated (non-pooled) connection to the database and LISTEN for change notifications
+// generated by the triggers in db-setup.sql.  If the connection fails or is lost, retry periodically.
+//
+const startListener = async function() {
+    const client = new Client();
+    var   lost   = false;
+
+    const onLost = function() {
+        if (!lost) {
+            lost = true;
+            client.end().catch(() => {});
+            setTimeout(startListener, LISTEN_RECONNECT_MS);
+        }
+    }
+
+    client.on('notification', onNotification);
+    client.on('error', (error) => {
+        Log(`Database change listener error: ${error.message}`);
+        onLost();
+    });
+    client.on('end', () => {
+        if (!lost) {
+            Log('Database change listener disconnected');
+        }
+        onLost();
+    });
+
+    try {
+        await client.connect();
+        await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+        Log('Database change listener connected');
+        for (const table of Object.keys(subscriptions)) {
+            dispatchChange(table, 'RESYNC', undefined);
+        }
+    } catch (error) {
+        Log(`Database change listener failed to connect: ${error.message}`);
+        onLost();
+    }
+}
+
 exports.Start = async function() {
     Log('[Database module starting]');
     connectionPool = new Pool();
+    await startListener();
+}
+
+//
+// Register a callback to be invoked when rows in any of the listed tables are inserted, updated, or deleted.
+//
+exports.Subscribe = function(tables, onChange) {
+    for (const table of tables) {
+        const key = table.toLowerCase();
+        if (!subscriptions[key]) {
+            subscriptions[key] = [];
+        }
+        subscriptions[key].push(onChange);
+    }
+}
+
+//
+// Run a reconciler whenever rows change in any of the listed tables.
+//
+// The reconciler returns the number of milliseconds until it should run again, or undefined if it has no more work
+// to do and should wait for the next change.  Idle reconcilers are still run at the safety-net polling interval in case
+// a notification is missed.  Runs of a reconciler never overlap; changes that arrive during a run cause another run.
+//
+// If relevant(table, op, id, columns) is supplied, only the changes for which it returns true wake the reconciler.
+// RESYNC always wakes it.
+//
+// Returns a function that wakes the reconciler after an optional delay.
+//
+exports.ReconcileOnChange = function(tables, reconciler, initialDelay=0, relevant=null) {
+    const safetyNetMs = SAFETY_NET_POLL_SECONDS * 1000;
+    var timer   = null;
+    var dueTime = 0;
+    var running = false;
+    var dirty   = false;
+
+    const wake = function(delay=0) {
+        if (running) {
+            dirty = true;
+            return;
+        }
+        delay = Math.min(Math.max(delay, 0), safetyNetMs);
+        const due = Date.now() + delay;
+        if (timer && dueTime <= due) {
+            return;
+        }
+        if (timer) {
+            clearTimeout(timer);
+        }
+        dueTime = due;
+        timer   = setTimeout(run, delay);
+    }
+
+    const run = async function() {
+        timer   = null;
+        running = true;
+        dirty   = false;
+        var delay;
+        try {
+            delay = await reconciler();
+        } catch (error) {
+            Log(`Exception in reconciler ${reconciler.name}: ${error.message}`);
+            Log(error.stack);
+            delay = RECONCILE_RETRY_MS;
+        }
+        running = false;
+        wake(dirty ? 0 : delay === undefined ? safetyNetMs : delay);
+    }
+
+    exports.Subscribe(tables, (table, op, id, columns) => {
+        if (!relevant || op == 'RESYNC' || relevant(table, op, id, columns)) {
+            wake(0);
+        }
+    });
+    wake(initialDelay);
+    return wake;
 }
 
 exports.ClientFromPool = function() {
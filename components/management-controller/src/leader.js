@@ -0,0 +1,143 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module elects a single active management controller among the replicas that share a database.
+//
+// Leadership is held as a session-level Postgres advisory lock on a dedicated connection.  The leader runs the
+// reconcilers, owns the AMQP connections to the backbones, and serves the API.  Standby replicas poll for the lock.
+//
+// The lock is released by the database when the leader's session ends.  Server-side TCP keepalives bound the time
+// it takes to detect a leader that has vanished without closing its connection.  If the leader loses its lock
+// connection, it can no longer be sure that it is the leader and exits so it can be restarted as a standby.
+//
+// If the leader fails to start, it releases the lock so another replica can take over, and contends again later.
+//
+// Failover time is bounded by: keepalive detection (idle + interval * count) + the standby poll interval + the
+// time for the new leader to open its backbone links, after which the sites' heartbeats re-establish the
+// state-sync peers.
+//
+
+const Log    = require('./common/log.js').Log;
+const Flush  = require('./common/log.js').Flush;
+const Client = require('pg').Client;
+
+const LEADER_LOCK_KEY      = 0x736b78;  // 'skx'
+const POLL_SECONDS         = parseInt(process.env.SKX_LEADER_POLL_SECONDS || '5');
+const KEEPALIVE_IDLE       = 5;
+const KEEPALIVE_INTERVAL   = 2;
+const KEEPALIVE_COUNT      = 3;
+const RETRY_SECONDS        = 30;  // Time before an instance that failed to start as the leader contends again
+
+var leader = false;
+
+exports.IsLeader = function() {
+    return leader;
+}
+
+const stepDown = function(reason) {
+    Log(`Leadership lost (${reason}), exiting so this instance can restart as a standby`);
+    Flush();
+    process.exit(1);
+}
+
+//
+// While we are the leader, verify periodically that the lock connection is still alive.  Returns the timer.
+//
+const monitorLock = function(client) {
+    client.on('error', (error) => stepDown(error.message));
+    client.on('end',   ()      => stepDown('lock connection closed'));
+    return setInterval(async () => {
+        try {
+            await client.query("SELECT 1");
+        } catch (error) {
+            stepDown(error.message);
+        }
+    }, POLL_SECONDS * 1000);
+}
+
+//
+// Give up leadership without exiting.  Closing the session releases the lock.
+//
+const releaseLock = async function(client, monitor) {
+    clearInterval(monitor);
+    client.removeAllListeners('error');
+    client.removeAllListeners('end');
+    client.on('error', () => {});
+    await client.end().catch(() => {});
+    leader = false;
+}
+
+const tryLock = async function(instanceName) { // => client if the lock was taken
+    const client = new Client({ keepAlive : true, query_timeout : POLL_SECONDS * 1000 });
+    client.on('error', () => {});  // Errors before election surface through the queries below
+    try {
+        await client.connect();
+        await client.query(`SET tcp_keepalives_idle = ${KEEPALIVE_IDLE}`);
+        await client.query(`SET tcp_keepalives_interval = ${KEEPALIVE_INTERVAL}`);
+        await client.query(`SET tcp_keepalives_count = ${KEEPALIVE_COUNT}`);
+        await client.query("SELECT set_config('application_name', $1, false)", [`skx-mc-${instanceName}`]);
+        const result = await client.query("SELECT pg_try_advisory_lock($1) as locked", [LEADER_LOCK_KEY]);
+        if (result.rows[0].locked) {
+            client.removeAllListeners('error');
+            return client;
+        }
+    } catch (error) {
+        Log(`Leader election attempt failed: ${error.message}`);
+    }
+    await client.end().catch(() => {});
+    return undefined;
+}
+
+//
+// Contend for leadership.  onElected is invoked when this instance becomes the leader.  If it fails, the lock is
+// released and onElected is invoked again the next time this instance is elected.  This function returns
+// immediately; a standby keeps polling in the background.
+//
+exports.Start = async function(instanceName, onElected) {
+    Log(`[Leader election starting for instance ${instanceName}]`);
+    var announced = false;
+
+    const attempt = async function() {
+        const client = await tryLock(instanceName);
+        if (client) {
+            leader = true;
+            Log(`Instance ${instanceName} elected leader`);
+            const monitor = monitorLock(client);
+            try {
+                await onElected();
+            } catch (error) {
+                Log(`Instance ${instanceName} failed to start as the leader, releasing leadership: ${error.stack}`);
+                await releaseLock(client, monitor);
+                announced = false;
+                setTimeout(attempt, RETRY_SECONDS * 1000);
+            }
+        } else {
+            if (!announced) {
+                Log(`Instance ${instanceName} is standing by, another instance is the leader`);
+                announced = true;
+            }
+            setTimeout(attempt, POLL_SECONDS * 1000);
+        }
+    }
+
+    await attempt();
+}
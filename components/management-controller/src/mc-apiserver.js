@@ -35,12 +35,20 @@ const Log        = require('./common/log.js').Log;
 const sync       = require('./sync-management.js');
 const adminApi   = require('./api-admin.js');
 const userApi    = require('./api-user.js');
+const appApi     = require('./api-application.js');
 const util       = require('./common/util.js');
 const common     = require('./common/common.js');
+const auth       = require('./auth.js');
 const path       = require('path');
 
 const API_PREFIX = '/api/v1alpha1/';
 const API_PORT   = 8085;
+
+//
+// Confine a query to the application networks of an owner ($2).  A null owner is unrestricted (see auth.Tenant).
+//
+const OWNER_CLAUSE = "($2::text IS NULL OR ApplicationNetworks.Owner = $2)";
+
 const app = express();
 //const memoryStore = new session.MemoryStore();
 //app.use(
@@ -53,7 +61,7 @@ const app = express();
 //  );
 //const keycloak    = new kcConnect({store: memoryStore});
 const keycloak = {
-    protect : function(arg) { return (req, res, next) => { next(); } }
+    protect : auth.Protect,
 };
 
 const link_config_map_yaml = function(name, data) {
@@ -96,7 +104,12 @@ const claim_config_map_yaml = function(claimId, hostname, port, interactive, nam
     return "---\n" + yaml.dump(configMap);
 }
 
-const fetchInvitationKube = async function (iid, res) {
+//
+// Generate the Kubernetes objects for an invitation.  If the invitation is to be claimed from an existing
+// member-enabled backbone site, only the claim objects are generated.  The site's router and controller are
+// already in place.  Invitations of application networks not owned by the caller are reported as not found.
+//
+const fetchInvitationKube = async function (iid, owner, res, colocated = false) {
     var returnStatus = 200;
     const client = await db.ClientFromPool();
     try {
@@ -105,17 +118,21 @@ const fetchInvitationKube = async function (iid, res) {
                                           "JOIN TlsCertificates ON MemberInvitations.Certificate = TlsCertificates.Id " +
                                           "JOIN ApplicationNetworks ON MemberInvitations.MemberOf = ApplicationNetworks.Id " +
                                           "JOIN BackboneAccessPoints ON MemberInvitations.ClaimAccess = BackboneAccessPoints.Id " +
-                                          "WHERE MemberInvitations.Id = $1 AND BackboneAccessPoints.Lifecycle = 'ready' AND MemberInvitations.Lifecycle = 'ready'", [iid]);
+                                          "WHERE MemberInvitations.Id = $1 AND " + OWNER_CLAUSE + " AND BackboneAccessPoints.Lifecycle = 'ready' AND MemberInvitations.Lifecycle = 'ready' " +
+                                          "AND (MemberInvitations.JoinDeadline IS NULL OR MemberInvitations.JoinDeadline > now())", [iid, owner]);
         if (result.rowCount == 1) {
             const row = result.rows[0];
             const secret = await kube.LoadSecret(row.secret_name);
             let text = '';
 
-            text += siteTemplates.ServiceAccountYaml();
-            text += siteTemplates.MemberRoleYaml();
-            text += siteTemplates.RoleBindingYaml();
-            text += siteTemplates.ConfigMapYaml('edge', null, row.vanid);
-            text += siteTemplates.DeploymentYaml(iid, false);
+            if (!colocated) {
+                const capabilities = siteTemplates.MemberSiteCapabilities();
+                text += siteTemplates.ServiceAccountYaml();
+                text += siteTemplates.MemberRoleYaml();
+                text += siteTemplates.RoleBindingYaml();
+                text += siteTemplates.ConfigMapYaml(capabilities, null, row.vanid);
+                text += siteTemplates.DeploymentYaml(iid, capabilities);
+            }
             text += siteTemplates.SiteApiServiceYaml();
             text += siteTemplates.SecretYaml(secret, 'skupperx-claim', false);
             text += claim_config_map_yaml(row.id, row.hostname, row.port, row.interactiveclaim, row.membernameprefix);
@@ -127,7 +144,21 @@ const fetchInvitationKube = async function (iid, res) {
             //
             await client.query("UPDATE MemberInvitations SET FetchCount = FetchCount + 1 WHERE Id = $1", [row.id]);
         } else {
-            throw(Error('Valid invitation not found'));
+            //
+            // Explain why the invitation cannot be fetched
+            //
+            const invResult = await client.query("SELECT MemberInvitations.Lifecycle, MemberInvitations.JoinDeadline <= now() as pastdeadline FROM MemberInvitations " +
+                                                 "JOIN ApplicationNetworks ON MemberInvitations.MemberOf = ApplicationNetworks.Id " +
+                                                 "WHERE MemberInvitations.Id = $1 AND " + OWNER_CLAUSE, [iid, owner]);
+            if (invResult.rowCount == 0) {
+                returnStatus = 404;
+                res.status(returnStatus).send('Invitation not found');
+            } else if (invResult.rows[0].lifecycle == 'expired' || invResult.rows[0].pastdeadline) {
+                returnStatus = 410;
+                res.status(returnStatus).send('Invitation has expired');
+            } else {
+                throw(Error('Invitation is not ready'));
+            }
         }
     } catch (error) {
         returnStatus = 400;
@@ -145,7 +176,7 @@ const fetchBackboneSiteKube = async function (siteId, res) {
     try {
         await client.query('BEGIN');
         const result = await client.query(
-            'SELECT InteriorSites.Name as sitename, InteriorSites.Certificate, InteriorSites.Lifecycle, InteriorSites.DeploymentState, TlsCertificates.ObjectName as secret_name FROM InteriorSites ' +
+            'SELECT InteriorSites.Name as sitename, InteriorSites.Certificate, InteriorSites.Lifecycle, InteriorSites.DeploymentState, InteriorSites.IngressType, InteriorSites.IngressDomain, InteriorSites.MemberEnabled, TlsCertificates.ObjectName as secret_name FROM InteriorSites ' +
             'JOIN TlsCertificates ON InteriorSites.Certificate = TlsCertificates.Id WHERE Interiorsites.Id = $1', [siteId]);
         if (result.rowCount == 1) {
             if (result.rows[0].deploymentstate == 'deployed') {
@@ -155,12 +186,13 @@ const fetchBackboneSiteKube = async function (siteId, res) {
                 throw(Error("Not permitted, site not ready for deployment"));
             }
             let secret = await kube.LoadSecret(result.rows[0].secret_name);
+            const capabilities = siteTemplates.BackboneSiteCapabilities(result.rows[0].memberenabled);
             let text = '';
             text += siteTemplates.ServiceAccountYaml();
             text += siteTemplates.BackboneRoleYaml();
             text += siteTemplates.RoleBindingYaml();
-            text += siteTemplates.ConfigMapYaml('interior', result.rows[0].sitename);
-            text += siteTemplates.DeploymentYaml(siteId, true);
+            text += siteTemplates.ConfigMapYaml(capabilities, result.rows[0].sitename, null, secret);
+            text += siteTemplates.DeploymentYaml(siteId, capabilities, result.rows[0].ingresstype, result.rows[0].ingressdomain, secret);
             text += siteTemplates.SecretYaml(secret, `skx-site-${siteId}`, common.INJECT_TYPE_SITE, `tls-site-${siteId}`);
 
             const links = await sync.GetBackboneLinks_TX(client, siteId);
@@ -208,7 +240,7 @@ const fetchBackboneSiteCrd = async function (siteId, res) {
             const secret = await kube.LoadSecret(site.objectname);
             let text = '';
             text += siteTemplates.SecretYaml(secret, `tls-client-${site.certificate}`, false);
-            text += "---\n" + yaml.dump(crdTemplates.BackboneSite(site.name));
+            text += "---\n" + yaml.dump(crdTemplates.BackboneSite(site.name, secret));
 
             //
             // Generate CRs for router access points
@@ -375,6 +407,7 @@ const postBackboneIngress = async function (bsid, req, res) {
 
 exports.Start = async function() {
     Log('[API Server module started]');
+    await auth.Start();
     app.use(cors());
     //app.set('trust proxy', true );
     //app.use(keycloak.middleware());
@@ -391,32 +424,47 @@ exports.Start = async function() {
 
     app.use(morgan(':ts :remote-addr :remote-user :method :url :status :res[content-length] :response-time ms'));
 
-    app.get(API_PREFIX + 'invitation/:iid/kube', async (req, res) => {
-        await fetchInvitationKube(req.params.iid, res);
+    //
+    // The console reads this before it signs the user in, so it is not protected.
+    //
+    app.get(API_PREFIX + 'auth/config', (req, res) => {
+        res.json(auth.ClientConfig());
+    });
+
+    //
+    // Bootstrap endpoints.  These carry site credentials and are restricted to the owners of the resources.
+    //
+    app.get(API_PREFIX + 'invitation/:iid/kube', keycloak.protect('realm:van-owner'), async (req, res) => {
+        await fetchInvitationKube(req.params.iid, auth.Tenant(req), res);
+    });
+
+    app.get(API_PREFIX + 'invitation/:iid/colocated', keycloak.protect('realm:van-owner'), async (req, res) => {
+        await fetchInvitationKube(req.params.iid, auth.Tenant(req), res, true);
     });
 
-    app.get(API_PREFIX + 'backbonesite/:bsid/kube', async (req, res) => {
+    app.get(API_PREFIX + 'backbonesite/:bsid/kube', keycloak.protect('realm:backbone-admin'), async (req, res) => {
         await fetchBackboneSiteKube(req.params.bsid, res);
     });
 
-    app.get(API_PREFIX + 'backbonesite/:bsid/crd', async (req, res) => {
+    app.get(API_PREFIX + 'backbonesite/:bsid/crd', keycloak.protect('realm:backbone-admin'), async (req, res) => {
         await fetchBackboneSiteCrd(req.params.bsid, res);
     });
 
-    app.get(API_PREFIX + 'backbonesite/:bsid/accesspoints/kube', async (req, res) => {
+    app.get(API_PREFIX + 'backbonesite/:bsid/accesspoints/kube', keycloak.protect('realm:backbone-admin'), async (req, res) => {
         await fetchBackboneAccessPointsKube(req.params.bsid, res);
     });
 
-    app.get(API_PREFIX + 'backbonesite/:bsid/links/outgoing/kube', async (req, res) => {
+    app.get(API_PREFIX + 'backbonesite/:bsid/links/outgoing/kube', keycloak.protect('realm:backbone-admin'), async (req, res) => {
         await fetchBackboneLinksOutgoingKube(req.params.bsid, res);
     });
 
-    app.post(API_PREFIX + 'backbonesite/:bsid/ingress', async (req, res) => {
+    app.post(API_PREFIX + 'backbonesite/:bsid/ingress', keycloak.protect('realm:backbone-admin'), async (req, res) => {
         await postBackboneIngress(req.params.bsid, req, res);
     });
 
     adminApi.Initialize(app, keycloak);
     userApi.Initialize(app, keycloak);
+    appApi.Initialize(app, keycloak);
 
     app.use((req, res) => {
         res.status(404).send('invalid path');
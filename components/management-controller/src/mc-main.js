@@ -33,32 +33,53 @@ const apiserver   = require('./mc-apiserver.js');
 const sync        = require('./sync-management.js');
 const amqp        = require('./common/amqp.js');
 const claims      = require('./claim-server.js');
+const scheduler   = require('./van-scheduler.js');
+const leader      = require('./leader.js');
 const Log         = require('./common/log.js').Log;
 const Flush       = require('./common/log.js').Flush;
 
 const VERSION     = '0.1.2';
 const STANDALONE  = (process.env.SKX_STANDALONE || 'NO') == 'YES';
 const CONTROLLER  = process.env.SKX_CONTROLLER_NAME || process.env.HOSTNAME || 'main-controller';
+const INSTANCE    = process.env.HOSTNAME || CONTROLLER;
 
 Log(`Skupper-X Management controller version ${VERSION}`);
 Log(`Standalone : ${STANDALONE}`);
 
+//
+// The startup sequence for the elected leader.  Replicas that are standing by run none of this, including the database
+// change listener.  If a step fails, this instance gives up leadership.  The steps that completed are not run again
+// when it is re-elected; the sequence resumes with the step that failed.
+//
+const STARTUP_STEPS = [
+    db.Start,
+    config.Start,
+    prune.Start,
+    certs.Start,
+    () => amqp.Start(rhea),
+    apiserver.Start,
+    () => bbLinks.Start(CONTROLLER),
+    sync.Start,
+    claims.Start,
+    scheduler.Start,
+];
+var completedSteps = 0;
+
+const onElected = async function() {
+    while (completedSteps < STARTUP_STEPS.length) {
+        await STARTUP_STEPS[completedSteps]();
+        completedSteps++;
+    }
+    Log("[Management controller initialization completed successfully]");
+}
+
 //
 // This is the main program startup sequence.
 //
 exports.Main = async function() {
     try {
         await kube.Start(k8s, fs, yaml, !STANDALONE);
-        await db.Start();
-        await config.Start();
-        await prune.Start();
-        await certs.Start();
-        await amqp.Start(rhea);
-        await apiserver.Start();
-        await bbLinks.Start(CONTROLLER);
-        await sync.Start();
-        await claims.Start();
-        Log("[Management controller initialization completed successfully]");
+        await leader.Start(INSTANCE, onElected);
     } catch (reason) {
         Log(`Management controller initialization failed: ${reason.stack}`)
         Flush();
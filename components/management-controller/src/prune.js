@@ -24,7 +24,17 @@ const Log    = require('./common/log.js').Log;
 const common = require('./common/common.js');
 const db     = require('./db.js');
 
-const reconcileCertificates = async function() {
+//
+// Tables whose rows own a TlsCertificate
+//
+const CERT_OWNER_TABLES = ['ManagementControllers', 'Backbones', 'BackboneAccessPoints', 'InteriorSites', 'ApplicationNetworks', 'MemberInvitations', 'MemberSites'];
+
+//
+// Delete the skupperx-controlled Issuers, Certificates, and Secrets that have no TlsCertificate in the database.
+// If onlyNames is provided, limit the deletions to objects with those names.  This avoids racing with the
+// certificate module, which creates the Kubernetes objects before the TlsCertificate records.
+//
+const reconcileCertificates = async function(onlyNames) {
     const client = await db.ClientFromPool();
     try {
         const result = await client.query("SELECT ObjectName FROM TlsCertificates");
@@ -35,7 +45,7 @@ const reconcileCertificates = async function() {
 
         const issuer_list = await kube.GetIssuers();
         issuer_list.forEach(issuer => {
-            if (!db_cert_names.includes(issuer.metadata.name) && (issuer.metadata.annotations && issuer.metadata.annotations[common.META_ANNOTATION_SKUPPERX_CONTROLLED] == 'true')) {
+            if (!db_cert_names.includes(issuer.metadata.name) && (!onlyNames || onlyNames.includes(issuer.metadata.name)) && (issuer.metadata.annotations && issuer.metadata.annotations[common.META_ANNOTATION_SKUPPERX_CONTROLLED] == 'true')) {
                 kube.DeleteIssuer(issuer.metadata.name);
                 Log(`  Deleted issuer: ${issuer.metadata.name}`);
             }
@@ -43,7 +53,7 @@ const reconcileCertificates = async function() {
 
         const cert_list = await kube.GetCertificates();
         cert_list.forEach(cert => {
-            if (!db_cert_names.includes(cert.metadata.name) && (cert.metadata.annotations && cert.metadata.annotations[common.META_ANNOTATION_SKUPPERX_CONTROLLED] == 'true')) {
+            if (!db_cert_names.includes(cert.metadata.name) && (!onlyNames || onlyNames.includes(cert.metadata.name)) && (cert.metadata.annotations && cert.metadata.annotations[common.META_ANNOTATION_SKUPPERX_CONTROLLED] == 'true')) {
                 kube.DeleteCertificate(cert.metadata.name);
                 Log(`  Deleted certificate: ${cert.metadata.name}`);
             }
@@ -51,7 +61,7 @@ const reconcileCertificates = async function() {
 
         const secret_list = await kube.GetSecrets();
         secret_list.forEach(secret => {
-            if (!db_cert_names.includes(secret.metadata.name) && (secret.metadata.annotations && secret.metadata.annotations[common.META_ANNOTATION_SKUPPERX_CONTROLLED] == 'true')) {
+            if (!db_cert_names.includes(secret.metadata.name) && (!onlyNames || onlyNames.includes(secret.metadata.name)) && (secret.metadata.annotations && secret.metadata.annotations[common.META_ANNOTATION_SKUPPERX_CONTROLLED] == 'true')) {
                 kube.DeleteSecret(secret.metadata.name);
                 Log(`  Deleted secret: ${secret.metadata.name}`);
             }
@@ -63,12 +73,17 @@ const reconcileCertificates = async function() {
     }
 }
 
+//
+// Delete TlsCertificate records that are not referenced by any owner and are not the signer of a referenced certificate.
+// Returns the object names of the deleted certificates.
+//
 exports.DeleteOrphanCertificates = async function() {
+    var deletedNames = [];
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
         var deleteMap = {};
-        const tlsResult = await client.query("SELECT Id, SignedBy FROM TlsCertificates");
+        const tlsResult = await client.query("SELECT Id, SignedBy, ObjectName FROM TlsCertificates");
         for (const tlsRow of tlsResult.rows) {
             if (tlsRow.signedby) {
                 if (!deleteMap[tlsRow.signedby]) {
@@ -87,9 +102,10 @@ exports.DeleteOrphanCertificates = async function() {
             } else {
                 deleteMap[tlsRow.id].pleaseDelete = true;
             }
+            deleteMap[tlsRow.id].objectName = tlsRow.objectname;
         }
 
-        for (const table of ['ManagementControllers', 'Backbones', 'BackboneAccessPoints', 'InteriorSites', 'ApplicationNetworks', 'MemberInvitations', 'MemberSites']) {
+        for (const table of CERT_OWNER_TABLES) {
             const result = await client.query(`SELECT Id, Certificate FROM ${table}`);
             for (const row of result.rows) {
                 if (row.certificate) {
@@ -102,16 +118,30 @@ exports.DeleteOrphanCertificates = async function() {
             }
         }
 
+        //
+        // Returns true if the certificate remains in the database.  A CA that is no longer owned (i.e. it has been
+        // rotated) is retained for as long as any certificate it signed remains.
+        //
         const depthFirstDelete = async function(client, certId) {
             const record = deleteMap[certId];
+            if (record.deleted) {
+                return false;
+            }
+            var retainedChild = false;
             for (const childId of record.children) {
-                await depthFirstDelete(client, childId);
+                if (await depthFirstDelete(client, childId)) {
+                    retainedChild = true;
+                }
             }
-            if (record.pleaseDelete) {
+            if (record.pleaseDelete && !retainedChild) {
                 await client.query("DELETE FROM TlsCertificates WHERE Id = $1", [certId]);
                 Log(`Orphan TlsCertificate ${certId} to be deleted`);
+                deletedNames.push(record.objectName);
                 record.pleaseDelete = false;
+                record.deleted      = true;
+                return false;
             }
+            return true;
         }
 
         for (const certId of Object.keys(deleteMap)) {
@@ -123,13 +153,34 @@ exports.DeleteOrphanCertificates = async function() {
         await client.query("ROLLBACK");
         Log(`Exception in DeleteOrphanCertificates: ${error.message}`);
         Log(error.stack);
+        deletedNames = [];
     } finally {
         client.release();
     }
+    return deletedNames;
+}
+
+//
+// Run when certificate-owning rows are deleted or change their certificate.  Remove the orphaned certificates along
+// with their Kubernetes objects.
+//
+const pruneDeletedOwners = async function() {
+    const deletedNames = await exports.DeleteOrphanCertificates();
+    if (deletedNames.length > 0) {
+        await reconcileCertificates(deletedNames);
+    }
+}
+
+//
+// Other updates to the owners (heartbeats, lifecycle changes) cannot orphan a certificate.
+//
+const ownerCertificateChanged = function(table, op, id, columns) {
+    return op == 'DELETE' || (op == 'UPDATE' && columns.includes('certificate'));
 }
 
 exports.Start = async function() {
     Log('[Prune - Reconciling Kubernetes objects to the database]');
     await exports.DeleteOrphanCertificates();
     await reconcileCertificates();
+    db.ReconcileOnChange(CERT_OWNER_TABLES, pruneDeletedOwners, 0, ownerCertificateChanged);
 }
@@ -0,0 +1,248 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module generates the router policy for backbone sites and synchronizes it to the sites.
+//
+// Each access-point listener on a backbone router is bound to a policy vhost according to the kind of the access
+// point (see common.ACCESS_POINT_VHOSTS).  The vhosts restrict the addresses that connected routers may reach:
+//
+//   skx-backbone - Backbone sites may send to the management controller's sync address
+//   skx-claim    - Claiming sites may send only to the claim address
+//   skx-member   - Member sites may reach only their own VAN's addresses (and the sync address for state-sync)
+//   skx-manage   - The management controller is not restricted
+//
+// Member sites are identified by the common name of their client certificates, which is derived from the member site's
+// Id (see common.MemberSiteCommonName) and so survives certificate rotation.
+//
+// Backbone-site policy state:
+//   Vhosts - Config maps representing router vhost policies  [ skx-vhost-<name> ]
+//
+
+const Log       = require('./common/log.js').Log;
+const common    = require('./common/common.js');
+const db        = require('./db.js');
+const sync      = require('./common/state-sync.js');
+const templates = require('./site-templates.js');
+
+//
+// Policy state hashes that have been published to each connected backbone site:  siteId => {stateKey: hash}
+//
+var siteState = {};
+
+//
+// A policy group allowing the listed target addresses and dynamic (reply) sources.  An empty target list permits
+// nothing but replies.
+//
+const policyGroup = function(users, targets, sources = []) {
+    return {
+        users                : users,
+        remoteHosts          : '*',
+        targets              : targets.join(','),
+        sources              : sources.join(','),
+        allowDynamicSource   : true,
+        allowAnonymousSender : targets.length > 0,
+        allowWaypointLinks   : false,
+    };
+}
+
+const vhostSpec = function(hostname, allowUnknownUser, groups) {
+    return {
+        hostname         : hostname,
+        allowUnknownUser : allowUnknownUser,
+        groups           : groups,
+    };
+}
+
+//
+// Build the vhost for member access.  There is one group per application network on the backbone, containing the
+// application network's member sites.  Sites that are not members of any application network, or that have been
+// evicted, are refused.
+//
+const memberVhost_TX = async function(client, backboneId) {
+    const result = await client.query("SELECT ApplicationNetworks.VanId, MemberSites.Id FROM MemberSites " +
+                                      "JOIN ApplicationNetworks ON ApplicationNetworks.Id = MemberSites.MemberOf " +
+                                      "WHERE ApplicationNetworks.Backbone = $1 AND MemberSites.Lifecycle != 'evicted' ORDER BY ApplicationNetworks.VanId, MemberSites.Id", [backboneId]);
+    let members = {};  // vanId => [user]
+    for (const row of result.rows) {
+        if (!members[row.vanid]) {
+            members[row.vanid] = [];
+        }
+        members[row.vanid].push(common.MemberSiteCommonName(row.id));
+    }
+
+    let groups = {};
+    for (const [vanId, users] of Object.entries(members)) {
+        const vanAddresses = `${vanId}/*`;
+        groups[vanId] = policyGroup(users.join(','), [common.API_CONTROLLER_ADDRESS, vanAddresses], [vanAddresses]);
+    }
+
+    return vhostSpec(common.ACCESS_POINT_VHOSTS.member, false, groups);
+}
+
+const getPolicyForSite_TX = async function(client, siteId) { // => {stateKey: [hash, data]}
+    const siteResult = await client.query("SELECT Backbone FROM InteriorSites WHERE Id = $1", [siteId]);
+    if (siteResult.rowCount != 1) {
+        throw(Error(`Backbone site ${siteId} not found`));
+    }
+    const backboneId = siteResult.rows[0].backbone;
+
+    let vhosts = [];
+    const kindResult = await client.query("SELECT DISTINCT Kind FROM BackboneAccessPoints WHERE InteriorSite = $1", [siteId]);
+    for (const row of kindResult.rows) {
+        const hostname = common.ACCESS_POINT_VHOSTS[row.kind];
+        switch (row.kind) {
+        case 'peer':
+            vhosts.push(vhostSpec(hostname, true, { '$default' : policyGroup('*', [common.API_CONTROLLER_ADDRESS]) }));
+            break;
+
+        case 'claim':
+            vhosts.push(vhostSpec(hostname, true, { '$default' : policyGroup('*', [common.CLAIM_ASSERT_ADDRESS]) }));
+            break;
+
+        case 'member':
+            vhosts.push(await memberVhost_TX(client, backboneId));
+            break;
+
+        case 'manage':
+            vhosts.push(vhostSpec(hostname, true, { '$default' : policyGroup('*', ['*'], ['*']) }));
+            break;
+        }
+    }
+
+    let stateMap = {};
+    for (const vhost of vhosts) {
+        const data = { vhost : JSON.stringify(vhost) };
+        stateMap[`vhost-${vhost.hostname}`] = [templates.HashOfData(data), data];
+    }
+    return stateMap;
+}
+
+const getStateHashesForSite_TX = async function(client, siteId) {
+    const stateMap = await getPolicyForSite_TX(client, siteId);
+    let state = {};
+    for (const [key, [hash, data]] of Object.entries(stateMap)) {
+        state[key] = hash;
+    }
+    return state;
+}
+
+//
+// Add the policy state for a newly connected backbone site to the state that is synchronized to the site.
+//
+exports.onNewBackboneSite = async function(siteId, localState, remoteState) {
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const state = await getStateHashesForSite_TX(client, siteId);
+        await client.query("COMMIT");
+
+        for (const [key, hash] of Object.entries(state)) {
+            localState[key] = hash;
+        }
+        siteState[siteId] = state;
+    } catch (error) {
+        await client.query("ROLLBACK");
+        Log(`RouterPolicy - Exception in new backbone site processing: ${error.message}`);
+        Log(error.stack);
+    } finally {
+        client.release();
+    }
+
+    return [localState, remoteState];
+}
+
+exports.onLostBackboneSite = async function(siteId) {
+    delete siteState[siteId];
+}
+
+//
+// Recompute the policy for the connected backbone sites and update the state being synchronized to those sites.
+//
+const reconcileSites = async function() {
+    const siteIds = Object.keys(siteState);
+    if (siteIds.length == 0) {
+        return;
+    }
+
+    var newState = {};
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        for (const siteId of siteIds) {
+            newState[siteId] = await getStateHashesForSite_TX(client, siteId);
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw(error);
+    } finally {
+        client.release();
+    }
+
+    for (const [siteId, state] of Object.entries(newState)) {
+        const oldState = siteState[siteId];
+        if (!oldState) {
+            continue;  // The site was lost while we were computing its state
+        }
+        for (const [key, hash] of Object.entries(state)) {
+            if (oldState[key] != hash) {
+                await sync.UpdateLocalState(siteId, key, hash);
+            }
+        }
+        for (const key of Object.keys(oldState)) {
+            if (!state[key]) {
+                await sync.UpdateLocalState(siteId, key, null);
+            }
+        }
+        siteState[siteId] = state;
+    }
+}
+
+exports.StateRequest = async function(siteId, stateKey) {
+    var hash = null;
+    var data = {};
+
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const stateMap = await getPolicyForSite_TX(client, siteId);
+        if (!stateMap[stateKey]) {
+            throw(Error(`Unknown policy state key ${stateKey} for backbone site ${siteId}`));
+        }
+        [hash, data] = stateMap[stateKey];
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        Log(`RouterPolicy - Exception in state-request for key ${stateKey}: ${error.message}`);
+        hash = null;
+        data = {};
+    } finally {
+        client.release();
+    }
+
+    return [hash, data];
+}
+
+exports.Start = async function() {
+    Log('[Router-policy module started]');
+    db.ReconcileOnChange(['BackboneAccessPoints', 'MemberSites', 'ApplicationNetworks'], reconcileSites);
+}
@@ -19,17 +19,17 @@
 
 "use strict";
 
-const config = require('./config.js');
-const yaml   = require('js-yaml');
-const common = require('./common/common.js');
-const crypto = require('crypto');
+const config          = require('./config.js');
+const yaml            = require('js-yaml');
+const common          = require('./common/common.js');
+const crypto          = require('crypto');
+const configSignature = require('./common/config-signature.js');
 
 const SA_NAME           = 'skupperx-site';
 const ROLE_NAME         = SA_NAME;
 const ROLE_BINDING_NAME = SA_NAME;
 const APPLICATION       = 'skupperx';
 const ROUTER_LABEL      = 'skx-router';
-const CM_NAME           = 'skupper-internal';
 const DEPLOYMENT_NAME   = 'skupperx-site';
 
 
@@ -97,6 +97,9 @@ rules:
 - apiGroups: ["projectcontour.io"]
   resources: ["httpproxies"]
   verbs: ["get", "list", "watch", "create", "delete"]
+- apiGroups: ["gateway.networking.k8s.io"]
+  resources: ["tlsroutes"]
+  verbs: ["get", "list", "watch", "create", "delete"]
 - apiGroups: ["rbac.authorization.k8s.io"]
   resources: ["rolebindings", "roles"]
   verbs: ["get", "list", "watch", "create", "delete"]
@@ -142,64 +145,144 @@ roleRef:
 `;
 }
 
-exports.ConfigMapYaml = function(mode, sitename, vanId = null) {
-    return `---
-apiVersion: v1
-kind: ConfigMap
-metadata:
-  name: ${CM_NAME}
-data:
-  skrouterd.json: |-
+//
+// Site capabilities select the functions performed by a site's controller.  A backbone site may also host a member
+// site, sharing the backbone site's interior router.
+//
+exports.MemberSiteCapabilities = function() {
+    return { backbone : false, member : true, claim : true };
+}
+
+exports.BackboneSiteCapabilities = function(memberEnabled = false) {
+    return { backbone : true, member : memberEnabled, claim : memberEnabled };
+}
+
+//
+// Sign a router configuration using the router's own certificate and key.  The returned annotations carry the digest
+// of the configuration, the signature, and the signing certificate so the configuration can be verified by the site
+// controller and by peer routers.
+//
+exports.ConfigSignatureAnnotations = function(configText, secret) {
+    const digest = configSignature.ConfigDigest(configText);
+    return {
+        [common.META_ANNOTATION_CONFIG_DIGEST]    : digest,
+        [common.META_ANNOTATION_CONFIG_SIGNATURE] : configSignature.SignDigest(digest, Buffer.from(secret.data['tls.key'], 'base64').toString()),
+        [common.META_ANNOTATION_CONFIG_SIGNER]    : secret.data['tls.crt'],
+    };
+}
+
+//
+// The router is an interior router if the site is backbone-enabled, otherwise it is an edge router.  Only edge routers
+// are scoped to a single application network.
+//
+// If the router's certificate secret is provided, the configuration is signed with it.
+//
+exports.ConfigMapYaml = function(capabilities, sitename, vanId = null, signingSecret = null) {
+    const mode   = capabilities.backbone ? 'interior' : 'edge';
+    const scoped = !capabilities.backbone && !!vanId;
+
+    //
+    // Backbone routers enforce vhost policy on their access-point listeners.  The vhosts for the access points are
+    // synchronized from the management controller.  Connections that don't name a vhost, such as those to the health
+    // and sidecar listeners, use the unrestricted default vhost.
+    //
+    const policy = capabilities.backbone ? `
     [
-        [
-            "router",
-            {
-                "id": "${sitename ? sitename : 'skx-${HOSTNAME}'}",
-                "mode": "${mode}",
-${vanId ? `                "vanId": "${vanId}",` : ''}
-                "helloMaxAgeSeconds": "3",
-                "metadata": "{\\"version\\":\\"1.4.3\\",\\"platform\\":\\"kubernetes\\"}"
-            }
-        ],
-        [
-            "listener",
-            {
-                "name": "health",
-                "role": "normal",
-                "port": 9090,
-                "http": true,
-                "httpRootDir": "disabled",
-                "healthz": true,
-                "metrics": true
-            }
-        ],
-        [
-            "listener",
-            {
-                "name": "sidecar",
-                "host": "localhost",
-                "port": 5672
-            }
-        ],
-        [
-            "address",
-            {
-                "prefix": "mc",
-                "distribution": "multicast"
-            }
-        ],
-        [
-            "log",
-            {
-                "module": "ROUTER_CORE",
-                "enable": "error+"
+        "policy",
+        {
+            "enableVhostPolicy": true,
+            "defaultVhost": "$default"
+        }
+    ],
+    [
+        "vhost",
+        {
+            "hostname": "$default",
+            "allowUnknownUser": true,
+            "groups": {
+                "$default": {
+                    "users": "*",
+                    "remoteHosts": "*",
+                    "sources": "*",
+                    "targets": "*",
+                    "allowDynamicSource": true,
+                    "allowAnonymousSender": true
+                }
             }
-        ]
+        }
+    ],` : '';
+    const routerConfig = `[
+    [
+        "router",
+        {
+            "id": "${sitename ? sitename : 'skx-${HOSTNAME}'}",
+            "mode": "${mode}",${scoped ? `
+            "vanId": "${vanId}",` : ''}
+            "helloMaxAgeSeconds": "3",
+            "metadata": "{\\"version\\":\\"1.4.3\\",\\"platform\\":\\"kubernetes\\"}"
+        }
+    ],
+    [
+        "listener",
+        {
+            "name": "health",
+            "role": "normal",
+            "port": 9090,
+            "http": true,
+            "httpRootDir": "disabled",
+            "healthz": true,
+            "metrics": true
+        }
+    ],
+    [
+        "listener",
+        {
+            "name": "sidecar",
+            "host": "localhost",
+            "port": 5672
+        }
+    ],
+    [
+        "address",
+        {
+            "prefix": "mc",
+            "distribution": "multicast"
+        }
+    ],${policy}
+    [
+        "log",
+        {
+            "module": "ROUTER_CORE",
+            "enable": "error+"
+        }
     ]
-`;
+]`;
+
+    let configMap = {
+        apiVersion : 'v1',
+        kind       : 'ConfigMap',
+        metadata   : {
+            name : common.ROUTER_CONFIG_MAP_NAME,
+        },
+        data : {
+            'skrouterd.json' : routerConfig,
+        },
+    };
+
+    if (signingSecret) {
+        configMap.metadata.annotations = exports.ConfigSignatureAnnotations(routerConfig, signingSecret);
+    }
+
+    return "---\n" + yaml.dump(configMap);
 }
 
-exports.DeploymentYaml = function(bsid, backboneMode) {
+//
+// If the router's configuration is signed, the CA that issued the signing certificate is passed to the site controller
+// in its environment.  The site controller verifies the configuration against this CA, which, unlike the CA bundle in
+// the site's secret, is not replaced when the CA is rotated.
+//
+exports.DeploymentYaml = function(bsid, capabilities, ingressType = 'route', ingressDomain = null, signingSecret = null) {
+    const signerCa = signingSecret ? signingSecret.data['ca.crt'] : undefined;
     return `---
 apiVersion: apps/v1
 kind: Deployment
@@ -296,9 +379,19 @@ spec:
         env:
         - name: SKUPPERX_SITE_ID
           value: ${bsid}
-        - name: SKX_BACKBONE
-          value: "${backboneMode ? 'YES' : 'NO'}"
-        - name: NODE_ENV
+        - name: SKX_BACKBONE_ENABLED
+          value: "${capabilities.backbone ? 'YES' : 'NO'}"
+        - name: SKX_MEMBER_ENABLED
+          value: "${capabilities.member ? 'YES' : 'NO'}"
+        - name: SKX_CLAIM_ENABLED
+          value: "${capabilities.claim ? 'YES' : 'NO'}"
+${capabilities.backbone ? `        - name: SKX_INGRESS_TYPE
+          value: ${ingressType}
+` : ''}${capabilities.backbone && ingressDomain ? `        - name: SKX_INGRESS_DOMAIN
+          value: ${ingressDomain}
+` : ''}${signerCa ? `        - name: SKX_CONFIG_SIGNER_CA
+          value: ${signerCa}
+` : ''}        - name: NODE_ENV
           value: production
         ports:
         - containerPort: 1040
@@ -333,7 +426,7 @@ spec:
       volumes:
       - configMap:
           defaultMode: 420
-          name: skupper-internal
+          name: ${common.ROUTER_CONFIG_MAP_NAME}
         name: router-config
       - emptyDir: {}
         name: skupper-router-certs
@@ -389,6 +482,20 @@ exports.SecretYaml = function(certificate, profile_name, inject, stateKey) {
     return "---\n" + yaml.dump(secret);
 }
 
+//
+// The data for a member's edge link to a backbone access point.  The member prefers links with the lowest priority
+// value and uses drained links (those to sites that are stale or being drained for maintenance) only as a last resort.
+//
+exports.MemberLinkData = function(row) {
+    return {
+        host     : row.hostname,
+        port     : row.port,
+        cost     : '1',
+        priority : `${row.priority}`,
+        drain    : row.drain ? 'true' : 'false',
+    };
+}
+
 exports.LinkConfigMapYaml = function(linkId, data) {
     let link = {
         apiVersion : 'v1',
@@ -24,9 +24,9 @@
 // member sites.
 //
 // Member-site application state:
-//   Pods       - Represent allocated components for which there is an image spec            [ skx-<id> ]
-//   Connectors - Config maps representing interfaces exposed from this site (role: accept)  [ skx-connector-<ordinal>-<id> ]
-//   Listeners  - Config maps representing interfaces uses from this site    (role: connect) [ skx-listener-<id> ]
+//   Pods       - Represent allocated components for which there is an image spec            [ skx-pod-<component-id> ]
+//   Connectors - Config maps representing interfaces exposed from this site (role: accept)  [ skx-accept-<binding-id> ]
+//   Listeners  - Config maps representing interfaces uses from this site    (role: connect) [ skx-connect-<binding-id> ]
 //
 
 const Log        = require('./common/log.js').Log;
@@ -34,13 +34,22 @@ const common     = require('./common/common.js');
 const util       = require('./common/util.js');
 const db         = require('./db.js');
 const kube       = require('./common/kube.js');
+const sync       = require('./common/state-sync.js');
 const templates  = require('./site-templates.js');
 
+//
+// Application state hashes that have been published to each connected member site:  memberId => {stateKey: hash}
+//
+var memberState = {};
+
 const getMemberInfo_TX = async function(client, memberId) {
-    const siteResult = await client.query("SELECT MemberOf, SiteClasses FROM MemberSites WHERE Id = $1", [memberId]);
+    const siteResult = await client.query("SELECT MemberOf, SiteClasses, Lifecycle FROM MemberSites WHERE Id = $1", [memberId]);
     if (siteResult.rowCount != 1) {
         throw Error(`Member site ${memberId} not found (${siteResult.rowCount})`);
     }
+    if (siteResult.rows[0].lifecycle == 'evicted') {
+        throw Error(`Member site ${memberId} has been evicted`);
+    }
     const vanId       = siteResult.rows[0].memberof;
     const siteClasses = siteResult.rows[0].siteclasses;
 
@@ -69,13 +78,14 @@ const getAppForSite_TX = async function(client, vanId, siteClasses) {
         };
 
         //
-        // Query for every component from this application template that is allocated to this site
+        // Query for every component from this application template that is allocated to this site.  Components are
+        // allocated by site class, so a member site without site classes is allocated no components.
         //
         const cResult = await client.query(
             "SELECT Components.Id as cid, ComponentTypes.Id as ctid, Name, ImageName, DefaultImageTag, ImageTag " +
             "FROM Components " +
             "JOIN ComponentTypes ON ComponentTypes.Id = ComponentType " +
-            "WHERE ApplicationTemplate = $1 AND SiteClasses && $2",
+            "WHERE ApplicationTemplate = $1 AND SiteClasses && COALESCE($2, '{}'::text[])",
             [at.atid, siteClasses]
         );
 
@@ -94,13 +104,14 @@ const getAppForSite_TX = async function(client, vanId, siteClasses) {
                 "FROM Interfaces " +
                 "JOIN InterconnectTypes ON InterconnectTypes.Id = InterconnectType " +
                 "JOIN Bindings ON Bindings.Interfaces @> ARRAY[Interfaces.Id] " +
-                "WHERE ComponentType = $1",
-                [c.ctid]
+                "WHERE ComponentType = $1 AND Bindings.ApplicationTemplate = $2",
+                [c.ctid, at.atid]
             );
 
             for (const i of iResult.rows) {
                 let iface = {
                     id                  : i.iid,
+                    componentId         : c.cid,
                     bindingId           : i.bid,
                     role                : i.role,
                     hostNameUsed        : i.hostnameused,
@@ -121,59 +132,102 @@ const getAppForSite_TX = async function(client, vanId, siteClasses) {
     return appTemplates;
 }
 
-const classMatch = function (leftClasses, rightClasses) {
-    for (const lc of leftClasses) {
-        if (rightClasses.indexOf(lc) >= 0) {
-            return true;
-        }
+//
+// Produce the string-map data for a component's Deployment on the member site.
+//
+const podData = function(component) {
+    return {
+        name      : component.name,
+        image     : component.imageTag ? `${component.imageName}:${component.imageTag}` : component.imageName,
+        component : component.id,
+    };
+}
+
+//
+// Produce the string-map data for an interface's listener (connect) or connector (accept) ConfigMap on the member site.
+// The format is the same as that of the ConfigMaps created through the member API.
+//
+const interfaceData = function(iface) {
+    if (iface.role == 'connect') {
+        return {
+            'routing-key' : iface.address,
+            host          : iface.hostNameUsed || iface.address,
+            port          : iface.port,
+        };
+    } else if (iface.role == 'accept') {
+        return {
+            'routing-key' : iface.address,
+            port          : iface.port,
+            selector      : `${common.COMPONENT_LABEL_KEY}=${iface.componentId}`,
+        };
     }
-    return false;
+    return undefined;
 }
 
-const getStateHashesForSite_TX = async function(client, memberId, vanId, siteClasses) {
-    let stateHashes = {};
+//
+// Build the complete application state for a member site:  stateKey => [hash, data]
+//
+const getStateMapForSite_TX = async function(client, memberId, vanId, siteClasses) {
+    let stateMap = {};
     const siteData = await getAppForSite_TX(client, vanId, siteClasses);
 
-    Log('APP STATE:');
-    Log(siteData);
-
     for (const appTemplate of siteData) {
         for (const component of appTemplate.components) {
-            stateHashes[`skx-pod-${component.id}`] = templates.HashOfObjectNoChildren(component);
+            if (component.imageName) {
+                stateMap[`skx-pod-${component.id}`] = [templates.HashOfObjectNoChildren(component), podData(component)];
+            }
             for (const iface of component.interfaces) {
-                stateHashes[`skx-${iface.role}-${iface.bindingId}`] = templates.HashOfObjectNoChildren(iface);
+                const data = interfaceData(iface);
+                if (data) {
+                    stateMap[`skx-${iface.role}-${iface.bindingId}`] = [templates.HashOfObjectNoChildren(iface), data];
+                }
             }
         }
     }
 
+    return stateMap;
+}
+
+const getStateHashesForSite_TX = async function(client, memberId, vanId, siteClasses) {
+    let stateHashes = {};
+    const stateMap = await getStateMapForSite_TX(client, memberId, vanId, siteClasses);
+    for (const [key, [hash, data]] of Object.entries(stateMap)) {
+        stateHashes[key] = hash;
+    }
     return stateHashes;
 }
 
+//
+// A state key that is not in the member's state map no longer exists and is reported with a null hash.
+//
 const getStateForSite_TX = async function(client, memberId, vanId, siteClasses, stateKey) {
-    // TODO - Return [hash, data] for a particular stateKey.
+    const stateMap = await getStateMapForSite_TX(client, memberId, vanId, siteClasses);
+    if (stateMap[stateKey]) {
+        return stateMap[stateKey];
+    }
+    return [null, {}];
 }
 
-exports.onMewMember = async function(memberId, localState, remoteState) {
-    const revertLocalState  = localState;
-    const revertRemoteState = remoteState;
-
+//
+// Add the application state for a newly connected member site to the state that is synchronized to the site.
+// Application state flows from the management controller to the member, so it is local state from our point of view.
+//
+exports.onNewMember = async function(memberId, localState, remoteState) {
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
         const [vanId, siteClasses] = await getMemberInfo_TX(client, memberId);
-
         const state = await getStateHashesForSite_TX(client, memberId, vanId, siteClasses);
+        await client.query("COMMIT");
+
         for (const [key, hash] of Object.entries(state)) {
-            remoteState[key] = hash;
+            localState[key] = hash;
         }
-    
-        await client.query("COMMIT");
+        memberState[memberId] = state;
     } catch (error) {
         await client.query("ROLLBACK");
         Log(`SyncApp - Exception in new member processing: ${error.message}`);
         Log(error.stack);
-        localState  = revertLocalState;
-        remoteState = revertRemoteState;
     } finally {
         client.release();
     }
@@ -181,9 +235,79 @@ exports.onMewMember = async function(memberId, localState, remoteState) {
     return [localState, remoteState];
 }
 
+exports.onLostMember = async function(memberId) {
+    delete memberState[memberId];
+}
+
+//
+// The member has been evicted.  Withdraw all of the application state that was published to it.
+//
+exports.EvictMember = async function(memberId) {
+    const oldState = memberState[memberId];
+    if (oldState) {
+        memberState[memberId] = {};
+        for (const key of Object.keys(oldState)) {
+            await sync.UpdateLocalState(memberId, key, null);
+        }
+    }
+}
+
+//
+// The application definition has changed.  Recompute the application state for the connected members of the VAN
+// (or of all VANs if vanId is not provided) and update the state being synchronized to those members.
+//
+exports.ReconcileMembers = async function(vanId) {
+    const memberIds = Object.keys(memberState);
+    if (memberIds.length == 0) {
+        return;
+    }
+
+    var newState = {};
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const result = await client.query("SELECT Id, MemberOf, SiteClasses FROM MemberSites WHERE Id = ANY($1) AND Lifecycle != 'evicted'", [memberIds]);
+        for (const row of result.rows) {
+            if (!vanId || row.memberof == vanId) {
+                newState[row.id] = await getStateHashesForSite_TX(client, row.id, row.memberof, row.siteclasses);
+            }
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        Log(`SyncApp - Exception in member reconciliation: ${error.message}`);
+        Log(error.stack);
+        return;
+    } finally {
+        client.release();
+    }
+
+    for (const [memberId, state] of Object.entries(newState)) {
+        const oldState = memberState[memberId];
+        if (!oldState) {
+            continue;  // The member was lost while we were computing its state
+        }
+        for (const [key, hash] of Object.entries(state)) {
+            if (oldState[key] != hash) {
+                await sync.UpdateLocalState(memberId, key, hash);
+            }
+        }
+        for (const key of Object.keys(oldState)) {
+            if (!state[key]) {
+                await sync.UpdateLocalState(memberId, key, null);
+            }
+        }
+        memberState[memberId] = state;
+    }
+}
+
+//
+// Errors are thrown to the caller rather than reported as missing state.  The member would otherwise delete its copy
+// of the state on a transient failure.
+//
 exports.StateRequest = async function(memberId, stateKey) {
-    var hash = null;
-    var data = {};
+    var hash;
+    var data;
 
     const client = await db.ClientFromPool();
     try {
@@ -194,8 +318,7 @@ exports.StateRequest = async function(memberId, stateKey) {
     } catch (error) {
         await client.query("ROLLBACK");
         Log(`SyncApp - Exception in state-request for key ${stateKey}: ${error.message}`);
-        hash = null;
-        data = {};
+        throw error;
     } finally {
         client.release();
     }
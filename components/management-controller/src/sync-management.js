@@ -33,11 +33,57 @@ const db         = require('./db.js');
 const kube       = require('./common/kube.js');
 const sync       = require('./common/state-sync.js');
 const syncApp    = require('./sync-application.js');
+const policy     = require('./router-policy.js');
 const bbLinks    = require('./backbone-links.js');
 const templates  = require('./site-templates.js');
 const deployment = require('./site-deployment-state.js');
 
-var peers = {};  // {peerId: {pClass: <>, stuff}}
+var peers            = {};  // {peerId: {pClass: <>, stuff}}
+var memberLinkHashes = {};  // {memberId: {linkId: hash}} - The link state last published to each connected member
+
+//
+// The columns and joins needed to build a member's link data (see templates.MemberLinkData).  A link is drained if
+// the backbone site holding its access point has stopped heartbeating or is being drained for maintenance.
+//
+const MEMBER_LINK_COLUMNS = "EdgeLinks.Id, EdgeLinks.Priority, BackboneAccessPoints.Hostname, BackboneAccessPoints.Port, " +
+                            "(InteriorSites.Stale OR InteriorSites.Draining) as Drain";
+const MEMBER_LINK_JOINS   = "JOIN BackboneAccessPoints ON BackboneAccessPoints.Id = AccessPoint " +
+                            "JOIN InteriorSites ON InteriorSites.Id = BackboneAccessPoints.InteriorSite ";
+
+//
+// Build the state for a TLS certificate.  Along with the secret's data, the state carries the certificate's
+// rotation ordinal so the site can update its SslProfile in place.  If the issuing CA is being rotated, the
+// CA bundle also includes the CA that replaces it (or that it replaces) so that sites holding certificates
+// from either CA can continue to authenticate each other during the rotation.
+//
+const getTlsState_TX = async function(client, certId) {
+    const result = await client.query("SELECT ObjectName, SignedBy, RotationOrdinal FROM TlsCertificates WHERE Id = $1", [certId]);
+    if (result.rowCount != 1) {
+        throw Error(`TlsCertificate not found using id ${certId}`);
+    }
+    const cert   = result.rows[0];
+    const secret = await kube.LoadSecret(cert.objectname);
+    var   data   = { ...secret.data };
+
+    if (cert.signedby && data['ca.crt']) {
+        const caResult = await client.query("SELECT ObjectName FROM TlsCertificates " +
+                                            "WHERE Supercedes = $1 OR Id = (SELECT Supercedes FROM TlsCertificates WHERE Id = $1)", [cert.signedby]);
+        if (caResult.rowCount > 0) {
+            var bundle = Buffer.from(data['ca.crt'], 'base64').toString();
+            for (const ca of caResult.rows) {
+                const caSecret = await kube.LoadSecret(ca.objectname);
+                if (!bundle.endsWith('\n')) {
+                    bundle += '\n';
+                }
+                bundle += Buffer.from(caSecret.data['tls.crt'], 'base64').toString();
+            }
+            data['ca.crt'] = Buffer.from(bundle).toString('base64');
+        }
+    }
+
+    data[common.TLS_ORDINAL_KEY] = Buffer.from(`${cert.rotationordinal || 0}`).toString('base64');
+    return [templates.HashOfData(data), data];
+}
 
 
 exports.GetBackboneLinks_TX = async function(client, siteId) {
@@ -87,6 +133,7 @@ const onNewBackboneSite = async function(peerId) {
     //   - tls-server-<id> - Certificates/CAs for the backbone's access points            [ id => AccessPoint ]
     //   - access-<id>     - Access point {kind: <>, bindHost: <>, tls: <server-tls-id>}  [ id => AccessPoint ]
     //   - link-<id>       - Link {host: <>, port: <>, cost: <>}                          [ id => InterRouterLink ]
+    //   - vhost-<name>    - Router policy vhost {vhost: <json>}                          [ see router-policy.js ]
     //
     // Remote state:
     //   - accessstatus-<id> - Host/Port for an access point  {host: <>, port: <>}
@@ -108,8 +155,8 @@ const onNewBackboneSite = async function(peerId) {
             throw Error(`InteriorSite not found using id ${peerId}`);
         }
         const site = siteResult.rows[0];
-        const secret = await kube.LoadSecret(site.objectname);
-        localState[`tls-site-${peerId}`] = templates.HashOfSecret(secret);
+        const [siteHash] = await getTlsState_TX(client, site.certificate);
+        localState[`tls-site-${peerId}`] = siteHash;
 
         //
         // Find all of the access points associated with this backbone site.
@@ -124,12 +171,11 @@ const onNewBackboneSite = async function(peerId) {
                 apData.bindhost = accessPoint.bindhost;
             }
             if (accessPoint.lifecycle == 'ready') {
-                const tlsResult = await client.query("SELECT ObjectName FROM TlsCertificates WHERE Id = $1", [accessPoint.certificate]);
-                if (tlsResult.rowCount != 1) {
+                if (!accessPoint.certificate) {
                     throw Error(`Access point in ready state does not have a TlsCertificate - ${accessPoint.id}`);
                 }
-                const secret = await kube.LoadSecret(tlsResult.rows[0].objectname);
-                localState[`tls-server-${accessPoint.id}`] = templates.HashOfSecret(secret);
+                const [serverHash] = await getTlsState_TX(client, accessPoint.certificate);
+                localState[`tls-server-${accessPoint.id}`] = serverHash;
                 remoteState[`accessstatus-${accessPoint.id}`] = templates.HashOfData({
                     host : accessPoint.hostname,
                     port : accessPoint.port,
@@ -156,10 +202,10 @@ const onNewBackboneSite = async function(peerId) {
         // Update the timestamps and lifecycle on the interior site
         //
         if (site.lifecycle == 'ready') {
-            await client.query("UPDATE InteriorSites SET FirstActiveTime = CURRENT_TIMESTAMP, LastHeartbeat = CURRENT_TIMESTAMP, LifeCycle = 'active' WHERE Id = $1", [peerId]);
+            await client.query("UPDATE InteriorSites SET FirstActiveTime = CURRENT_TIMESTAMP, LastHeartbeat = CURRENT_TIMESTAMP, LifeCycle = 'active', Stale = false WHERE Id = $1", [peerId]);
             await deployment.SiteLifecycleChanged_TX(client, peerId, 'active');
         } else {
-            await client.query("UPDATE InteriorSites SET LastHeartbeat = CURRENT_TIMESTAMP WHERE Id = $1", [peerId]);
+            await client.query("UPDATE InteriorSites SET LastHeartbeat = CURRENT_TIMESTAMP, Stale = false WHERE Id = $1", [peerId]);
         }
 
         await client.query("COMMIT");
@@ -170,11 +216,30 @@ const onNewBackboneSite = async function(peerId) {
     } finally {
         client.release();
     }
+
+    [localState, remoteState] = await policy.onNewBackboneSite(peerId, localState, remoteState);
+
     return [localState, remoteState];
 }
 
 const onLostBackbone = async function(peerId) {
-    // Nothing to do here - Consider adding status to the schema to indicate a stale site
+    //
+    // The site has stopped heartbeating.  Mark it stale so the condition is visible through the API.
+    //
+    Log(`Lost contact with backbone site: ${peerId}`);
+    await policy.onLostBackboneSite(peerId);
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        await client.query("UPDATE InteriorSites SET Stale = true WHERE Id = $1", [peerId]);
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        Log(`Exception in onLostBackbone processing: ${error.message}`);
+        Log(error.stack);
+    } finally {
+        client.release();
+    }
 }
 
 const onStateChangeBackbone = async function(peerId, stateKey, hash, data) {
@@ -212,13 +277,9 @@ const getStateTlsBackboneSite = async function(siteId) {
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT TlsCertificates.ObjectName FROM InteriorSites " +
-                                          "JOIN TlsCertificates ON TlsCertificates.Id = Certificate " +
-                                          "WHERE InteriorSites.Id = $1", [siteId]);
+        const result = await client.query("SELECT Certificate FROM InteriorSites WHERE Id = $1 AND Certificate IS NOT NULL", [siteId]);
         if (result.rowCount == 1) {
-            const secret = await kube.LoadSecret(result.rows[0].objectname);
-            hash = templates.HashOfSecret(secret);
-            data = secret.data;
+            [hash, data] = await getTlsState_TX(client, result.rows[0].certificate);
         }
         await client.query("COMMIT");
     } catch (error) {
@@ -237,13 +298,9 @@ const getStateTlsMemberSite = async function(siteId) {
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT TlsCertificates.ObjectName FROM MemberSites " +
-                                          "JOIN TlsCertificates ON TlsCertificates.Id = Certificate " +
-                                          "WHERE MemberSites.Id = $1", [siteId]);
+        const result = await client.query("SELECT Certificate FROM MemberSites WHERE Id = $1 AND Certificate IS NOT NULL", [siteId]);
         if (result.rowCount == 1) {
-            const secret = await kube.LoadSecret(result.rows[0].objectname);
-            hash = templates.HashOfSecret(secret);
-            data = secret.data;
+            [hash, data] = await getTlsState_TX(client, result.rows[0].certificate);
         }
         await client.query("COMMIT");
     } catch (error) {
@@ -262,13 +319,9 @@ const getStateTlsServer = async function(apid) {
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT TlsCertificates.ObjectName FROM BackboneAccessPoints " +
-                                          "JOIN TlsCertificates ON TlsCertificates.Id = Certificate " + 
-                                          "WHERE BackboneAccessPoints.Id = $1", [apid]);
+        const result = await client.query("SELECT Certificate FROM BackboneAccessPoints WHERE Id = $1 AND Certificate IS NOT NULL", [apid]);
         if (result.rowCount == 1) {
-            const secret = await kube.LoadSecret(result.rows[0].objectname);
-            hash = templates.HashOfSecret(secret);
-            data = secret.data;
+            [hash, data] = await getTlsState_TX(client, result.rows[0].certificate);
         }
         await client.query("COMMIT");
     } catch (error) {
@@ -344,16 +397,10 @@ const getStateMemberLink = async function(linkId) {
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT BackboneAccessPoints.Hostname, BackboneAccessPoints.Port FROM EdgeLinks " +
-                                          "JOIN BackboneAccessPoints ON BackboneAccessPoints.Id = AccessPoint " +
-                                          "WHERE EdgeLinks.Id = $1 AND Lifecycle = 'ready'", [linkId]);
+        const result = await client.query("SELECT " + MEMBER_LINK_COLUMNS + " FROM EdgeLinks " + MEMBER_LINK_JOINS +
+                                          "WHERE EdgeLinks.Id = $1 AND BackboneAccessPoints.Lifecycle = 'ready'", [linkId]);
         if (result.rowCount == 1) {
-            const link = result.rows[0];
-            data = {
-                host : link.hostname,
-                port : link.port,
-                cost : '1',
-            };
+            data = templates.MemberLinkData(result.rows[0]);
             hash = templates.HashOfData(data);
         }
         await client.query("COMMIT");
@@ -379,6 +426,8 @@ const onStateRequestBackbone = async function(peerId, stateKey) { // => [hash, d
         [hash, data] = await getStateAccessPoint(stateKey.substring(7));
     } else if (stateKey.substring(0, 5) == 'link-') {
         [hash, data] = await getStateBackboneLink(stateKey.substring(5));
+    } else if (stateKey.substring(0, 6) == 'vhost-') {
+        [hash, data] = await policy.StateRequest(peerId, stateKey);
     } else {
         Log(`Invalid stateKey for onStateRequestBackbone processing: ${stateKey}`);
     }
@@ -395,9 +444,11 @@ const onNewMember = async function(peerId) {
     //
     // Local state:
     //   - tls-site-<id>   - The client certificate/ca for the backbone router            [ id => Site ]
-    //   - link-<id>       - Link {host: <>, port: <>, cost: <>}                          [ id => InterRouterLink ]
+    //   - link-<id>       - Link {host: <>, port: <>, cost: <>, priority: <>, drain: <>} [ id => EdgeLink ]
     //
-    // Remote state: none
+    // Remote state:
+    //   - service-<name>  - A listener or connector on the site                          [ name => MemberServices.StateKey ]
+    //   - uplink-active   - The edge link the site is attached through {link: <>}        [ => MemberSites.ActiveAccessPoint ]
     //
     Log(`Detected new member site: ${peerId}`);
     var localState  = {};
@@ -410,37 +461,55 @@ const onNewMember = async function(peerId) {
         // Query for the site's client certificate
         //
         const siteResult = await client.query("SELECT Lifecycle, FirstActiveTime, Certificate, TlsCertificates.ObjectName FROM MemberSites " +
-                                              "JOIN TlsCertificates ON TlsCertificates.Id = MemberSites.Certificate " +
+                                              "LEFT OUTER JOIN TlsCertificates ON TlsCertificates.Id = MemberSites.Certificate " +
                                               "WHERE MemberSites.Id = $1", [peerId]);
         if (siteResult.rowCount != 1) {
             throw Error(`MemberSite not found using id ${peerId}`);
         }
         const site = siteResult.rows[0];
-        const secret = await kube.LoadSecret(site.objectname);
-        localState[`tls-site-${peerId}`] = templates.HashOfSecret(secret);
+
+        //
+        // An evicted member gets no state.  Any state it still holds is withdrawn.
+        //
+        if (site.lifecycle == 'evicted') {
+            Log(`Member site ${peerId} has been evicted, no state will be synchronized`);
+            await client.query("COMMIT");
+            return [localState, remoteState];
+        }
+        if (!site.certificate) {
+            throw Error(`MemberSite ${peerId} has no certificate`);
+        }
+        const [siteHash] = await getTlsState_TX(client, site.certificate);
+        localState[`tls-site-${peerId}`] = siteHash;
 
         //
         // Find the links from this member site.
         //
-        const linkResult = await client.query("SELECT EdgeLinks.Id, BackboneAccessPoints.Lifecycle, BackboneAccessPoints.Hostname, BackboneAccessPoints.Port FROM EdgeLinks " +
-                                              "JOIN BackboneAccessPoints ON BackboneAccessPoints.Id = AccessPoint " +
+        const linkResult = await client.query("SELECT " + MEMBER_LINK_COLUMNS + " FROM EdgeLinks " + MEMBER_LINK_JOINS +
                                               "JOIN MemberSites ON MemberSites.Invitation = EdgeToken " +
                                               "WHERE MemberSites.Id = $1 AND BackboneAccessPoints.Lifecycle = 'ready'", [peerId]);
+        memberLinkHashes[peerId] = {};
         for (const link of linkResult.rows) {
-            localState[`link-${link.id}`] = templates.HashOfData({
-                host : link.hostname,
-                port : link.port,
-                cost : '1',
-            });
+            const hash = templates.HashOfData(templates.MemberLinkData(link));
+            localState[`link-${link.id}`]    = hash;
+            memberLinkHashes[peerId][link.id] = hash;
+        }
+
+        //
+        // Find the services previously reported by this member site.
+        //
+        const serviceResult = await client.query("SELECT StateKey, StateHash FROM MemberServices WHERE MemberSite = $1", [peerId]);
+        for (const service of serviceResult.rows) {
+            remoteState[service.statekey] = service.statehash;
         }
 
         //
         // Update the timestamps and lifecycle on the member site
         //
         if (site.lifecycle == 'ready') {
-            await client.query("UPDATE MemberSites SET FirstActiveTime = CURRENT_TIMESTAMP, LastHeartbeat = CURRENT_TIMESTAMP, LifeCycle = 'active' WHERE Id = $1", [peerId]);
+            await client.query("UPDATE MemberSites SET FirstActiveTime = CURRENT_TIMESTAMP, LastHeartbeat = CURRENT_TIMESTAMP, LifeCycle = 'active', Stale = false WHERE Id = $1", [peerId]);
         } else {
-            await client.query("UPDATE MemberSites SET LastHeartbeat = CURRENT_TIMESTAMP WHERE Id = $1", [peerId]);
+            await client.query("UPDATE MemberSites SET LastHeartbeat = CURRENT_TIMESTAMP, Stale = false WHERE Id = $1", [peerId]);
         }
 
         await client.query("COMMIT");
@@ -455,17 +524,75 @@ const onNewMember = async function(peerId) {
     //
     // Add any required state for the member's application content
     //
-    [localState, remoteState] = syncApp.onMewMember(peerId, localState, remoteState);
+    [localState, remoteState] = await syncApp.onNewMember(peerId, localState, remoteState);
 
     return [localState, remoteState];
 }
 
 const onLostMember = async function(peerId) {
-    // TODO
+    //
+    // The site has stopped heartbeating.  Mark it stale so the condition is visible through the API.
+    //
+    Log(`Lost contact with member site: ${peerId}`);
+    delete memberLinkHashes[peerId];
+    await syncApp.onLostMember(peerId);
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        await client.query("UPDATE MemberSites SET Stale = true, ActiveAccessPoint = NULL WHERE Id = $1", [peerId]);
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        Log(`Exception in onLostMember processing: ${error.message}`);
+        Log(error.stack);
+    } finally {
+        client.release();
+    }
 }
 
 const onStateChangeMember = async function(peerId, stateKey, hash, data) {
-    // There is no local state on a member site
+    //
+    // The member site reports its service inventory.  Replace the stored entry for the state key.
+    //
+    if (stateKey.substring(0, 8) == 'service-') {
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            await client.query("DELETE FROM MemberServices WHERE MemberSite = $1 AND StateKey = $2", [peerId, stateKey]);
+            if (hash) {
+                await client.query("INSERT INTO MemberServices (MemberSite, StateKey, StateHash, Kind, RoutingKey, Host, Port, Selector, Endpoints) " +
+                                   "VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)",
+                                   [peerId, stateKey, hash, data.kind, data['routing-key'], data.host, data.port, data.selector,
+                                    data.endpoints === undefined ? null : parseInt(data.endpoints)]);
+            }
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            Log(`Exception in onStateChangeMember processing: ${error.message}`);
+            Log(error.stack);
+        } finally {
+            client.release();
+        }
+    } else if (stateKey == 'uplink-active') {
+        //
+        // The member site reports the edge link through which it is attached to the backbone.
+        //
+        const client = await db.ClientFromPool();
+        try {
+            await client.query("BEGIN");
+            await client.query("UPDATE MemberSites SET ActiveAccessPoint = (SELECT AccessPoint FROM EdgeLinks WHERE Id = $2) WHERE Id = $1",
+                               [peerId, hash && data.link ? data.link : null]);
+            await client.query("COMMIT");
+        } catch (error) {
+            await client.query("ROLLBACK");
+            Log(`Exception in onStateChangeMember processing: ${error.message}`);
+            Log(error.stack);
+        } finally {
+            client.release();
+        }
+    } else {
+        Log(`Unexpected state-key ${stateKey} in onStateChangeMember`);
+    }
 }
 
 const onStateRequestMember = async function(peerId, stateKey) {
@@ -583,14 +710,11 @@ exports.SiteCertificateChanged = async function(certId) {
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT InteriorSites.Id, TlsCertificates.ObjectName FROM InteriorSites " +
-                                          "JOIN TlsCertificates ON TlsCertificates.Id = InteriorSites.Certificate " +
-                                          "WHERE Certificate = $1", [certId]);
+        const result = await client.query("SELECT Id FROM InteriorSites WHERE Certificate = $1", [certId]);
         if (result.rowCount == 1) {
             const site = result.rows[0];
             if (peers[site.id]) {
-                const secret = await kube.LoadSecret(site.objectname);
-                const hash = templates.HashOfSecret(secret);
+                const [hash] = await getTlsState_TX(client, certId);
                 await sync.UpdateLocalState(site.id, `tls-site-${site.id}`, hash);
             }
         }
@@ -610,15 +734,11 @@ exports.AccessCertificateChanged = async function(certId) {
     const client = await db.ClientFromPool();
     try {
         await client.query("BEGIN");
-        const result = await client.query("SELECT BackboneAccessPoints.Id as apid, InteriorSites.Id, TlsCertificates.ObjectName FROM BackboneAccessPoints " +
-                                          "JOIN InteriorSites ON InteriorSites.id = InteriorSite " +
-                                          "JOIN TlsCertificates ON TlsCertificates.Id = BackboneAccessPoints.Certificate " +
-                                          "WHERE BackboneAccessPoints.Certificate = $1", [certId]);
+        const result = await client.query("SELECT Id as apid, InteriorSite as id FROM BackboneAccessPoints WHERE Certificate = $1", [certId]);
         if (result.rowCount == 1) {
             const row = result.rows[0];
             if (peers[row.id]) {
-                const secret = await kube.LoadSecret(row.objectname);
-                const hash = templates.HashOfSecret(secret);
+                const [hash] = await getTlsState_TX(client, certId);
                 await sync.UpdateLocalState(row.id, `tls-server-${row.apid}`, hash);
             }
         }
@@ -631,6 +751,109 @@ exports.AccessCertificateChanged = async function(certId) {
     }
 }
 
+exports.MemberCertificateChanged = async function(certId) {
+    //
+    // Update the tls-site-<id> hash for the one affected member site
+    //
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const result = await client.query("SELECT Id FROM MemberSites WHERE Certificate = $1", [certId]);
+        if (result.rowCount == 1) {
+            const site = result.rows[0];
+            if (peers[site.id]) {
+                const [hash] = await getTlsState_TX(client, certId);
+                await sync.UpdateLocalState(site.id, `tls-site-${site.id}`, hash);
+            }
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        Log(`Exception in MemberCertificateChanged: ${error.message}`);
+        await client.query("ROLLBACK");
+    } finally {
+        client.release();
+    }
+}
+
+//
+// Evict member sites from their application network.  The members' certificates are released so the prune module
+// deletes them along with their Kubernetes objects, and any outstanding requests for their certificates are
+// cancelled.  Evicted members are excluded from the backbone's member policy, which causes their edge connections
+// to be refused.  Once committed, call MemberEvicted for each member to withdraw its synchronized state.
+//
+exports.EvictMembers_TX = async function(client, memberIds, failure) {
+    await client.query("DELETE FROM CertificateRequests WHERE Site = ANY($1)", [memberIds]);
+    await client.query("UPDATE MemberSites SET Lifecycle = 'evicted', Failure = $2, Certificate = NULL WHERE Id = ANY($1)", [memberIds, failure]);
+}
+
+exports.MemberEvicted = async function(memberId) {
+    //
+    // Withdraw all of the state published to the evicted member site:  its client certificate, its links to the
+    // backbone, and its application state.  Without its certificate and links, the site's router disconnects.
+    //
+    if (!peers[memberId]) {
+        return;
+    }
+    delete memberLinkHashes[memberId];
+
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const linkResult = await client.query("SELECT EdgeLinks.Id FROM EdgeLinks " +
+                                              "JOIN MemberSites ON MemberSites.Invitation = EdgeToken " +
+                                              "WHERE MemberSites.Id = $1", [memberId]);
+        await client.query("COMMIT");
+
+        await sync.UpdateLocalState(memberId, `tls-site-${memberId}`, null);
+        for (const link of linkResult.rows) {
+            await sync.UpdateLocalState(memberId, `link-${link.id}`, null);
+        }
+        await syncApp.EvictMember(memberId);
+    } catch (error) {
+        Log(`Exception in MemberEvicted: ${error.message}`);
+        await client.query("ROLLBACK");
+    } finally {
+        client.release();
+    }
+}
+
+exports.CertificateAuthorityChanged = async function(oldCaId) {
+    //
+    // A CA has been replaced.  The CA bundles of all certificates signed by the old or the new CA have changed.
+    // Update the tls-site-<id> and tls-server-<id> hashes for the connected sites that hold such certificates.
+    //
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const signedBy = "TlsCertificates.SignedBy = $1 OR TlsCertificates.SignedBy IN (SELECT Id FROM TlsCertificates WHERE Supercedes = $1)";
+        const siteResult = await client.query("SELECT InteriorSites.Id, Certificate FROM InteriorSites " +
+                                              "JOIN TlsCertificates ON TlsCertificates.Id = Certificate WHERE " + signedBy, [oldCaId]);
+        const memberResult = await client.query("SELECT MemberSites.Id, Certificate FROM MemberSites " +
+                                                "JOIN TlsCertificates ON TlsCertificates.Id = Certificate WHERE " + signedBy, [oldCaId]);
+        for (const site of siteResult.rows.concat(memberResult.rows)) {
+            if (peers[site.id]) {
+                const [hash] = await getTlsState_TX(client, site.certificate);
+                await sync.UpdateLocalState(site.id, `tls-site-${site.id}`, hash);
+            }
+        }
+
+        const apResult = await client.query("SELECT BackboneAccessPoints.Id, InteriorSite, Certificate FROM BackboneAccessPoints " +
+                                            "JOIN TlsCertificates ON TlsCertificates.Id = Certificate WHERE " + signedBy, [oldCaId]);
+        for (const ap of apResult.rows) {
+            if (peers[ap.interiorsite]) {
+                const [hash] = await getTlsState_TX(client, ap.certificate);
+                await sync.UpdateLocalState(ap.interiorsite, `tls-server-${ap.id}`, hash);
+            }
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        Log(`Exception in CertificateAuthorityChanged: ${error.message}`);
+        await client.query("ROLLBACK");
+    } finally {
+        client.release();
+    }
+}
+
 exports.SiteIngressChanged = async function(siteId, accessPointId) {
     //
     // Update the access-<id> hash for the one affected site
@@ -666,12 +889,13 @@ exports.LinkChanged = async function(connectingSiteId, linkId) {
     // Update the link-<id> hash for the one affected connecting site
     //
     if (peers[connectingSiteId]) {
+        const client = await db.ClientFromPool();
         try {
             let hash = null;
             await client.query("BEGIN");
             const result = await client.query("SELECT Cost, BackboneAccessPoints.Hostname, BackboneAccessPoints.Port FROM InterRouterLinks " +
                                               "JOIN BackboneAccessPoints ON BackboneAccessPoints.Id = AccessPoint " +
-                                              "WHERE Id = $1", [linkId]);
+                                              "WHERE InterRouterLinks.Id = $1 AND Lifecycle = 'ready'", [linkId]);
             if (result.rowCount == 1) {
                 const row = result.rows[0];
                 var link = {
@@ -714,7 +938,109 @@ exports.NewIngressAvailable = async function(siteId) {
     }
 }
 
+//
+// Backbone sites have changed (they went stale or recovered, or were drained or resumed).  Republish the link state
+// for any connected member whose links now carry different drain indications so the member can move to a better
+// access point.
+//
+const reconcileMemberLinks = async function() {
+    const memberIds = Object.keys(memberLinkHashes);
+    if (memberIds.length == 0) {
+        return;
+    }
+
+    var changes = [];
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        const result = await client.query("SELECT MemberSites.Id as memberid, " + MEMBER_LINK_COLUMNS + " FROM EdgeLinks " + MEMBER_LINK_JOINS +
+                                          "JOIN MemberSites ON MemberSites.Invitation = EdgeToken " +
+                                          "WHERE MemberSites.Id = ANY($1) AND BackboneAccessPoints.Lifecycle = 'ready'", [memberIds]);
+        for (const link of result.rows) {
+            const hash = templates.HashOfData(templates.MemberLinkData(link));
+            const published = memberLinkHashes[link.memberid];
+            if (published && published[link.id] != hash) {
+                published[link.id] = hash;
+                changes.push([link.memberid, link.id, hash]);
+            }
+        }
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        Log(`Exception in reconcileMemberLinks: ${error.message}`);
+        Log(error.stack);
+    } finally {
+        client.release();
+    }
+
+    for (const [memberId, linkId, hash] of changes) {
+        Log(`Updating link ${linkId} for member site ${memberId}`);
+        await sync.UpdateLocalState(memberId, `link-${linkId}`, hash);
+    }
+}
+
+//=========================================================================================================================
+// Persistent storage for the peers' sync state
+//=========================================================================================================================
+const loadSyncPeers = async function() {
+    var records = {};
+    const client = await db.ClientFromPool();
+    try {
+        const result = await client.query("SELECT PeerId, PeerClass, Version, Capabilities, RemoteState FROM SyncPeers");
+        for (const row of result.rows) {
+            records[row.peerid] = {
+                peerClass    : row.peerclass,
+                version      : row.version,
+                capabilities : row.capabilities || [],
+                remoteState  : row.remotestate || {},
+            };
+        }
+    } finally {
+        client.release();
+    }
+    return records;
+}
+
+const saveSyncPeer = async function(peerId, record) {
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        await client.query("INSERT INTO SyncPeers (PeerId, PeerClass, Version, Capabilities, RemoteState, UpdateTime) " +
+                           "VALUES ($1, $2, $3, $4, $5, now()) " +
+                           "ON CONFLICT (PeerId) DO UPDATE SET PeerClass = $2, Version = $3, Capabilities = $4, RemoteState = $5, UpdateTime = now()",
+                           [peerId, record.peerClass, record.version, record.capabilities, JSON.stringify(record.remoteState)]);
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+const deleteSyncPeer = async function(peerId) {
+    const client = await db.ClientFromPool();
+    try {
+        await client.query("BEGIN");
+        await client.query("DELETE FROM SyncPeers WHERE PeerId = $1", [peerId]);
+        await client.query("COMMIT");
+    } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+const syncStore = {
+    Load   : loadSyncPeers,
+    Save   : saveSyncPeer,
+    Delete : deleteSyncPeer,
+};
+
 exports.Start = async function() {
-    await sync.Start(sync.CLASS_MANAGEMENT, 'mc', common.API_CONTROLLER_ADDRESS, onNewPeer, onPeerLost, onStateChange, onStateRequest, onPing);
+    await sync.Start(sync.CLASS_MANAGEMENT, 'mc', common.API_CONTROLLER_ADDRESS, onNewPeer, onPeerLost, onStateChange, onStateRequest, onPing, syncStore);
     await bbLinks.RegisterHandler(onLinkAdded, onLinkDeleted);
+    await policy.Start();
+    db.ReconcileOnChange(['InteriorSites'], reconcileMemberLinks);
 }
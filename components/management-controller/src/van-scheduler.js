@@ -0,0 +1,134 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+"use strict";
+
+//
+// This module carries application networks through their scheduled lifetimes:
+//
+//   Before StartTime                 The network is held in the 'scheduled' state.  Its CA is not issued, so no
+//                                    invitations or members can be processed.
+//   At StartTime                     The network moves to 'new' and is set up by the certificate module.
+//   At EndTime                       The network is deactivated ('expired').  Its members are evicted, which withdraws
+//                                    their links and certificates, and its invitations are expired.
+//   At EndTime plus DeleteDelay      The network and everything in it is deleted.
+//
+// Networks without an EndTime run until they are deleted through the API.
+//
+
+const Log  = require('./common/log.js').Log;
+const db   = require('./db.js');
+const sync = require('./sync-management.js');
+
+//
+// Move one network to its next scheduled state.  Returns the Ids of any member sites that were evicted,
+// or null if no network was due for a transition.
+//
+const transition_TX = async function(client) {
+    var result = await client.query("SELECT Id, Name, StartTime FROM ApplicationNetworks WHERE Lifecycle = 'new' AND StartTime > now() AND (EndTime IS NULL OR EndTime > now()) LIMIT 1");
+    if (result.rowCount == 1) {
+        const van = result.rows[0];
+        await client.query("UPDATE ApplicationNetworks SET Lifecycle = 'scheduled', Failure = NULL WHERE Id = $1", [van.id]);
+        Log(`Application network ${van.name} scheduled to start at ${van.starttime.toISOString()}`);
+        return [];
+    }
+
+    result = await client.query("SELECT Id, Name FROM ApplicationNetworks WHERE Lifecycle = 'scheduled' AND StartTime <= now() AND (EndTime IS NULL OR EndTime > now()) LIMIT 1");
+    if (result.rowCount == 1) {
+        const van = result.rows[0];
+        await client.query("UPDATE ApplicationNetworks SET Lifecycle = 'new', Failure = NULL WHERE Id = $1", [van.id]);
+        Log(`Application network ${van.name} started`);
+        return [];
+    }
+
+    result = await client.query("SELECT Id, Name, EndTime FROM ApplicationNetworks WHERE Lifecycle != 'expired' AND EndTime <= now() LIMIT 1");
+    if (result.rowCount == 1) {
+        const van     = result.rows[0];
+        const failure = `Application network ended at ${van.endtime.toISOString()}`;
+        const members = await client.query("SELECT Id FROM MemberSites WHERE MemberOf = $1 AND Lifecycle != 'evicted'", [van.id]);
+        const memberIds = members.rows.map(row => row.id);
+        if (memberIds.length > 0) {
+            await sync.EvictMembers_TX(client, memberIds, failure);
+        }
+        await client.query("DELETE FROM CertificateRequests WHERE ApplicationNetwork = $1 OR Invitation IN (SELECT Id FROM MemberInvitations WHERE MemberOf = $1)", [van.id]);
+        await client.query("UPDATE MemberInvitations SET Lifecycle = 'expired', Failure = $2, Certificate = NULL WHERE MemberOf = $1", [van.id, failure]);
+        await client.query("UPDATE ApplicationNetworks SET Lifecycle = 'expired', Failure = $2, Certificate = NULL WHERE Id = $1", [van.id, failure]);
+        Log(`Application network ${van.name} ended, evicted ${memberIds.length} member site(s)`);
+        return memberIds;
+    }
+
+    result = await client.query("SELECT Id, Name FROM ApplicationNetworks WHERE Lifecycle = 'expired' AND EndTime + COALESCE(DeleteDelay, '0 minutes') <= now() LIMIT 1");
+    if (result.rowCount == 1) {
+        const van = result.rows[0];
+        await client.query("DELETE FROM Applications WHERE ApplicationNetwork = $1", [van.id]);
+        await client.query("DELETE FROM ApplicationNetworks WHERE Id = $1", [van.id]);
+        Log(`Application network ${van.name} deleted after its end time`);
+        return [];
+    }
+
+    return null;
+}
+
+//
+// The number of milliseconds until the next scheduled transition, or undefined if nothing is scheduled.
+//
+const nextTransition_TX = async function(client) {
+    const result = await client.query(
+        "SELECT EXTRACT(EPOCH FROM MIN(due) - now()) as wait FROM (" +
+        "SELECT StartTime as due FROM ApplicationNetworks WHERE Lifecycle = 'scheduled' " +
+        "UNION SELECT EndTime FROM ApplicationNetworks WHERE Lifecycle != 'expired' " +
+        "UNION SELECT EndTime + COALESCE(DeleteDelay, '0 minutes') FROM ApplicationNetworks WHERE Lifecycle = 'expired') as schedule " +
+        "WHERE due > now()");
+    if (result.rows[0].wait === null) {
+        return undefined;
+    }
+    return Math.ceil(parseFloat(result.rows[0].wait) * 1000);
+}
+
+const processSchedule = async function() {
+    var reschedule_delay;
+    var evicted = [];
+    const client = await db.ClientFromPool();
+    try {
+        await client.query('BEGIN');
+        const memberIds = await transition_TX(client);
+        if (memberIds) {
+            evicted = memberIds;
+            reschedule_delay = 0;
+        } else {
+            reschedule_delay = await nextTransition_TX(client);
+        }
+        await client.query('COMMIT');
+    } catch (err) {
+        Log(`Rolling back network-schedule transaction: ${err.stack}`);
+        await client.query('ROLLBACK');
+        reschedule_delay = 10000;
+    } finally {
+        client.release();
+    }
+
+    for (const memberId of evicted) {
+        await sync.MemberEvicted(memberId);
+    }
+    return reschedule_delay;
+}
+
+exports.Start = async function() {
+    Log('[Application network scheduler starting]');
+    db.ReconcileOnChange(['ApplicationNetworks'], processSchedule);
+}
@@ -23,6 +23,7 @@ const formidable = require('formidable');
 const Log        = require('./common/log.js').Log;
 const util       = require('./common/util.js');
 const kube       = require('./common/kube.js');
+const common     = require('./common/common.js');
 
 const API_PREFIX = '/api/v1alpha1/';
 
@@ -33,7 +34,7 @@ const listenerObject = function(name, routingKey, host, port) {
         metadata   : {
             name   : name,
             labels : {
-                'skupper.io/type' : 'listener',
+                [common.INTERFACE_TYPE_LABEL] : common.INTERFACE_TYPE_LISTENER,
             },
         },
         data: {
@@ -53,7 +54,7 @@ const connectorObject = function(name, routingKey, port, selector) {
         metadata   : {
             name   : name,
             labels : {
-                'skupper.io/type' : 'connector',
+                [common.INTERFACE_TYPE_LABEL] : common.INTERFACE_TYPE_CONNECTOR,
             },
         },
         data: {
@@ -0,0 +1,84 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module determines which functions this site controller performs.  The capabilities are independent so a
+// single site (and router) can serve as a backbone site, host a member site, or both.
+//
+//   backbone-enabled : The router is an interior router in a backbone.  Access-points, ingress, and inter-router links
+//                      are managed and the controller synchronizes with the management controller as a backbone site.
+//   member-enabled   : The site hosts a member of an application network.  The member API is offered and the controller
+//                      synchronizes with the management controller as a member site.
+//   claim-enabled    : The site may assert an invitation claim to become a member of an application network.
+//
+
+const common = require('./common/common.js');
+const kube   = require('./common/kube.js');
+
+//
+// Older deployments select between backbone and member operation with SKX_BACKBONE.  If it is present, it provides
+// the defaults for the individual capabilities.
+//
+const LEGACY_BACKBONE = (process.env.SKX_BACKBONE || 'NO') == 'YES';
+
+const capability = function(envName, defaultValue) {
+    const value = process.env[envName];
+    return value ? value == 'YES' : defaultValue;
+}
+
+const BACKBONE_ENABLED = capability('SKX_BACKBONE_ENABLED', LEGACY_BACKBONE);
+const MEMBER_ENABLED   = capability('SKX_MEMBER_ENABLED',   !LEGACY_BACKBONE);
+const CLAIM_ENABLED    = capability('SKX_CLAIM_ENABLED',    !LEGACY_BACKBONE);
+
+exports.BackboneEnabled = function() {
+    return BACKBONE_ENABLED;
+}
+
+exports.MemberEnabled = function() {
+    return MEMBER_ENABLED;
+}
+
+exports.ClaimEnabled = function() {
+    return CLAIM_ENABLED;
+}
+
+exports.Describe = function() {
+    let list = [];
+    if (BACKBONE_ENABLED) {
+        list.push('backbone');
+    }
+    if (MEMBER_ENABLED) {
+        list.push('member');
+    }
+    if (CLAIM_ENABLED) {
+        list.push('claim');
+    }
+    return list.length > 0 ? list.join(', ') : '<none>';
+}
+
+//
+// Determine which of the site's identities owns a synchronized object.  Objects without an owner annotation were
+// created before identities could be co-located and belong to the site's primary identity.
+//
+exports.StateOwner = function(obj) {
+    return kube.Annotation(obj, common.META_ANNOTATION_STATE_OWNER) ||
+        (BACKBONE_ENABLED ? common.STATE_OWNER_BACKBONE : common.STATE_OWNER_MEMBER);
+}
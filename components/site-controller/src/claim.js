@@ -37,7 +37,7 @@ const CLAIM_REQUEST_TIMEOUT_SECONDS = 30;
 
 var claimState = {
     interactive : true,
-    status      : 'awaiting-name',  // processing, joined, failed
+    status      : 'awaiting-name',  // processing, pending, joined, failed
     namePrefix  : '',
     siteName    : null,
     failure     : null,
@@ -84,9 +84,28 @@ const startClaim = async function(configMap, secret) {
     let claimSender     = await amqp.OpenSender('Claim', claimConnection, common.CLAIM_ASSERT_ADDRESS);
 
     //
-    // Send the claim-assert request to the management controller
+    // Send the claim-assert request to the management controller.  While the claim is pending (i.e. awaiting the owner's
+    // approval), keep re-asserting it.  The pending member-id is stored in the claim config-map so a restarted controller
+    // continues the same claim rather than making a new one.
     //
-    const [ap, response] = await amqp.Request(claimSender, protocol.AssertClaim(claimId, claimState.siteName), {}, null, CLAIM_REQUEST_TIMEOUT_SECONDS);
+    var pendingMember = configMap.data.pendingMember;
+    var response;
+    while (true) {
+        [, response] = await amqp.Request(claimSender, protocol.AssertClaim(claimId, claimState.siteName, pendingMember), {}, null, CLAIM_REQUEST_TIMEOUT_SECONDS);
+        if (response.statusCode != protocol.CLAIM_STATUS_PENDING) {
+            break;
+        }
+        if (claimState.status != 'pending') {
+            Log(`Claim pending: ${response.statusDescription}`);
+            claimState.status = 'pending';
+        }
+        if (pendingMember != response.siteId) {
+            pendingMember = response.siteId;
+            configMap.data.pendingMember = pendingMember;
+            await kube.ReplaceConfigmap(CLAIM_CONFIG_MAP_NAME, configMap);
+        }
+    }
+
     if (response.statusCode != 200) {
         throw(Error(`Claim Rejected: ${response.statusCode} - ${response.statusDescription}`));
     }
@@ -94,11 +113,13 @@ const startClaim = async function(configMap, secret) {
     claimState.status = 'joined';
 
     //
-    // Create the objects needed to establish member connectivity
+    // Create the objects needed to establish member connectivity.  Mark them as member state so they can be told apart
+    // from backbone state if this site is also a backbone site.
     //
-    await kube.ApplyObject(response.siteClient);
-    for (const link of response.outgoingLinks) {
-        await kube.ApplyObject(link);
+    for (const obj of [response.siteClient, ...response.outgoingLinks]) {
+        obj.metadata.annotations = obj.metadata.annotations || {};
+        obj.metadata.annotations[common.META_ANNOTATION_STATE_OWNER] = common.STATE_OWNER_MEMBER;
+        await kube.ApplyObject(obj);
     }
 
     //
@@ -192,6 +213,20 @@ const checkClaimState = async function() {
     return siteId;
 }
 
+//
+// Return the member site-id established by a previously accepted claim, or undefined if there is none.
+//
+exports.AcceptedSiteId = async function () {
+    try {
+        const memberConfigMap = await kube.LoadConfigmap(common.MEMBER_CONFIG_MAP_NAME);
+        if (kube.Controlled(memberConfigMap)) {
+            return memberConfigMap.data.siteId;
+        }
+    } catch (error) {}
+
+    return undefined;
+}
+
 exports.GetClaimState = function () {
     return claimState;
 }
@@ -0,0 +1,179 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module guards the integrity of the router's configuration.
+//
+// At startup, the signature on the router's initial configuration (if it was signed by the management controller)
+// is verified against the site's certificate authority.  The configuration digest, signature, signing certificate,
+// and the digests of the pod's images are offered as connection properties on the router's outgoing links so peers can
+// refuse links from routers whose configuration was altered.  If the configuration fails verification, the router
+// establishes no links.
+//
+// The CA that issued the signing certificate is delivered with the site's bootstrap material, in the controller's
+// environment (SKX_CONFIG_SIGNER_CA).  The site's CA bundle stops carrying that CA once it has been rotated and retired,
+// but the configuration, which was signed at deployment, remains verifiable against the CA it was signed under.
+// Sites deployed without it are verified against the CA bundle in the site's secret.
+//
+// After startup, the router's configuration is watched.  If it is altered, the router is shut down by deleting the pod.
+// The router only reads its configuration at startup, so an altered configuration would otherwise take effect at the
+// next restart.
+//
+
+const Log             = require('./common/log.js').Log;
+const kube            = require('./common/kube.js');
+const common          = require('./common/common.js');
+const configSignature = require('./common/config-signature.js');
+
+const CONFIG_KEY = 'skrouterd.json';
+const SIGNER_CA  = process.env.SKX_CONFIG_SIGNER_CA;
+
+var initialDigest;
+var connectionProperties;
+var linksRefused = false;
+var shuttingDown = false;
+
+const configText = function(configMap) {
+    return (configMap.data ? configMap.data[CONFIG_KEY] : undefined) || '';
+}
+
+const trustedCa = async function(siteId) {
+    if (SIGNER_CA) {
+        return Buffer.from(SIGNER_CA, 'base64').toString();
+    }
+    const secret = await kube.LoadSecret(`skx-site-${siteId}`);
+    return Buffer.from(secret.data['ca.crt'], 'base64').toString();
+}
+
+//
+// Verify the signed digest of the router configuration.  Returns false if the configuration is not signed.
+//
+const verifyConfig = async function(siteId, configMap) {
+    const digest    = kube.Annotation(configMap, common.META_ANNOTATION_CONFIG_DIGEST);
+    const signature = kube.Annotation(configMap, common.META_ANNOTATION_CONFIG_SIGNATURE);
+    const signer    = kube.Annotation(configMap, common.META_ANNOTATION_CONFIG_SIGNER);
+
+    if (!digest) {
+        return false;
+    }
+
+    if (!signature || !signer) {
+        throw(Error('Router configuration has a digest but is missing its signature'));
+    }
+
+    if (configSignature.ConfigDigest(configText(configMap)) != digest) {
+        throw(Error('Router configuration does not match its signed digest'));
+    }
+
+    configSignature.VerifySignature(digest, signature, Buffer.from(signer, 'base64').toString(), await trustedCa(siteId));
+    return true;
+}
+
+//
+// Collect the digests of the images running in this pod.  These identify the exact router and controller builds.
+//
+const getImageDigests = async function() {
+    let digests = {};
+    try {
+        const pod = await kube.LoadPod(process.env.HOSTNAME);
+        for (const status of pod.status.containerStatuses || []) {
+            if (status.imageID) {
+                digests[status.name] = status.imageID;
+            }
+        }
+    } catch (error) {
+        Log(`Unable to determine pod image digests: ${error.message}`);
+    }
+    return digests;
+}
+
+const shutdownRouter = async function(reason) {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    Log(`SECURITY: ${reason} - Shutting down the router`);
+    try {
+        await kube.DeletePod(process.env.HOSTNAME);
+    } catch (error) {
+        Log(`Failed to shut down the router: ${error.message}`);
+        shuttingDown = false;
+    }
+}
+
+const onConfigMapWatch = async function(kind, obj) {
+    if (obj.metadata.name == common.ROUTER_CONFIG_MAP_NAME && kind != 'DELETED') {
+        if (configSignature.ConfigDigest(configText(obj)) != initialDigest) {
+            await shutdownRouter('Router configuration was altered after startup');
+        }
+    }
+}
+
+//
+// The properties to be offered on the router's outgoing inter-router and edge connections, or undefined if the
+// router's configuration is not signed.
+//
+exports.ConnectionProperties = function() {
+    return connectionProperties;
+}
+
+//
+// True if the router's configuration failed verification and the router must not establish links.
+//
+exports.LinksRefused = function() {
+    return linksRefused;
+}
+
+exports.Start = async function(siteId) {
+    Log('[Config-Guard module started]');
+    var configMap;
+    try {
+        configMap = await kube.LoadConfigmap(common.ROUTER_CONFIG_MAP_NAME);
+    } catch (error) {
+        Log(`Router configuration ${common.ROUTER_CONFIG_MAP_NAME} not found - configuration is not guarded`);
+        return;
+    }
+
+    initialDigest = configSignature.ConfigDigest(configText(configMap));
+
+    var verified;
+    try {
+        verified = await verifyConfig(siteId, configMap);
+    } catch (error) {
+        Log(`SECURITY: Router configuration failed verification - ${error.message} - No links will be established`);
+        linksRefused = true;
+        verified     = false;
+    }
+
+    if (verified) {
+        Log('Router configuration signature verified');
+        connectionProperties = {
+            [common.CONNECTION_PROPERTY_CONFIG_DIGEST]    : initialDigest,
+            [common.CONNECTION_PROPERTY_CONFIG_SIGNATURE] : kube.Annotation(configMap, common.META_ANNOTATION_CONFIG_SIGNATURE),
+            [common.CONNECTION_PROPERTY_CONFIG_SIGNER]    : kube.Annotation(configMap, common.META_ANNOTATION_CONFIG_SIGNER),
+            [common.CONNECTION_PROPERTY_IMAGE_DIGESTS]    : JSON.stringify(await getImageDigests()),
+        };
+    } else if (!linksRefused) {
+        Log('Router configuration is not signed');
+    }
+
+    kube.WatchConfigMaps(onConfigMapWatch);
+}
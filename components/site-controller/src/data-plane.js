@@ -0,0 +1,369 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module is responsible for wiring a member site's listeners and connectors into the router's data plane.
+//
+// The input to this module is the set of ConfigMaps labeled with skupper.io/type:
+//   listener:  data: {routing-key, host, port}      - Clients on this site reach the service at host:port
+//   connector: data: {routing-key, port, selector}  - The service is provided by the pods matching the selector
+//
+// The output of this module:
+//   Router tcpListeners, one per listener, on a port allocated on the router pod
+//   Kubernetes Services, one per listener host, mapping the listeners' ports to the router's ports
+//   Router tcpConnectors, one per connector per running pod that matches the connector's selector
+//   The site's service inventory, synchronized to the management controller as local state:
+//     service-<name>: {kind, routing-key, host, port} for listeners
+//                     {kind, routing-key, port, selector, endpoints} for connectors
+//
+
+const kube         = require('./common/kube.js');
+const router       = require('./common/router.js');
+const common       = require('./common/common.js');
+const Log          = require('./common/log.js').Log;
+const router_port  = require('./router-port.js');
+const sync         = require('./sync-site-kube.js');
+const hashes       = require('./hash.js');
+const { setTimeout } = require('timers/promises');
+
+const DNS_LABEL = /^[a-z]([-a-z0-9]*[a-z0-9])?$/;
+
+var reconcile_scheduled = false;
+var listener_ports      = {};  // listener-name => router port
+var published           = {};  // service state-key => hash
+
+//
+// Parse a label selector of the form "key=value[,key=value]" into a map.
+//
+const parse_selector = function(text) {
+    let selector = {};
+    for (const term of text.split(',')) {
+        const [key, value] = term.split('=');
+        if (key && value !== undefined) {
+            selector[key.trim()] = value.trim();
+        }
+    }
+    return selector;
+}
+
+const pod_matches = function(pod, selector) {
+    const labels = pod.metadata.labels || {};
+    for (const [key, value] of Object.entries(selector)) {
+        if (labels[key] != value) {
+            return false;
+        }
+    }
+    return Object.keys(selector).length > 0;
+}
+
+const pod_ready = function(pod) {
+    return pod.status && pod.status.phase == 'Running' && !!pod.status.podIP && !pod.metadata.deletionTimestamp;
+}
+
+const interface_maps = async function() { // => [listeners, connectors]
+    let listeners  = {};
+    let connectors = {};
+    const configMaplist = await kube.GetConfigmaps();
+    for (const configMap of configMaplist) {
+        const itype = configMap.metadata.labels ? configMap.metadata.labels[common.INTERFACE_TYPE_LABEL] : undefined;
+        if (itype == common.INTERFACE_TYPE_LISTENER) {
+            listeners[configMap.metadata.name] = configMap.data;
+        } else if (itype == common.INTERFACE_TYPE_CONNECTOR) {
+            connectors[configMap.metadata.name] = configMap.data;
+        }
+    }
+    return [listeners, connectors];
+}
+
+const sync_tcp_listeners = async function(listeners) {
+    let listener_map = {};
+    const router_listeners = await router.ListTcpListeners();
+    for (const rl of router_listeners) {
+        listener_map[rl.name] = rl;
+
+        //
+        // Adopt the ports of listeners that were created before this controller (re)started.
+        //
+        if (!listener_ports[rl.name]) {
+            listener_ports[rl.name] = parseInt(rl.port);
+            router_port.TakePort(listener_ports[rl.name]);
+        }
+    }
+
+    for (const [lname, data] of Object.entries(listeners)) {
+        const existing = listener_map[lname];
+        if (existing) {
+            delete listener_map[lname];
+            if (existing.address == data['routing-key']) {
+                continue;
+            }
+            Log(`Replacing router tcpListener ${lname}`);
+            await router.DeleteTcpListener(lname);
+        } else {
+            Log(`Creating router tcpListener ${lname}`);
+        }
+
+        if (!listener_ports[lname]) {
+            listener_ports[lname] = router_port.AllocatePort();
+        }
+        await router.CreateTcpListener(lname, {
+            address : data['routing-key'],
+            host    : '',
+            port    : `${listener_ports[lname]}`,
+        });
+    }
+
+    //
+    // Any listeners remaining in the map were not mentioned in the config and should be removed.
+    //
+    for (const lname of Object.keys(listener_map)) {
+        Log(`Deleting router tcpListener ${lname}`);
+        await router.DeleteTcpListener(lname);
+        if (listener_ports[lname]) {
+            router_port.FreePort(listener_ports[lname]);
+            delete listener_ports[lname];
+        }
+    }
+}
+
+const listener_service = function(host, ports) {
+    return {
+        apiVersion : 'v1',
+        kind       : 'Service',
+        metadata   : {
+            name        : host,
+            annotations : {
+                [common.META_ANNOTATION_SKUPPERX_CONTROLLED] : 'true',
+                [common.META_ANNOTATION_LISTENER_HOST]       : host,
+            },
+        },
+        spec : {
+            type     : 'ClusterIP',
+            ports    : ports,
+            selector : {
+                application : common.APPLICATION_ROUTER_LABEL,
+            },
+        },
+    };
+}
+
+const sync_services = async function(listeners) {
+    //
+    // Build the desired set of services.  Listeners that share a host share a service.
+    //
+    let desired = {};  // host => [port]
+    for (const [lname, data] of Object.entries(listeners)) {
+        const routerPort = listener_ports[lname];
+        if (!routerPort) {
+            continue;
+        }
+        if (!DNS_LABEL.test(data.host)) {
+            Log(`Listener ${lname} host ${data.host} is not a valid service name, no service created`);
+            continue;
+        }
+        if (!desired[data.host]) {
+            desired[data.host] = [];
+        }
+        desired[data.host].push({
+            name       : `port-${data.port}`,
+            port       : parseInt(data.port),
+            protocol   : 'TCP',
+            targetPort : routerPort,
+        });
+    }
+
+    let existing = {};
+    const services = await kube.GetServices();
+    for (const service of services) {
+        if (kube.Annotation(service, common.META_ANNOTATION_LISTENER_HOST)) {
+            existing[service.metadata.name] = service;
+        } else if (desired[service.metadata.name]) {
+            Log(`Existing service ${service.metadata.name} is not a listener service, not replacing it`);
+            delete desired[service.metadata.name];
+        }
+    }
+
+    for (const [host, ports] of Object.entries(desired)) {
+        const service = listener_service(host, ports);
+        if (existing[host]) {
+            if (JSON.stringify(service.spec.ports) !== JSON.stringify(existing[host].spec.ports)) {
+                Log(`Updating listener service ${host}`);
+                service.metadata.resourceVersion = existing[host].metadata.resourceVersion;
+                service.spec.clusterIP           = existing[host].spec.clusterIP;
+                await kube.ReplaceService(host, service);
+            }
+            delete existing[host];
+        } else {
+            Log(`Creating listener service ${host}`);
+            await kube.ApplyObject(service);
+        }
+    }
+
+    //
+    // Any services remaining were not mentioned by the listeners and should be removed.
+    //
+    for (const host of Object.keys(existing)) {
+        await kube.DeleteService(host);
+    }
+}
+
+const sync_tcp_connectors = async function(connectors) { // => {connector-name: endpoint-count}
+    //
+    // Resolve each connector's selector to the running pods it matches.
+    //
+    let desired   = {};  // router-connector-name => {address, host, port}
+    let endpoints = {};
+    if (Object.keys(connectors).length > 0) {
+        const pods = await kube.GetPods();
+        for (const [cname, data] of Object.entries(connectors)) {
+            const selector = parse_selector(data.selector || '');
+            endpoints[cname] = 0;
+            for (const pod of pods) {
+                if (pod_ready(pod) && pod_matches(pod, selector)) {
+                    endpoints[cname] += 1;
+                    desired[`${cname}-${pod.metadata.name}`] = {
+                        address : data['routing-key'],
+                        host    : pod.status.podIP,
+                        port    : `${data.port}`,
+                    };
+                }
+            }
+        }
+    }
+
+    let connector_map = {};
+    const router_connectors = await router.ListTcpConnectors();
+    for (const rc of router_connectors) {
+        connector_map[rc.name] = rc;
+    }
+
+    for (const [cname, connector] of Object.entries(desired)) {
+        const existing = connector_map[cname];
+        if (existing) {
+            delete connector_map[cname];
+            if (existing.address == connector.address && existing.host == connector.host && existing.port == connector.port) {
+                continue;
+            }
+            Log(`Replacing router tcpConnector ${cname}`);
+            await router.DeleteTcpConnector(cname);
+        } else {
+            Log(`Creating router tcpConnector ${cname}`);
+        }
+        await router.CreateTcpConnector(cname, connector);
+    }
+
+    //
+    // Any connectors remaining in the map are for deleted connectors or pods that are no longer selected.
+    //
+    for (const cname of Object.keys(connector_map)) {
+        Log(`Deleting router tcpConnector ${cname}`);
+        await router.DeleteTcpConnector(cname);
+    }
+
+    return endpoints;
+}
+
+//
+// Publish the site's listeners and connectors to the management controller.  Only changed entries are updated.
+//
+const publish_inventory = async function(listeners, connectors, endpoints) {
+    let inventory = {};
+    for (const [lname, data] of Object.entries(listeners)) {
+        inventory[`service-${lname}`] = {
+            kind          : common.INTERFACE_TYPE_LISTENER,
+            'routing-key' : data['routing-key'],
+            host          : data.host,
+            port          : `${data.port}`,
+        };
+    }
+    for (const [cname, data] of Object.entries(connectors)) {
+        inventory[`service-${cname}`] = {
+            kind          : common.INTERFACE_TYPE_CONNECTOR,
+            'routing-key' : data['routing-key'],
+            port          : `${data.port}`,
+            selector      : data.selector || '',
+            endpoints     : `${endpoints[cname] || 0}`,
+        };
+    }
+
+    for (const [key, data] of Object.entries(inventory)) {
+        const hash = hashes.HashOfData(data);
+        if (published[key] != hash) {
+            await sync.UpdateLocalState(common.STATE_OWNER_MEMBER, key, hash, data);
+            published[key] = hash;
+        }
+    }
+
+    for (const key of Object.keys(published)) {
+        if (!inventory[key]) {
+            await sync.UpdateLocalState(common.STATE_OWNER_MEMBER, key, null);
+            delete published[key];
+        }
+    }
+}
+
+const do_reconcile = async function() {
+    reconcile_scheduled = false;
+    try {
+        const [listeners, connectors] = await interface_maps();
+        await sync_tcp_listeners(listeners);
+        await sync_services(listeners);
+        const endpoints = await sync_tcp_connectors(connectors);
+        await publish_inventory(listeners, connectors, endpoints);
+    } catch (err) {
+        Log(`Exception in data-plane reconciliation: ${err.stack}`);
+    }
+}
+
+//
+// Coalesce bursts of watch events into a single reconciliation.
+//
+const reconcile = async function() {
+    if (!reconcile_scheduled) {
+        reconcile_scheduled = true;
+        await setTimeout(200);
+        await do_reconcile();
+    }
+}
+
+const on_configmap_watch = async function(kind, obj) {
+    if (obj.metadata.labels && obj.metadata.labels[common.INTERFACE_TYPE_LABEL]) {
+        await reconcile();
+    }
+}
+
+const on_pod_watch = async function(kind, obj) {
+    //
+    // Pods matter only for their addresses.  Ignore the router pod itself.
+    //
+    if (!obj.metadata.labels || obj.metadata.labels.application != common.APPLICATION_ROUTER_LABEL) {
+        await reconcile();
+    }
+}
+
+exports.Start = async function() {
+    Log('[Data-plane module started]');
+    router.NotifyApiReady(async () => {
+        await do_reconcile();
+        kube.WatchConfigMaps(on_configmap_watch);
+        kube.WatchPods(on_pod_watch);
+    });
+}
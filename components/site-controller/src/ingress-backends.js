@@ -0,0 +1,332 @@
+/*
+ Licensed to the Apache Software Foundation (ASF) under one
+ or more contributor license agreements.  See the NOTICE file
+ distributed with this work for additional information
+ regarding copyright ownership.  The ASF licenses this file
+ to you under the Apache License, Version 2.0 (the
+ "License"); you may not use this file except in compliance
+ with the License.  You may obtain a copy of the License at
+
+   http://www.apache.org/licenses/LICENSE-2.0
+
+ Unless required by applicable law or agreed to in writing,
+ software distributed under the License is distributed on an
+ "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+ KIND, either express or implied.  See the License for the
+ specific language governing permissions and limitations
+ under the License.
+*/
+
+"use strict";
+
+//
+// This module provides the ingress backends used by the ingress module to expose access points outside the site.
+//
+// Each backend creates one object per access point and reports the host/port at which the access point can be
+// reached once the object is ready.  The backend is selected per site by the management controller (SKX_INGRESS_TYPE).
+//
+//   route               OpenShift Route with TLS passthrough
+//   loadbalancer        Service of type LoadBalancer
+//   nodeport            Service of type NodePort
+//   nginx-ingress-v1    Ingress for ingress-nginx with ssl-passthrough (requires SKX_INGRESS_DOMAIN)
+//   contour-http-proxy  Contour HTTPProxy with TLS passthrough (requires SKX_INGRESS_DOMAIN)
+//   gateway-tls-route   Gateway API TLSRoute (requires SKX_INGRESS_DOMAIN and SKX_GATEWAY_NAME)
+//
+// Backend interface:
+//   list()               - The controlled ingress objects that carry an access-point id
+//   watch(callback)      - Watch for changes to ingress objects
+//   remove(obj)          - Delete an ingress object
+//   object(apid, access) - The ingress object for an access point, or null if it cannot be built
+//   status(obj, access)  - {host, port} for a ready ingress object, or null if not yet ready
+//
+
+const kube   = require('./common/kube.js');
+const common = require('./common/common.js');
+
+const INGRESS_DOMAIN    = process.env.SKX_INGRESS_DOMAIN;
+const INGRESS_HOST      = process.env.SKX_INGRESS_HOST;
+const INGRESS_CLASS     = process.env.SKX_INGRESS_CLASS || 'nginx';
+const GATEWAY_NAME      = process.env.SKX_GATEWAY_NAME;
+const GATEWAY_NAMESPACE = process.env.SKX_GATEWAY_NAMESPACE;
+const GATEWAY_PORT      = process.env.SKX_GATEWAY_PORT || '443';
+
+const ingressName = function(apid, access) {
+    return `skx-${access.kind}-${apid}`;
+}
+
+const ingressMetadata = function(apid, access, annotations = {}) {
+    return {
+        name : ingressName(apid, access),
+        annotations : {
+            [common.META_ANNOTATION_SKUPPERX_CONTROLLED] : 'true',
+            [common.META_ANNOTATION_STATE_ID]            : apid,
+            ...annotations,
+        },
+    };
+}
+
+//
+// Host name for the SNI-routed backends.  These share a single external address and route on the TLS server name.
+//
+const ingressHost = function(apid, access) {
+    return INGRESS_DOMAIN ? `${ingressName(apid, access)}.${INGRESS_DOMAIN}` : null;
+}
+
+const accessPointObjects = function(list) {
+    return list.filter(obj => kube.Controlled(obj) && !!kube.Annotation(obj, common.META_ANNOTATION_STATE_ID));
+}
+
+//
+// Build a backend for objects in a (non-core) API group.
+//
+const customBackend = function(group, version, plural, object, status) {
+    return {
+        list   : async () => accessPointObjects(await kube.GetCustomObjects(group, version, plural)),
+        watch  : (callback) => kube.WatchCustomObjects(group, version, plural, callback),
+        remove : async (obj) => await kube.DeleteCustomObject(group, version, plural, obj.metadata.name),
+        object : object,
+        status : status,
+    };
+}
+
+//
+// Build a backend that exposes each access point with its own Service.
+//
+const serviceBackend = function(serviceType, status) {
+    return {
+        list   : async () => accessPointObjects(await kube.GetServices()),
+        watch  : (callback) => kube.WatchServices(callback),
+        remove : async (obj) => await kube.DeleteService(obj.metadata.name),
+        object : (apid, access) => {
+            return {
+                apiVersion : 'v1',
+                kind       : 'Service',
+                metadata   : ingressMetadata(apid, access),
+                spec : {
+                    type  : serviceType,
+                    ports : [{
+                        name       : `${access.kind}-${apid}`,
+                        port       : access.routerPort,
+                        protocol   : 'TCP',
+                        targetPort : access.routerPort,
+                    }],
+                    selector : {
+                        application : common.APPLICATION_ROUTER_LABEL,
+                    },
+                },
+            };
+        },
+        status : status,
+    };
+}
+
+//=========================================================================================================================
+// OpenShift Route
+//=========================================================================================================================
+const routeBackend = {
+    list   : async () => accessPointObjects(await kube.GetRoutes()),
+    watch  : (callback) => kube.WatchRoutes(callback),
+    remove : async (obj) => await kube.DeleteRoute(obj.metadata.name),
+    object : (apid, access) => {
+        return {
+            apiVersion : 'route.openshift.io/v1',
+            kind       : 'Route',
+            metadata   : ingressMetadata(apid, access),
+            spec: {
+                port : {
+                    targetPort : `${access.kind}-${apid}`,
+                },
+                tls : {
+                    termination                   : 'passthrough',
+                    insecureEdgeTerminationPolicy : 'None',
+                },
+                to : {
+                    kind   : 'Service',
+                    name   : common.ROUTER_SERVICE_NAME,
+                    weight : 100,
+                },
+                wildcardPolicy : 'None',
+            },
+        };
+    },
+    status : async (route, access) => {
+        return route.spec.host ? { host : route.spec.host, port : '443' } : null;
+    },
+};
+
+//=========================================================================================================================
+// LoadBalancer and NodePort Services
+//=========================================================================================================================
+const loadBalancerBackend = serviceBackend('LoadBalancer', async (service, access) => {
+    const lbIngress = service.status && service.status.loadBalancer && service.status.loadBalancer.ingress;
+    if (lbIngress && lbIngress.length > 0) {
+        const host = lbIngress[0].hostname || lbIngress[0].ip;
+        if (host) {
+            return { host : host, port : `${access.routerPort}` };
+        }
+    }
+    return null;
+});
+
+//
+// Without an explicit SKX_INGRESS_HOST, use the address of the node on which the router is running.
+//
+const nodeHost = async function() {
+    if (INGRESS_HOST) {
+        return INGRESS_HOST;
+    }
+    const pods = await kube.GetPods();
+    for (const pod of pods) {
+        if (pod.metadata.labels && pod.metadata.labels.application == common.APPLICATION_ROUTER_LABEL && pod.status && pod.status.hostIP) {
+            return pod.status.hostIP;
+        }
+    }
+    return null;
+}
+
+const nodePortBackend = serviceBackend('NodePort', async (service, access) => {
+    const nodePort = service.spec.ports && service.spec.ports.length > 0 ? service.spec.ports[0].nodePort : undefined;
+    if (nodePort) {
+        const host = await nodeHost();
+        if (host) {
+            return { host : host, port : `${nodePort}` };
+        }
+    }
+    return null;
+});
+
+//=========================================================================================================================
+// ingress-nginx Ingress with ssl-passthrough
+//=========================================================================================================================
+const nginxBackend = customBackend('networking.k8s.io', 'v1', 'ingresses',
+    (apid, access) => {
+        const host = ingressHost(apid, access);
+        if (!host) {
+            return null;
+        }
+        return {
+            apiVersion : 'networking.k8s.io/v1',
+            kind       : 'Ingress',
+            metadata   : ingressMetadata(apid, access, {
+                'nginx.ingress.kubernetes.io/ssl-passthrough'  : 'true',
+                'nginx.ingress.kubernetes.io/backend-protocol' : 'HTTPS',
+            }),
+            spec : {
+                ingressClassName : INGRESS_CLASS,
+                rules : [{
+                    host : host,
+                    http : {
+                        paths : [{
+                            path     : '/',
+                            pathType : 'Prefix',
+                            backend  : {
+                                service : {
+                                    name : common.ROUTER_SERVICE_NAME,
+                                    port : { number : access.routerPort },
+                                },
+                            },
+                        }],
+                    },
+                }],
+            },
+        };
+    },
+    async (ingress, access) => {
+        const lbIngress = ingress.status && ingress.status.loadBalancer && ingress.status.loadBalancer.ingress;
+        if (lbIngress && lbIngress.length > 0 && ingress.spec.rules && ingress.spec.rules.length > 0) {
+            return { host : ingress.spec.rules[0].host, port : '443' };
+        }
+        return null;
+    }
+);
+
+//=========================================================================================================================
+// Contour HTTPProxy with TLS passthrough
+//=========================================================================================================================
+const contourBackend = customBackend('projectcontour.io', 'v1', 'httpproxies',
+    (apid, access) => {
+        const host = ingressHost(apid, access);
+        if (!host) {
+            return null;
+        }
+        return {
+            apiVersion : 'projectcontour.io/v1',
+            kind       : 'HTTPProxy',
+            metadata   : ingressMetadata(apid, access),
+            spec : {
+                virtualhost : {
+                    fqdn : host,
+                    tls  : { passthrough : true },
+                },
+                tcpproxy : {
+                    services : [{
+                        name : common.ROUTER_SERVICE_NAME,
+                        port : access.routerPort,
+                    }],
+                },
+            },
+        };
+    },
+    async (proxy, access) => {
+        if (proxy.status && proxy.status.currentStatus == 'valid') {
+            return { host : proxy.spec.virtualhost.fqdn, port : '443' };
+        }
+        return null;
+    }
+);
+
+//=========================================================================================================================
+// Gateway API TLSRoute
+//=========================================================================================================================
+const gatewayBackend = customBackend('gateway.networking.k8s.io', 'v1alpha2', 'tlsroutes',
+    (apid, access) => {
+        const host = ingressHost(apid, access);
+        if (!host || !GATEWAY_NAME) {
+            return null;
+        }
+        let parentRef = { name : GATEWAY_NAME };
+        if (GATEWAY_NAMESPACE) {
+            parentRef.namespace = GATEWAY_NAMESPACE;
+        }
+        return {
+            apiVersion : 'gateway.networking.k8s.io/v1alpha2',
+            kind       : 'TLSRoute',
+            metadata   : ingressMetadata(apid, access),
+            spec : {
+                parentRefs : [parentRef],
+                hostnames  : [host],
+                rules : [{
+                    backendRefs : [{
+                        name : common.ROUTER_SERVICE_NAME,
+                        port : access.routerPort,
+                    }],
+                }],
+            },
+        };
+    },
+    async (route, access) => {
+        const parents  = route.status && route.status.parents ? route.status.parents : [];
+        const accepted = parents.some(p => (p.conditions || []).some(c => c.type == 'Accepted' && c.status == 'True'));
+        if (accepted && route.spec.hostnames && route.spec.hostnames.length > 0) {
+            return { host : route.spec.hostnames[0], port : GATEWAY_PORT };
+        }
+        return null;
+    }
+);
+
+const BACKENDS = {
+    'route'              : routeBackend,
+    'loadbalancer'       : loadBalancerBackend,
+    'nodeport'           : nodePortBackend,
+    'nginx-ingress-v1'   : nginxBackend,
+    'contour-http-proxy' : contourBackend,
+    'gateway-tls-route'  : gatewayBackend,
+};
+
+exports.Backend = function(ingressType) {
+    const backend = BACKENDS[ingressType];
+    if (!backend) {
+        throw Error(`Unsupported ingress type: ${ingressType}`);
+    }
+    return backend;
+}
@@ -34,11 +34,7 @@
 //   Kubernetes Ingresses: OC Route, Load-balancer, nginx ingress, etc.
 //   Host/Port status of created ingresses
 //
-// Currently the only ingress supported is OpenShift Routes.
-//   TODO: Add "loadbalancer" ingress
-//   TODO: Add "nodeport" ingress
-//   TODO: Add "nginx-ingress-v1" ingress
-//   TODO: Add "contour-http-proxy" ingress
+// The kind of ingress created is selected per site.  See ingress-backends.js for the supported types.
 //
 
 const kube        = require('./common/kube.js');
@@ -46,13 +42,15 @@ const Log         = require('./common/log.js').Log;
 const common      = require('./common/common.js');
 const sync        = require('./sync-site-kube.js');
 const router_port = require('./router-port.js');
+const backends    = require('./ingress-backends.js');
 const crypto      = require('crypto');
 const { setTimeout } = require('timers/promises');
 
 var reconcile_config_map_scheduled = false;
-var reconcile_routes_scheduled     = false;
+var reconcile_ingresses_scheduled  = false;
 var reconcile_service_scheduled    = false;
 var accessPoints = {}; // APID => {kind, routerPort, syncHash, syncData, toDelete}
+var backend;
 
 exports.GetTargetPort = function(apid) {
     const ap = accessPoints[apid];
@@ -118,37 +116,6 @@ const backbone_service = function() {
     return service_object;
 }
 
-const backbone_route = function(apid) {
-    const access = accessPoints[apid];
-    const name   = `skx-${access.kind}-${apid}`;
-    return {
-        apiVersion : 'route.openshift.io/v1',
-        kind       : 'Route',
-        metadata : {
-            name : name,
-            annotations : {
-                [common.META_ANNOTATION_SKUPPERX_CONTROLLED] : 'true',
-                [common.META_ANNOTATION_STATE_ID]            : apid,
-            },
-        },
-        spec: {
-            port : {
-                targetPort : `${access.kind}-${apid}`,
-            },
-            tls : {
-                termination                   : 'passthrough',
-                insecureEdgeTerminationPolicy : 'None',
-            },
-            to : {
-                kind   : 'Service',
-                name   : common.ROUTER_SERVICE_NAME,
-                weight : 100,
-            },
-            wildcardPolicy : 'None',
-        },
-    };
-}
-
 const do_reconcile_kube_service = async function() {
     reconcile_service_scheduled = false;
     let services = await kube.GetServices();
@@ -193,54 +160,51 @@ const reconcile_kube_service = async function() {
     }
 }
 
-const do_reconcile_routes = async function() {
-    reconcile_routes_scheduled = false;
-    const all_routes = await kube.GetRoutes();
-    let routes = {};
+const do_reconcile_ingresses = async function() {
+    reconcile_ingresses_scheduled = false;
+    const all_ingresses = await backend.list();
+    let ingresses = {};
 
-    for (const candidate of all_routes) {
+    for (const candidate of all_ingresses) {
         const apid = kube.Annotation(candidate, common.META_ANNOTATION_STATE_ID);
-        if (kube.Controlled(candidate)) {
-            routes[apid] = candidate;
-        }
+        ingresses[apid] = candidate;
     }
 
     for (const [apid, ap] of Object.entries(accessPoints)) {
-        if (Object.keys(routes).indexOf(apid) >= 0) {
-            const route = routes[apid];
-            let hash = null;
-            let data = {};
-            if (route.spec.host) {
-                data = {
-                    host : route.spec.host,
-                    port : '443',
-                };
-                hash = ingressHash(data);
+        if (Object.keys(ingresses).indexOf(apid) >= 0) {
+            const data = await backend.status(ingresses[apid], ap);
+            if (data) {
+                const hash = ingressHash(data);
                 if (hash != ap.syncHash) {
                     accessPoints[apid].syncHash = hash;
                     accessPoints[apid].syncData = data;
-                    await sync.UpdateLocalState(`accessstatus-${apid}`, hash, data);
+                    await sync.UpdateLocalState(common.STATE_OWNER_BACKBONE, `accessstatus-${apid}`, hash, data);
                 }
             }
-            delete routes[apid];
+            delete ingresses[apid];
         } else {
-            await kube.ApplyObject(backbone_route(apid));
+            const obj = backend.object(apid, ap);
+            if (obj) {
+                await kube.ApplyObject(obj);
+            } else {
+                Log(`Unable to create ingress for access point ${apid}: ingress configuration is incomplete`);
+            }
         }
     }
 
     //
-    // Any remaining routes in the list were not found in the accessPoints.  Delete them.
+    // Any remaining ingresses in the list were not found in the accessPoints.  Delete them.
     //
-    for (const route of Object.values(routes)) {
-        await kube.DeleteRoute(route.metadata.name);
+    for (const ingress of Object.values(ingresses)) {
+        await backend.remove(ingress);
     }
 }
 
-const reconcile_routes = async function() {
-    if (!reconcile_routes_scheduled) {
-        reconcile_routes_scheduled = true;
+const reconcile_ingresses = async function() {
+    if (!reconcile_ingresses_scheduled) {
+        reconcile_ingresses_scheduled = true;
         await setTimeout(200);
-        await do_reconcile_routes();
+        await do_reconcile_ingresses();
     }
 }
 
@@ -270,7 +234,7 @@ exports.GetIngressBundle = function() {
 
 exports.GetInitialState = async function() {
     await do_reconcile_config_maps();
-    await do_reconcile_routes();
+    await do_reconcile_ingresses();
     return exports.GetIngressBundle();
 }
 
@@ -327,7 +291,7 @@ const do_reconcile_config_maps = async function() {
     //
     if (need_service_sync) {
         await reconcile_kube_service();
-        await reconcile_routes();
+        await reconcile_ingresses();
     }
 }
 
@@ -352,9 +316,9 @@ const onConfigMapWatch = function(type, apiObj) {
     }
 }
 
-const onRouteWatch = async function(type, route) {
-    if (kube.Controlled(route)) {
-        await reconcile_routes();
+const onIngressWatch = async function(type, ingress) {
+    if (kube.Controlled(ingress) && kube.Annotation(ingress, common.META_ANNOTATION_STATE_ID)) {
+        await reconcile_ingresses();
     }
 }
 
@@ -389,12 +353,13 @@ const preloadAccessPoints = async function() {
     }
 }
 
-exports.Start = async function(siteId) {
-    Log('[Ingress module started]');
+exports.Start = async function(siteId, ingressType) {
+    Log(`[Ingress module started - ${ingressType}]`);
+    backend = backends.Backend(ingressType);
     await preloadAccessPoints();
     await do_reconcile_config_maps();
-    await do_reconcile_routes();
+    await do_reconcile_ingresses();
     kube.WatchConfigMaps(onConfigMapWatch);
-    kube.WatchRoutes(onRouteWatch);
+    backend.watch(onIngressWatch);
     kube.WatchServices(onServiceWatch);
 }
\ No newline at end of file
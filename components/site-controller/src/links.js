@@ -23,26 +23,79 @@
  * This module is responsible for synchronizing:
  *   - Secrets to router ssl-profiles
  *   - ConfigMaps to connectors and listeners.
+ *   - Policy ConfigMaps to router vhosts.
+ *
+ * A member site's edge router attaches to the backbone through one uplink at a time.  The uplinks are tried in order
+ * of priority (drained uplinks last) and the site fails over to the next uplink when the preferred one has been down
+ * for longer than a grace period.  The uplink in use is reported to the management controller.
  */
 
 /*
  * TODO Items for the future:
  *
- * - Update the profile injection to allow overwrite of existing SslProfiles with new content.
- * - Support the tls-ordinal/tls-oldest-valid features in SslProfiles.
  * - Support changes in link-cost (ignored presently) by deleting/re-creating connectors (or using a new router cost-update feature).
  */
 
-const Log     = require('./common/log.js').Log;
-const kube    = require('./common/kube.js');
-const router  = require('./common/router.js');
-const common  = require('./common/common.js');
-const ingress = require('./ingress.js');
-var   fs      = require('fs/promises');
+const Log          = require('./common/log.js').Log;
+const kube         = require('./common/kube.js');
+const router       = require('./common/router.js');
+const common       = require('./common/common.js');
+const ingress      = require('./ingress.js');
+const capabilities = require('./capabilities.js');
+const configGuard  = require('./config-guard.js');
+const sync         = require('./sync-site-kube.js');
+const hashes       = require('./hash.js');
+var   fs           = require('fs/promises');
+const { setTimeout } = require('timers/promises');
+
+const CERT_DIRECTORY           = process.env.SKX_CERT_PATH || '/etc/skupper-router-certs/';
+const UPLINK_FAILOVER_GRACE_MS = 15000;
+const UPLINK_CHECK_SECONDS     = 5;
+const UPLINK_STATE_KEY         = 'uplink-active';
+
+//
+// Hashes of the policy configuration applied to the router's vhosts:  vhost-name => state-hash
+//
+var vhost_hashes = {};
+
+//
+// Hashes of the secret data loaded into the router's SslProfiles:  profile-name => secret-hash
+//
+var profile_hashes = {};
+
+//
+// Member uplinks:  The time each tried uplink was first seen to be down (connector-name => ms) and the hash of the
+// published uplink-in-use state.
+//
+var uplink_down_since = {};
+var uplink_hash       = null;
+
+//
+// If this site is backbone-enabled, its router is an interior router in the backbone.  The member-owned links and
+// site-client certificate, which attach a member's edge router to the backbone, are not used.
+//
+const unused_member_uplink = function(obj) {
+    return capabilities.BackboneEnabled() && capabilities.StateOwner(obj) == common.STATE_OWNER_MEMBER;
+}
 
-const CERT_DIRECTORY = process.env.SKX_CERT_PATH || '/etc/skupper-router-certs/';
+//
+// The rotation ordinal of the certificate in a secret.  Secrets without an ordinal are treated as ordinal zero.
+//
+const profile_ordinal = function(secret) {
+    const value = secret.data ? secret.data[common.TLS_ORDINAL_KEY] : undefined;
+    return value ? parseInt(Buffer.from(value, "base64").toString()) || 0 : 0;
+}
 
-var backboneMode;
+const write_profile_files = async function(name, secret) {
+    let path = CERT_DIRECTORY + name + '/';
+    await fs.mkdir(path, {recursive: true});
+    for (const [key, value] of Object.entries(secret.data)) {
+        let filepath = path + key;
+        let text     = Buffer.from(value, "base64");
+        await fs.writeFile(filepath, text);
+        Log(`  Wrote secret data to profile path: ${filepath}`);
+    }
+}
 
 const inject_profile = async function(name, secret) {
     let path = CERT_DIRECTORY + name + '/';
@@ -50,21 +103,54 @@ const inject_profile = async function(name, secret) {
         caCertFile:     path + 'ca.crt',
         certFile:       path + 'tls.crt',
         privateKeyFile: path + 'tls.key',
+        ordinal:        profile_ordinal(secret),
+        uidFormat:      'n',   // Identify authenticated peers by the common name of their certificates
     };
 
     Log(`Creating new SslProfile: ${name}`);
-    await router.CreateSslProfile(name, profile);
     try {
-        await fs.mkdir(CERT_DIRECTORY + name);
-        for (const [key, value] of Object.entries(secret.data)) {
-            let filepath = path + key;
-            let text     = Buffer.from(value, "base64");
-            await fs.writeFile(filepath, text);
-            Log(`  Wrote secret data to profile path: ${filepath}`);
-        }
+        await write_profile_files(name, secret);
     } catch (error) {
         Log(`Exception during profile creation: ${error.message}`);
     }
+    await router.CreateSslProfile(name, profile);
+    profile_hashes[name] = hashes.HashOfSecret(secret);
+}
+
+//
+// The certificate for an existing profile has been rotated.  Overwrite the files and update the profile in place
+// with the new ordinal.  Connections established using the previous ordinal are kept so links don't drop.
+//
+const rotate_profile = async function(name, secret, ordinal, previous) {
+    Log(`Rotating SslProfile ${name} to ordinal ${ordinal}`);
+    try {
+        await write_profile_files(name, secret);
+        await router.UpdateSslProfile(name, {
+            ordinal:            ordinal,
+            oldestValidOrdinal: previous,
+        });
+        profile_hashes[name] = hashes.HashOfSecret(secret);
+    } catch (error) {
+        Log(`Exception during profile rotation: ${error.message}`);
+    }
+}
+
+//
+// The secret for an existing profile has changed without a new certificate, e.g. its CA bundle now trusts a
+// replacement CA.  Overwrite the files and update the profile at its current ordinal so the router reloads them
+// for new connections.  Existing connections are unaffected.
+//
+const reload_profile = async function(name, secret, ordinal) {
+    Log(`Reloading SslProfile ${name} at ordinal ${ordinal}`);
+    try {
+        await write_profile_files(name, secret);
+        await router.UpdateSslProfile(name, {
+            ordinal: ordinal,
+        });
+        profile_hashes[name] = hashes.HashOfSecret(secret);
+    } catch (error) {
+        Log(`Exception during profile reload: ${error.message}`);
+    }
 }
 
 const sync_secrets = async function() {
@@ -78,9 +164,16 @@ const sync_secrets = async function() {
 
     for (const secret of secrets) {
         const inject_type = secret.metadata.annotations ? secret.metadata.annotations[common.META_ANNOTATION_TLS_INJECT] : undefined;
-        if (inject_type) {
+        if (inject_type && !(inject_type == common.INJECT_TYPE_SITE && unused_member_uplink(secret))) {
             const profile_name = (inject_type == common.INJECT_TYPE_SITE) ? 'site-client' : secret.metadata.name;
             if (Object.keys(profiles).indexOf(profile_name) >= 0) {
+                const ordinal  = profile_ordinal(secret);
+                const previous = profiles[profile_name].ordinal || 0;
+                if (ordinal > previous) {
+                    await rotate_profile(profile_name, secret, ordinal, previous);
+                } else if (profile_hashes[profile_name] != hashes.HashOfSecret(secret)) {
+                    await reload_profile(profile_name, secret, previous);
+                }
                 delete profiles[profile_name];
             } else {
                 await inject_profile(profile_name, secret)
@@ -94,14 +187,15 @@ const sync_secrets = async function() {
     for (const p of Object.values(profiles)) {
         await router.DeleteSslProfile(p.name);
         await fs.rm(CERT_DIRECTORY + p.name, {recursive: true});
+        delete profile_hashes[p.name];
     };
 }
 
 const sync_listeners = async function() {
     //
-    // Exit immediately if we are not in backbone mode.  There are no inter-router listeners on a member router.
+    // Exit immediately if we are not backbone-enabled.  There are no inter-router listeners on a member router.
     //
-    if (!backboneMode) {
+    if (!capabilities.BackboneEnabled()) {
         return;
     }
 
@@ -183,6 +277,7 @@ const sync_listeners = async function() {
                     role:              role,
                     cost:              1,
                     sslProfile:        profile,
+                    policyVhost:       common.ACCESS_POINT_VHOSTS[value.kind],
                     saslMechanisms:    'EXTERNAL',
                     stripAnnotations:  strip,
                     authenticatePeer:  true,
@@ -204,6 +299,84 @@ const sync_listeners = async function() {
     }
 }
 
+//
+// Preferred uplinks first:  Undrained before drained, then by ascending priority value.
+//
+const uplink_order = function(a, b) {
+    const drainA = a.data.drain == 'true' ? 1 : 0;
+    const drainB = b.data.drain == 'true' ? 1 : 0;
+    if (drainA != drainB) {
+        return drainA - drainB;
+    }
+    const priorityDiff = (parseInt(a.data.priority) || 0) - (parseInt(b.data.priority) || 0);
+    if (priorityDiff != 0) {
+        return priorityDiff;
+    }
+    return a.metadata.name < b.metadata.name ? -1 : a.metadata.name > b.metadata.name ? 1 : 0;
+}
+
+const report_active_uplink = async function(uplink) {
+    const data = uplink ? {link: kube.Annotation(uplink, common.META_ANNOTATION_STATE_ID)} : null;
+    const hash = data ? hashes.HashOfData(data) : null;
+    if (hash != uplink_hash) {
+        Log(data ? `Member uplink in use: ${uplink.metadata.name}` : 'No member uplink is connected');
+        await sync.UpdateLocalState(common.STATE_OWNER_MEMBER, UPLINK_STATE_KEY, hash, data);
+        uplink_hash = hash;
+    }
+}
+
+//
+// Select the member uplinks that should have connectors.  Walking the uplinks in order of preference, each uplink is
+// selected until one is found that is connected or that has not yet been down for the grace period.  If none of the
+// selected uplinks is connected, an uplink that is still connected is kept so the site is never detached while a
+// better uplink is being established (make-before-break on failback and drain).
+//
+const select_uplinks = async function(uplinks, connector_map) {
+    const now       = Date.now();
+    const connected = function(uplink) {
+        const rc = connector_map[uplink.metadata.name];
+        return !!rc && rc.connectionStatus == 'SUCCESS';
+    }
+
+    uplinks.sort(uplink_order);
+    var selected = [];
+    var active   = undefined;
+    for (const uplink of uplinks) {
+        const cname = uplink.metadata.name;
+        selected.push(uplink);
+        if (connected(uplink)) {
+            delete uplink_down_since[cname];
+            active = uplink;
+            break;
+        }
+        if (!uplink_down_since[cname]) {
+            uplink_down_since[cname] = now;
+        }
+        if (now - uplink_down_since[cname] < UPLINK_FAILOVER_GRACE_MS) {
+            break;
+        }
+    }
+
+    if (!active) {
+        active = uplinks.find(uplink => selected.indexOf(uplink) < 0 && connected(uplink));
+        if (active) {
+            selected.push(active);
+        }
+    }
+
+    //
+    // Uplinks that are not being tried get a fresh grace period when they are next tried.
+    //
+    for (const uplink of uplinks) {
+        if (selected.indexOf(uplink) < 0) {
+            delete uplink_down_since[uplink.metadata.name];
+        }
+    }
+
+    await report_active_uplink(active);
+    return selected;
+}
+
 const sync_connectors = async function() {
     try {
         //
@@ -216,31 +389,57 @@ const sync_connectors = async function() {
         }
 
         //
-        // Build a map of synchronizable links.
+        // Build a map of synchronizable links.  Of the member's uplinks, only the selected ones are synchronized.
         //
         const configMaplist = await kube.GetConfigmaps();
         var config_connectors = {};
+        var uplinks           = [];
         for (const configMap of configMaplist) {
-            if (kube.Annotation(configMap, common.META_ANNOTATION_STATE_TYPE) == common.STATE_TYPE_LINK) {
-                config_connectors[configMap.metadata.name] = configMap;
+            if (kube.Annotation(configMap, common.META_ANNOTATION_STATE_TYPE) == common.STATE_TYPE_LINK && !unused_member_uplink(configMap)) {
+                if (capabilities.StateOwner(configMap) == common.STATE_OWNER_MEMBER) {
+                    uplinks.push(configMap);
+                } else {
+                    config_connectors[configMap.metadata.name] = configMap;
+                }
             }
         }
 
+        //
+        // A router whose configuration failed verification establishes no links.
+        //
+        if (configGuard.LinksRefused()) {
+            config_connectors = {};
+            uplinks           = [];
+        }
+
+        for (const uplink of await select_uplinks(uplinks, connector_map)) {
+            config_connectors[uplink.metadata.name] = uplink;
+        }
+
         for (const [cname, cc] of Object.entries(config_connectors)) {
             if (cname in connector_map) {
                 delete connector_map[cname];
             } else {
                 Log(`Creating router connector ${cname}`);
-                await router.CreateConnector(cname, {
+                let connector = {
                     host:             cc.data.host,
                     port:             cc.data.port,
-                    role:             backboneMode ? 'inter-router' : 'edge',
+                    role:             capabilities.StateOwner(cc) == common.STATE_OWNER_BACKBONE ? 'inter-router' : 'edge',
                     cost:             cc.data.cost,
                     sslProfile:       'site-client',
                     saslMechanisms:   'EXTERNAL',
                     stripAnnotations: 'no',
                     verifyHostname:   true,
-                });
+                };
+
+                //
+                // Offer the signed configuration digest and image digests to the peer so it can verify this router.
+                //
+                const properties = configGuard.ConnectionProperties();
+                if (properties) {
+                    connector.openProperties = properties;
+                }
+                await router.CreateConnector(cname, connector);
             }
         }
 
@@ -256,6 +455,93 @@ const sync_connectors = async function() {
     }
 }
 
+//
+// Vhost policy is checked only when a connection is opened.  When the member vhost changes, close the inbound edge
+// connections of members that are no longer permitted (i.e. have been evicted) so they are cut off immediately.
+//
+const close_unpermitted_members = async function(vhost) {
+    let permitted = [];
+    for (const group of Object.values(vhost.groups)) {
+        permitted = permitted.concat(group.users.split(','));
+    }
+
+    const connections = await router.ListConnections(['name', 'role', 'dir', 'user']);
+    for (const conn of connections) {
+        if (conn.role == 'edge' && conn.dir == 'in' && permitted.indexOf(conn.user) < 0) {
+            Log(`Closing edge connection from unpermitted member ${conn.user}`);
+            await router.CloseConnection(conn.name);
+        }
+    }
+}
+
+const sync_vhosts = async function() {
+    //
+    // Exit immediately if we are not backbone-enabled.  Router policy is applied only to the backbone's listeners.
+    //
+    if (!capabilities.BackboneEnabled()) {
+        return;
+    }
+
+    try {
+        //
+        // Build a map of the existing router vhosts.  Exclude the default vhost from the basic configuration.
+        //
+        const router_vhosts = await router.ListVhosts();
+        let vhost_map = {};
+        for (const rv of router_vhosts) {
+            if (rv.hostname != '$default') {
+                vhost_map[rv.name] = rv;
+            }
+        }
+
+        //
+        // Build a map of the desired vhosts from the policy-type ConfigMaps.
+        //
+        const configMaplist = await kube.GetConfigmaps();
+        var config_vhosts = {};
+        for (const configMap of configMaplist) {
+            if (kube.Annotation(configMap, common.META_ANNOTATION_STATE_TYPE) == common.STATE_TYPE_POLICY) {
+                config_vhosts[kube.Annotation(configMap, common.META_ANNOTATION_STATE_ID)] = configMap;
+            }
+        }
+
+        for (const [vname, cv] of Object.entries(config_vhosts)) {
+            const hash = kube.Annotation(cv, common.META_ANNOTATION_STATE_HASH);
+            if (vname in vhost_map) {
+                delete vhost_map[vname];
+                if (vhost_hashes[vname] == hash) {
+                    continue;
+                }
+
+                //
+                // The policy for this vhost has changed.  Replace the vhost with the new policy.
+                //
+                Log(`Replacing router vhost ${vname}`);
+                await router.DeleteVhost(vname);
+            } else {
+                Log(`Creating router vhost ${vname}`);
+            }
+            const vhost = JSON.parse(cv.data.vhost);
+            await router.CreateVhost(vname, vhost);
+            vhost_hashes[vname] = hash;
+            if (vname == common.ACCESS_POINT_VHOSTS.member) {
+                await close_unpermitted_members(vhost);
+            }
+        }
+
+        //
+        // Any vhosts remaining in the map were not mentioned in the config and should be removed.
+        //
+        for (const vname of Object.keys(vhost_map)) {
+            Log(`Deleting router vhost ${vname}`);
+            await router.DeleteVhost(vname);
+            delete vhost_hashes[vname];
+        }
+    } catch (err) {
+        Log(`Exception in sync_vhosts: ${err.stack}`);
+    }
+}
+
 const on_secret_watch = async function(kind, obj) {
     const inject_type = kube.Annotation(obj, common.META_ANNOTATION_TLS_INJECT);
     if (inject_type == common.INJECT_TYPE_ACCESS_POINT) {
@@ -279,6 +565,18 @@ const on_configmap_watch = async function(kind, obj) {
         await sync_listeners();
     } else if (state_type == common.STATE_TYPE_LINK) {
         await sync_connectors();
+    } else if (state_type == common.STATE_TYPE_POLICY) {
+        await sync_vhosts();
+    }
+}
+
+//
+// Connector status is not watchable.  Periodically re-evaluate the member uplinks to detect failures and recoveries.
+//
+const uplink_monitor_loop = async function() {
+    while (true) {
+        await setTimeout(UPLINK_CHECK_SECONDS * 1000);
+        await sync_connectors();
     }
 }
 
@@ -287,13 +585,16 @@ const start_sync_loop = async function () {
     await sync_secrets();
     await sync_listeners();
     await sync_connectors();
+    await sync_vhosts();
     kube.WatchSecrets(on_secret_watch);
     kube.WatchConfigMaps(on_configmap_watch);
+    if (!capabilities.BackboneEnabled()) {
+        uplink_monitor_loop();
+    }
 }
 
-exports.Start = async function (mode) {
+exports.Start = async function () {
     Log('[Links module started]');
-    backboneMode = mode;
     router.NotifyApiReady(() => {
         try {
             start_sync_loop();
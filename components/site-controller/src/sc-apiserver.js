@@ -19,17 +19,18 @@
 
 "use strict";
 
-const formidable  = require('formidable');
-const express     = require('express');
-const cors        = require('cors');
-const yaml        = require('js-yaml');
-const ingress     = require('./ingress.js');
-const claim       = require('./claim.js');
-const kube        = require('./common/kube.js');
-const util        = require('./common/util.js');
-const Log         = require('./common/log.js').Log;
-const memberapi   = require('./api-member.js');
-const router_port = require('./router-port.js');
+const formidable   = require('formidable');
+const express      = require('express');
+const cors         = require('cors');
+const yaml         = require('js-yaml');
+const ingress      = require('./ingress.js');
+const claim        = require('./claim.js');
+const kube         = require('./common/kube.js');
+const util         = require('./common/util.js');
+const Log          = require('./common/log.js').Log;
+const memberapi    = require('./api-member.js');
+const router_port  = require('./router-port.js');
+const capabilities = require('./capabilities.js');
 
 const API_PREFIX = '/api/v1alpha1/';
 var api;
@@ -70,7 +71,7 @@ const apiLog = function(req, status) {
     Log(`SiteAPI: ${req.ip} - (${status}) ${req.method} ${req.originalUrl}`);
 }
 
-exports.Start = async function(backboneMode) {
+exports.Start = async function() {
     Log('[API Server module started]');
     api = express();
     api.use(cors());
@@ -80,11 +81,13 @@ exports.Start = async function(backboneMode) {
         res.status(200).end();
     });
 
-    if (backboneMode) {
+    if (capabilities.BackboneEnabled()) {
         api.get(API_PREFIX + 'hostnames', (req, res) => {
             apiLog(req, getHostnames(res));
         });
-    } else {
+    }
+
+    if (capabilities.ClaimEnabled()) {
         api.get(API_PREFIX + 'site/status', (req, res) => {
             apiLog(req, getSiteStatus(res));
         });
@@ -94,7 +97,9 @@ exports.Start = async function(backboneMode) {
         });
     }
 
-    memberapi.Initialize(api);
+    if (capabilities.MemberEnabled()) {
+        memberapi.Initialize(api);
+    }
 
     let server = api.listen(router_port.GetApiPort(), () => {
         let host = server.address().address;
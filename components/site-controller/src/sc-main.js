@@ -25,6 +25,7 @@ const fs           = require('fs');
 const rhea         = require('rhea');
 const kube         = require('./common/kube.js');
 const amqp         = require('./common/amqp.js');
+const common       = require('./common/common.js');
 const apiserver    = require('./sc-apiserver.js');
 const syncKube     = require('./sync-site-kube.js');
 const router       = require('./common/router.js');
@@ -32,49 +33,75 @@ const links        = require('./links.js');
 const ingress      = require('./ingress.js');
 const claim        = require('./claim.js');
 const memberapi    = require('./api-member.js');
+const capabilities = require('./capabilities.js');
+const configGuard  = require('./config-guard.js');
+const dataPlane    = require('./data-plane.js');
 const Log          = require('./common/log.js').Log;
 const Flush        = require('./common/log.js').Flush;
 
-const VERSION       = '0.1.2';
-const STANDALONE    = (process.env.SKX_STANDALONE || 'NO') == 'YES';
-const BACKBONE_MODE = (process.env.SKX_BACKBONE || 'NO') == 'YES';
-var   site_id       = process.env.SKUPPERX_SITE_ID || 'unknown';
+const VERSION      = '0.1.2';
+const STANDALONE   = (process.env.SKX_STANDALONE || 'NO') == 'YES';
+const INGRESS_TYPE = process.env.SKX_INGRESS_TYPE || 'route';
+var   site_id      = process.env.SKUPPERX_SITE_ID || 'unknown';
 
 Log(`Skupper-X Site controller version ${VERSION}`);
-Log(`Backbone   : ${BACKBONE_MODE}`);
-Log(`Standalone : ${STANDALONE}`);
+Log(`Capabilities : ${capabilities.Describe()}`);
+Log(`Ingress      : ${INGRESS_TYPE}`);
+Log(`Standalone   : ${STANDALONE}`);
 
 //
 // This is the main program startup sequence.
 //
 exports.Main = async function() {
     try {
+        if (!capabilities.BackboneEnabled() && !capabilities.MemberEnabled() && !capabilities.ClaimEnabled()) {
+            throw(Error('No site capabilities are enabled'));
+        }
+
         await kube.Start(k8s, fs, yaml, !STANDALONE);
         await amqp.Start(rhea);
 
         //
         // Start the API server early so we don't cause readiness-probe problems.
         //
-        await apiserver.Start(BACKBONE_MODE);
+        await apiserver.Start();
+
+        //
+        // Verify the router's configuration before any links are established.
+        //
+        await configGuard.Start(site_id);
+
+        let conn = amqp.OpenConnection('LocalRouter');
+        await router.Start(conn);
+        await links.Start();
 
-        if (!BACKBONE_MODE) {
+        if (capabilities.BackboneEnabled()) {
+            Log(`Backbone Site-Id : ${site_id}`);
+            await ingress.Start(site_id, INGRESS_TYPE);
+            await syncKube.Start(common.STATE_OWNER_BACKBONE, site_id, conn);
+        }
+
+        if (capabilities.ClaimEnabled() || capabilities.MemberEnabled()) {
             //
-            // If we are in member mode, we must assert a claim (or use a previously accepted claim) to join an application network.
+            // To join an application network, we must assert a claim (or use a previously accepted claim).
             // This function does not complete until after the claim has been asserted, accepted, and processed.  On subsequent
             // restarts of this controller after claim acceptance, the following function is effectively a no-op.
             //
-            site_id = await claim.Start();
-            await memberapi.Start();
-        }
+            // The backbone functions, if enabled, are already running and are not held up by the claim.
+            //
+            const member_id = capabilities.ClaimEnabled() ? await claim.Start() : await claim.AcceptedSiteId();
 
-        Log(`Site-Id : ${site_id}`);
-        let conn = amqp.OpenConnection('LocalRouter');
-        await router.Start(conn);
-        await links.Start(BACKBONE_MODE);
-        if (BACKBONE_MODE) {
-            await ingress.Start(site_id);
+            if (capabilities.MemberEnabled()) {
+                if (!member_id) {
+                    throw(Error('Member-enabled site has no accepted claim and is not claim-enabled'));
+                }
+                Log(`Member Site-Id : ${member_id}`);
+                await memberapi.Start();
+                await dataPlane.Start();
+                await syncKube.Start(common.STATE_OWNER_MEMBER, member_id, conn);
+            }
         }
-        await syncKube.Start(site_id, conn, BACKBONE_MODE);
+
         Log("[Site controller initialization completed successfully]");
     } catch (error) {
         Log(`Site controller initialization failed: ${error.message}`)
@@ -26,24 +26,42 @@
 //
 // Local State (synchronized to the management-controller):
 //   - Ingress host/port pairs for each access point (programatically supplied by ingress module)
+//   - The member uplink in use (programatically supplied by links module)
 //
 // Remote State (synchronized from the management-controller):
 //   - Secrets
 //   - Access-Point ConfigMaps
 //   - Link ConfigMaps
+//   - Component Deployments (member sites)
+//   - Listener and Connector ConfigMaps (member sites)
 //
+// A site that is both backbone-enabled and member-enabled synchronizes under two identities, each with its own
+// state-sync endpoint.  Every object is annotated with the identity that owns it so the two sets of state don't
+// interfere with each other.
+//
+
+const Log          = require('./common/log.js').Log;
+const common       = require('./common/common.js');
+const kube         = require('./common/kube.js');
+const sync         = require('./common/state-sync.js');
+const ingress      = require('./ingress.js');
+const hashes       = require('./hash.js');
+const capabilities = require('./capabilities.js');
 
-const Log     = require('./common/log.js').Log;
-const common  = require('./common/common.js');
-const kube    = require('./common/kube.js');
-const sync    = require('./common/state-sync.js');
-const ingress = require('./ingress.js');
-const hashes  = require('./hash.js');
+var identities = {};  // owner: {siteId, endpoint, connectedToPeer, peerId, localState: {state-key: {hash, data}}}
 
-var backbone_mode;
-var connectedToPeer = false;
-var peerId;
-var localState = {};  // state-key: {hash, data}
+const identityFor = function(owner) {
+    if (!identities[owner]) {
+        identities[owner] = {
+            siteId          : undefined,
+            endpoint        : undefined,
+            connectedToPeer : false,
+            peerId          : undefined,
+            localState      : {},
+        };
+    }
+    return identities[owner];
+}
 
 const kubeObjectForState = function(stateKey) {
     const elements   = stateKey.split('-');
@@ -55,6 +73,7 @@ const kubeObjectForState = function(stateKey) {
     var   stateType;
     var   stateId;
     var   inject;
+    var   labels;
 
     if (elements.length < 2) {
         throw(Error(`Malformed stateKey: ${stateKey}`));
@@ -86,19 +105,82 @@ const kubeObjectForState = function(stateKey) {
             stateType = common.STATE_TYPE_LINK;
             stateId = stateKey.substring(5); // text following 'link-'
             break;
+        case 'vhost':
+            objKind = 'ConfigMap';
+            stateType = common.STATE_TYPE_POLICY;
+            stateId = stateKey.substring(6); // text following 'vhost-'
+            break;
         case 'accessstatus':
+        case 'service':
+        case 'uplink':
             objKind = 'InMemory';
             objDir = 'local';
             break;
+        case 'skx':
+            //
+            // Application state for member sites.  The state key is already a suitable object name.
+            //
+            if (elements.length < 3) {
+                throw(Error(`Malformed stateKey: ${stateKey}`));
+            }
+            objName = stateKey;
+            stateId = stateKey.substring(elements[0].length + elements[1].length + 2); // text following 'skx-<kind>-'
+            if (elements[1] == 'pod') {
+                apiVersion = 'apps/v1';
+                objKind    = 'Deployment';
+                stateType  = common.STATE_TYPE_COMPONENT;
+            } else if (elements[1] == 'connect' || elements[1] == 'accept') {
+                objKind   = 'ConfigMap';
+                stateType = common.STATE_TYPE_INTERFACE;
+                labels    = {
+                    [common.INTERFACE_TYPE_LABEL] : elements[1] == 'connect' ? common.INTERFACE_TYPE_LISTENER : common.INTERFACE_TYPE_CONNECTOR,
+                };
+            } else {
+                throw(Error(`Invalid stateKey prefix ${elements[0]}-${elements[1]}`));
+            }
+            break;
         default:
             throw(Error(`Invalid stateKey prefix: ${elements[0]}`))
     }
 
-    return [objName, apiVersion, objKind, objType, objDir, stateType, stateId, inject];
+    return [objName, apiVersion, objKind, objType, objDir, stateType, stateId, inject, labels];
+}
+
+//
+// Generate the spec for a component's Deployment from its synchronized data.
+//
+const componentDeploymentSpec = function(data) {
+    return {
+        replicas : 1,
+        selector : {
+            matchLabels : {
+                [common.COMPONENT_LABEL_KEY] : data.component,
+            },
+        },
+        template : {
+            metadata : {
+                labels : {
+                    [common.COMPONENT_LABEL_KEY] : data.component,
+                },
+            },
+            spec : {
+                containers : [
+                    {
+                        name  : 'component',
+                        image : data.image,
+                    },
+                ],
+            },
+        },
+    };
 }
 
-const stateForList = function(objectList, local, remote) {
+const stateForList = function(owner, objectList, local, remote) {
     for (const obj of objectList) {
+        if (capabilities.StateOwner(obj) != owner) {
+            continue;
+        }
+
         const stateKey  = kube.Annotation(obj, common.META_ANNOTATION_STATE_KEY);
         const stateDir  = kube.Annotation(obj, common.META_ANNOTATION_STATE_DIR);
         const stateHash = kube.Annotation(obj, common.META_ANNOTATION_STATE_HASH);
@@ -114,21 +196,23 @@ const stateForList = function(objectList, local, remote) {
     return [local, remote];
 }
 
-const stateInMemory = function(local) {
-    for (const [key, data] of Object.entries(localState)) {
+const stateInMemory = function(owner, local) {
+    for (const [key, data] of Object.entries(identityFor(owner).localState)) {
         local[key] = data.hash;
     }
     return local;
 }
 
-const getInitialHashState = async function() {
+const getInitialHashState = async function(owner) {
     var local  = {};
     var remote = {};
-    const secrets    = await kube.GetSecrets();
-    const configmaps = await kube.GetConfigmaps();
-    [local, remote] = stateForList(secrets, local, remote);
-    [local, remote] = stateForList(configmaps, local, remote);
-    if (backbone_mode) {
+    const secrets     = await kube.GetSecrets();
+    const configmaps  = await kube.GetConfigmaps();
+    const deployments = await kube.GetDeployments();
+    [local, remote] = stateForList(owner, secrets, local, remote);
+    [local, remote] = stateForList(owner, configmaps, local, remote);
+    [local, remote] = stateForList(owner, deployments, local, remote);
+    if (owner == common.STATE_OWNER_BACKBONE) {
         const ingressState = await ingress.GetInitialState();
         for (const [apid, state] of Object.entries(ingressState)) {
             local[`accessstatus-${apid}`] = {
@@ -137,23 +221,25 @@ const getInitialHashState = async function() {
             };
         }
     }
-    local = stateInMemory(local);
+    local = stateInMemory(owner, local);
     return [local, remote];
 }
 
-const onNewPeer = async function(_peerId, peerClass) {
-    connectedToPeer = true;
-    peerId = _peerId;
-    return await getInitialHashState();
+const onNewPeer = async function(owner, peerId, peerClass) {
+    let identity = identityFor(owner);
+    identity.connectedToPeer = true;
+    identity.peerId = peerId;
+    return await getInitialHashState(owner);
 }
 
-const onPeerLost = async function(peerId) {
-    connectedToPeer = false;
-    peerId = undefined;
+const onPeerLost = async function(owner, peerId) {
+    let identity = identityFor(owner);
+    identity.connectedToPeer = false;
+    identity.peerId = undefined;
 }
 
-const onStateChange = async function(peerId, stateKey, hash, data) {
-    const [objName, apiVersion, objKind, objType, objDir, stateType, stateId, inject] = kubeObjectForState(stateKey);
+const onStateChange = async function(owner, peerId, stateKey, hash, data) {
+    const [objName, apiVersion, objKind, objType, objDir, stateType, stateId, inject, labels] = kubeObjectForState(stateKey);
     if (objDir == 'local') {
         throw(Error(`Protocol error: Received update for local state ${stateKey}`));
     }
@@ -165,14 +251,24 @@ const onStateChange = async function(peerId, stateKey, hash, data) {
             metadata   : {
                 name        : objName,
                 annotations : {
-                    [common.META_ANNOTATION_STATE_KEY]  : stateKey,
-                    [common.META_ANNOTATION_STATE_DIR]  : objDir,
-                    [common.META_ANNOTATION_STATE_HASH] : hash,
+                    [common.META_ANNOTATION_STATE_KEY]   : stateKey,
+                    [common.META_ANNOTATION_STATE_DIR]   : objDir,
+                    [common.META_ANNOTATION_STATE_HASH]  : hash,
+                    [common.META_ANNOTATION_STATE_OWNER] : owner,
                 },
             },
-            data : data,
         };
 
+        if (objKind == 'Deployment') {
+            obj.spec = componentDeploymentSpec(data);
+        } else {
+            obj.data = data;
+        }
+
+        if (labels) {
+            obj.metadata.labels = labels;
+        }
+
         if (objType) {
             obj.type = objType;
         }
@@ -195,11 +291,13 @@ const onStateChange = async function(peerId, stateKey, hash, data) {
             await kube.DeleteSecret(objName);
         } else if (objKind == 'ConfigMap') {
             await kube.DeleteConfigmap(objName);
+        } else if (objKind == 'Deployment') {
+            await kube.DeleteDeployment(objName);
         }
     }
 }
 
-const onStateRequest = async function(peerId, stateKey) {
+const onStateRequest = async function(owner, peerId, stateKey) {
     const [objName, apiVersion, objKind, objType, objDir] = kubeObjectForState(stateKey);
     if (objDir == 'remote') {
         throw(Error(`Protocol error: Received request for remote state ${stateKey}`));
@@ -216,6 +314,7 @@ const onStateRequest = async function(peerId, stateKey) {
             obj  = await kube.LoadConfigmap(objName);
             hash = kube.Annotation(obj, common.META_ANNOTATION_STATE_HASH);
         } else if (objKind == 'InMemory') {
+            const localState = identityFor(owner).localState;
             obj  = { data : localState[stateKey].data };
             hash = localState[stateKey].hash;
         }
@@ -233,25 +332,45 @@ const onPing = async function(siteId) {
     // This function intentionally left blank
 }
 
-exports.UpdateLocalState = async function(stateKey, stateHash, stateData) {
+//
+// Update a unit of in-memory local state for one of the site's identities.
+//
+// owner : common.STATE_OWNER_BACKBONE | common.STATE_OWNER_MEMBER
+//
+exports.UpdateLocalState = async function(owner, stateKey, stateHash, stateData) {
+    let identity = identityFor(owner);
     if (stateHash) {
-        localState[stateKey] = {
+        identity.localState[stateKey] = {
             hash : stateHash,
             data : stateData,
         };
     } else {
-        delete localState[stateKey];
+        delete identity.localState[stateKey];
     }
 
-    if (connectedToPeer) {
-        await sync.UpdateLocalState(peerId, stateKey, stateHash);
+    if (identity.connectedToPeer) {
+        await identity.endpoint.UpdateLocalState(identity.peerId, stateKey, stateHash);
     }
 }
 
-exports.Start = async function(siteId, conn, _backbone_mode) {
-    backbone_mode = _backbone_mode;
-    Log(`[Sync-Site-Kube module started]`);
-    await sync.Start(backbone_mode ? sync.CLASS_BACKBONE : sync.CLASS_MEMBER, siteId, undefined, onNewPeer, onPeerLost, onStateChange, onStateRequest, onPing);
-    await sync.AddTarget(common.API_CONTROLLER_ADDRESS);
-    await sync.AddConnection(undefined, conn);
+//
+// Begin synchronizing with the management controller under one of the site's identities.
+//
+// owner  : common.STATE_OWNER_BACKBONE | common.STATE_OWNER_MEMBER
+// siteId : The backbone-site or member-site identifier for the identity
+// conn   : The AMQP connection to the local router
+//
+exports.Start = async function(owner, siteId, conn) {
+    Log(`[Sync-Site-Kube module started for ${owner} site ${siteId}]`);
+    let identity = identityFor(owner);
+    identity.siteId   = siteId;
+    identity.endpoint = sync.CreateEndpoint();
+    await identity.endpoint.Start(owner == common.STATE_OWNER_BACKBONE ? sync.CLASS_BACKBONE : sync.CLASS_MEMBER, siteId, undefined,
+        async (peerId, peerClass)            => await onNewPeer(owner, peerId, peerClass),
+        async (peerId)                       => await onPeerLost(owner, peerId),
+        async (peerId, stateKey, hash, data) => await onStateChange(owner, peerId, stateKey, hash, data),
+        async (peerId, stateKey)             => await onStateRequest(owner, peerId, stateKey),
+        onPing);
+    await identity.endpoint.AddTarget(common.API_CONTROLLER_ADDRESS);
+    await identity.endpoint.AddConnection(undefined, conn);
 }
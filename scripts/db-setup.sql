@@ -57,6 +57,17 @@ CREATE TYPE CertificateRequestType AS ENUM ('mgmtController', 'backboneCA', 'int
 --
 CREATE TYPE AccessPointType AS ENUM ('claim', 'peer', 'member', 'manage');
 
+--
+-- IngressType
+--   route               OpenShift Route with TLS passthrough
+--   loadbalancer        Kubernetes Service of type LoadBalancer
+--   nodeport            Kubernetes Service of type NodePort
+--   nginx-ingress-v1    Kubernetes Ingress for ingress-nginx with ssl-passthrough
+--   contour-http-proxy  Contour HTTPProxy with TLS passthrough
+--   gateway-tls-route   Gateway API TLSRoute
+--
+CREATE TYPE IngressType AS ENUM ('route', 'loadbalancer', 'nodeport', 'nginx-ingress-v1', 'contour-http-proxy', 'gateway-tls-route');
+
 --
 -- RoleType
 --   accept        Accepts incoming connections
@@ -75,6 +86,8 @@ CREATE TYPE RoleType AS ENUM ('accept', 'connect', 'send', 'receive', 'asyncRequ
 -- Used to trace the lifecycle of various objects in the DB
 --
 --   partial            The object is partially specified.  There is not enough information yet to start the lifecycle.
+--   scheduled          For application networks, the network is waiting for its start time
+--   pending_approval   For member sites, the site's claim is waiting for the application network's owner to approve it
 --   new                A new object has been created
 --   skx_cr_created     A CertificateRequest has been created for the object
 --   cm_cert_created    A cert-manager Certificate object has been created
@@ -82,9 +95,11 @@ CREATE TYPE RoleType AS ENUM ('accept', 'connect', 'send', 'receive', 'asyncRequ
 --   ready              The TlsCertificate is generated and linked to the object
 --   active             For member or interior sites, the site has successfully joined the backbone
 --   expired            The object is no longer available for use
+--   evicted            For member sites, the site has been removed from its application network by its owner or because
+--                      the application network reached its end time
 --   failed             An unrecoverable error occurred while processing this row, see the Failure column for details
 --
-CREATE TYPE LifecycleType AS ENUM ('partial', 'new', 'skx_cr_created', 'cm_cert_created', 'cm_issuer_created', 'ready', 'active', 'expired', 'failed');
+CREATE TYPE LifecycleType AS ENUM ('partial', 'scheduled', 'pending_approval', 'new', 'skx_cr_created', 'cm_cert_created', 'cm_issuer_created', 'ready', 'active', 'expired', 'evicted', 'failed');
 
 --
 -- DeploymentStateType
@@ -144,7 +159,7 @@ CREATE TABLE TlsCertificates (
     Expiration timestamptz,
     RenewalTime timestamptz,
     RotationOrdinal integer DEFAULT 0,
-    Supercedes UUID REFERENCES TlsCertificates
+    Supercedes UUID REFERENCES TlsCertificates ON DELETE SET NULL
 );
 
 --
@@ -175,9 +190,14 @@ CREATE TABLE InteriorSites (
     DeploymentState DeploymentStateType DEFAULT 'not-ready',
 
     Metadata text,
+    IngressType IngressType DEFAULT 'route',  -- The kind of ingress the site controller creates for access points
+    IngressDomain text,                       -- Domain for host names of SNI-routed ingresses (nginx, contour, gateway)
+    MemberEnabled boolean DEFAULT false,      -- The site may also host a member site using its interior router
 
     FirstActiveTime timestamptz,
     LastHeartbeat timestamptz,
+    Stale boolean DEFAULT false,              -- The site stopped heartbeating and was evicted from state-sync
+    Draining boolean DEFAULT false,           -- Member sites are moved off this site's access points for maintenance
 
     Backbone UUID REFERENCES Backbones
 );
@@ -234,7 +254,7 @@ CREATE TABLE ApplicationNetworks (
     Certificate UUID REFERENCES TlsCertificates,
 
     Backbone UUID REFERENCES Backbones (Id) ON DELETE CASCADE,
-    Owner integer REFERENCES Users,
+    Owner text,               -- The identity (token owner claim) of the user who created the network
     VanId text,
     StartTime timestamptz DEFAULT now(),
     EndTime timestamptz,
@@ -259,6 +279,7 @@ CREATE TABLE MemberInvitations (
     InstanceCount integer DEFAULT 0,
     FetchCount integer DEFAULT 0,
     InteractiveClaim boolean DEFAULT false,   -- If true, don't assert the claim until the invitee intervenes
+    ApprovalRequired boolean DEFAULT false,   -- If true, claims are held until the application network's owner approves them
     MemberNamePrefix text
 );
 
@@ -284,6 +305,7 @@ CREATE TABLE MemberSites (
 
     FirstActiveTime timestamptz,
     LastHeartbeat timestamptz,
+    Stale boolean DEFAULT false,              -- The site stopped heartbeating and was evicted from state-sync
 
     MemberOf UUID REFERENCES ApplicationNetworks ON DELETE CASCADE,
     Invitation UUID REFERENCES MemberInvitations ON DELETE CASCADE,
@@ -291,6 +313,35 @@ CREATE TABLE MemberSites (
     ActiveAccessPoint UUID REFERENCES BackboneAccessPoints
 );
 
+--
+-- Services exposed (connectors) and consumed (listeners) by member sites, as reported by the sites
+--
+CREATE TABLE MemberServices (
+    Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    MemberSite UUID REFERENCES MemberSites ON DELETE CASCADE,
+    StateKey text,            -- The service-<name> key under which the site reports this entry
+    StateHash text,
+    Kind text,                -- listener | connector
+    RoutingKey text,
+    Host text,                -- Listeners only
+    Port text,
+    Selector text,            -- Connectors only
+    Endpoints integer         -- Connectors only, the number of pods providing the service
+);
+
+--
+-- The state-sync hash-state of the management controller's peers (backbone and member sites).  This allows a
+-- restarted management controller to resume synchronization without re-fetching all of the sites' state.
+--
+CREATE TABLE SyncPeers (
+    PeerId text PRIMARY KEY,  -- The InteriorSites or MemberSites Id
+    PeerClass text,           -- backbone | member
+    Version integer,          -- The negotiated protocol version
+    Capabilities text ARRAY,
+    RemoteState jsonb,        -- {stateKey: hash} for the state synchronized from the peer
+    UpdateTime timestamptz
+);
+
 --
 -- Pending requests for certificate generation
 --
@@ -324,6 +375,11 @@ CREATE TABLE CertificateRequests (
     --
     DurationHours integer,
 
+    --
+    -- If present, this request is a rotation that will replace the referenced certificate in its owner.
+    --
+    Supercedes UUID REFERENCES TlsCertificates (Id) ON DELETE CASCADE,
+
     --
     -- Link to the requesting
     --
@@ -337,6 +393,48 @@ CREATE TABLE CertificateRequests (
 );
 
 
+--
+-- Change notifications
+--
+-- Row changes in the core tables are published on the 'skx_changes' channel so the management controller can
+-- react to them without polling.  The payload is a JSON object: {"table": <lower-case table name>, "op": <TG_OP>, "id": <row Id>}.
+-- Updates also carry "columns": the (lower-case) names of the columns whose values changed.
+--
+CREATE FUNCTION NotifyChange() RETURNS trigger AS $$
+DECLARE
+    payload JSONB;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        payload := jsonb_build_object('table', TG_TABLE_NAME, 'op', TG_OP, 'id', OLD.Id);
+    ELSE
+        payload := jsonb_build_object('table', TG_TABLE_NAME, 'op', TG_OP, 'id', NEW.Id);
+    END IF;
+    IF TG_OP = 'UPDATE' THEN
+        payload := payload || jsonb_build_object('columns', (
+            SELECT COALESCE(jsonb_agg(n.key), '[]'::jsonb)
+            FROM jsonb_each(to_jsonb(NEW)) n JOIN jsonb_each(to_jsonb(OLD)) o ON o.key = n.key
+            WHERE n.value IS DISTINCT FROM o.value));
+    END IF;
+    PERFORM pg_notify('skx_changes', payload::text);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ManagementControllersChanged AFTER INSERT OR UPDATE OR DELETE ON ManagementControllers FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+CREATE TRIGGER BackbonesChanged             AFTER INSERT OR UPDATE OR DELETE ON Backbones             FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+CREATE TRIGGER BackboneAccessPointsChanged  AFTER INSERT OR UPDATE OR DELETE ON BackboneAccessPoints  FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+CREATE TRIGGER InterRouterLinksChanged      AFTER INSERT OR UPDATE OR DELETE ON InterRouterLinks      FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+CREATE TRIGGER ApplicationNetworksChanged   AFTER INSERT OR UPDATE OR DELETE ON ApplicationNetworks   FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+CREATE TRIGGER MemberInvitationsChanged     AFTER INSERT OR UPDATE OR DELETE ON MemberInvitations     FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+CREATE TRIGGER CertificateRequestsChanged   AFTER INSERT OR UPDATE OR DELETE ON CertificateRequests   FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+CREATE TRIGGER TlsCertificatesChanged       AFTER INSERT OR UPDATE OR DELETE ON TlsCertificates       FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+
+--
+-- Sites are updated on every heartbeat.  Only notify for the columns the reconcilers care about.
+--
+CREATE TRIGGER InteriorSitesChanged AFTER INSERT OR DELETE OR UPDATE OF Lifecycle, Certificate, Backbone, Stale, Draining ON InteriorSites FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+CREATE TRIGGER MemberSitesChanged   AFTER INSERT OR DELETE OR UPDATE OF Lifecycle, Certificate, MemberOf ON MemberSites   FOR EACH ROW EXECUTE FUNCTION NotifyChange();
+
 -- ===================================================================================
 -- Everything from this point down is in a more preliminary state than the stuff above.
 -- ===================================================================================
@@ -345,7 +443,7 @@ CREATE TABLE CertificateRequests (
 -- Available process images
 --
 CREATE TABLE ComponentTypes (
-    Id UUID PRIMARY KEY,
+    Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     Name text,
     Description text,
     KubernetesConfig text,
@@ -358,7 +456,7 @@ CREATE TABLE ComponentTypes (
 -- Ways in which software components interact with one another
 --
 CREATE TABLE InterconnectTypes (
-    Id UUID PRIMARY KEY,
+    Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     Name text,
     Description text,
     TransportProtocol text,   -- tcp, udp, amqp, sctp, etc.   (used to assign adaptor)
@@ -374,7 +472,7 @@ CREATE TABLE InterconnectTypes (
 -- Mapping of services to the components that participate in that service
 --
 CREATE TABLE Interfaces (
-    Id UUID PRIMARY KEY,
+    Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     ComponentType UUID REFERENCES ComponentTypes,
     InterconnectType UUID REFERENCES InterconnectTypes,
     Role RoleType,
@@ -386,7 +484,7 @@ CREATE TABLE Interfaces (
 -- A templated definition of a distributed application
 --
 CREATE TABLE ApplicationTemplates (
-    Id UUID PRIMARY KEY,
+    Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     Name text,
     Description text
 );
@@ -395,7 +493,7 @@ CREATE TABLE ApplicationTemplates (
 -- The instantiation of an application template onto an application network
 --
 CREATE TABLE Applications (
-    Id UUID PRIMARY KEY,
+    Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     ApplicationTemplate UUID REFERENCES ApplicationTemplates,
     ApplicationNetwork  UUID REFERENCES ApplicationNetworks
 );
@@ -405,7 +503,7 @@ CREATE TABLE Applications (
 -- one or more sites in an ApplicationNetwork.
 --
 CREATE TABLE Components (
-    Id UUID PRIMARY KEY,
+    Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     ComponentType UUID REFERENCES ComponentTypes,
     ApplicationTemplate UUID REFERENCES ApplicationTemplates ON DELETE CASCADE,
     ImageTag text,
@@ -416,7 +514,7 @@ CREATE TABLE Components (
 -- Specific interconnect between running images and endpoints
 --
 CREATE TABLE Bindings (
-    Id UUID PRIMARY KEY,
+    Id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     InterconnectType UUID REFERENCES InterconnectTypes,
     ApplicationTemplate UUID REFERENCES ApplicationTemplates ON DELETE CASCADE,
     VanAddress text,